@@ -2,13 +2,15 @@
 
 const fs = require('fs')
 const path = require('path')
+const FileStore = require('./lib/file-store')
 const Server = require('./lib/server')
 
 const privDir = path.join(__dirname, 'private')
 const cert = fs.readFileSync(path.join(privDir, 'cert.pem'))
 const key = fs.readFileSync(path.join(privDir, 'key.pem'))
 
-const server = new Server({ cert, key })
+const store = process.env.store ? new FileStore(process.env.store) : undefined
+const server = new Server({ cert, key, store })
 const host = process.env.host || '0.0.0.0'
 const port = +process.env.port || 8888
 
@@ -1,34 +1,188 @@
 'use strict'
 
 const axl = require('axl')
+const crypto = require('crypto')
 const EventEmitter = require('events')
 const https = require('https')
+const { Duplex, Readable } = require('stream')
 const nacl = require('tweetnacl')
+const uuid = require('uuid')
 const WebSocket = require('ws')
+const fingerprint = require('./fingerprint')
+const keystore = require('./keystore')
 const Session = require('./session')
+const suites = require('./suites')
+const TrustStore = require('./trust-store')
 const util = require('./util')
 
 const INFO = Buffer.from('triple-double')
 
+// The most handovers to follow when fetching a peer's bundle, so a loop of handovers can't go on forever.
+const MAX_HANDOVERS = 5
+
+const exportKeys = ({ pubKey, privKey, signPreKeys, oneTimeKeys }) => {
+  const hex = key => Buffer.from(key).toString('hex')
+
+  return {
+    pubKey: hex(pubKey),
+    privKey: hex(privKey),
+
+    signPreKeys: signPreKeys.map(({ id, pubKey, privKey, sig, timestamp, retiredAt }) => ({
+      id,
+      pubKey: hex(pubKey),
+      privKey: hex(privKey),
+      sig: hex(sig),
+      timestamp,
+      retiredAt
+    })),
+
+    oneTimeKeys: oneTimeKeys.map(({ pubKey, privKey }) => ({
+      pubKey: hex(pubKey),
+      privKey: hex(privKey)
+    }))
+  }
+}
+
+const importKeys = keys => {
+  const pubKey = Buffer.from(keys.pubKey, 'hex')
+
+  return {
+    pubKey,
+    privKey: Buffer.from(keys.privKey, 'hex'),
+    id: Client.id(pubKey),
+
+    signPreKeys: keys.signPreKeys.map(({ id, pubKey, privKey, sig, timestamp, retiredAt }) => ({
+      id,
+      pubKey: Buffer.from(pubKey, 'hex'),
+      privKey: Buffer.from(privKey, 'hex'),
+      sig: Buffer.from(sig, 'hex'),
+      timestamp,
+      retiredAt
+    })),
+
+    oneTimeKeys: keys.oneTimeKeys.map(({ pubKey, privKey }) => ({
+      pubKey: Buffer.from(pubKey, 'hex'),
+      privKey: Buffer.from(privKey, 'hex')
+    }))
+  }
+}
+
 /**
  * This class implements a client that negotiates secrets with and securely sends messages to other clients via a server.
  * A client can have multiple peers, each corresponding to a unique session.
  */
 class Client extends EventEmitter {
-  constructor ({ ca, host, port, info = INFO }) {
+  /**
+   * @param {Object}          args
+   * @param {(Buffer|String)} args.ca      - the server's TLS certificate
+   * @param {String}          args.host    - the server's host
+   * @param {Number}          args.port    - the server's port
+   * @param {Buffer}          [args.info]  - application-specific info for key derivation
+   * @param {String}          [args.suite] - the cipher suite for message and header encryption
+   * @param {Number}          [args.minOneTimeKeys] - top up one-time prekeys when the server has fewer than this (0 disables)
+   * @param {Number}          [args.batchSize]      - the number of one-time prekeys to publish at once
+   * @param {Number}          [args.signPreKeyInterval]    - republish bundle with a new signed prekey this often, in ms (0 disables)
+   * @param {Number}          [args.maxSignPreKeys]        - the number of signed prekeys to retain, including the current one
+   * @param {Number}          [args.signPreKeyGracePeriod] - retain older signed prekeys this long after they're replaced, in ms
+   * @param {Number}          [args.maxBundleAge]          - reject peer bundles signed longer ago than this, in ms (0 disables)
+   * @param {TrustStore}      [args.trustStore]           - records contacts' identity keys (default: in-memory)
+   * @param {Boolean}         [args.refuseIdentityChange] - reject initial messages to/from contacts whose identity key changed
+   * @param {Boolean}         [args.autoReconnect]        - reconnect to sessions whose connection drops
+   * @param {Number}          [args.reconnectDelay]       - wait this long before the first reconnect attempt, in ms (doubles after each attempt)
+   * @param {Number}          [args.maxReconnectDelay]    - the longest to wait between reconnect attempts, in ms
+   * @param {Number}          [args.maxReconnectAttempts] - give up reconnecting after this many attempts
+   * @param {Boolean}         [args.multiplex]            - carry every session over one WebSocket connection
+   * @param {Number}          [args.heartbeatTimeout]     - drop a connection the server hasn't pinged or messaged for this long, in ms (0 disables)
+   * @param {String}          [args.format]               - the wire format for messages ("binary" or "json"), if the server supports it
+   * @param {Number}          [args.chunkSize]            - the most data to send in one message of a stream, in bytes
+   * @param {Number}          [args.maxBufferedAmount]    - wait for a connection to drain below this many bytes before sending more of a stream
+   * @param {Number}          [args.streamWindow]         - the most chunks of a stream or duplex stream the peer may send before we read them
+   * @param {Number}          [args.ackTimeout]           - how long send() waits for the peer to acknowledge a message, in ms (0 waits indefinitely)
+   * @param {Number}          [args.requestTimeout]       - how long request() waits for the peer to respond, in ms (0 waits indefinitely)
+   */
+  constructor ({
+    ca,
+    host,
+    port,
+    info = INFO,
+    suite = suites.DEFAULT,
+    minOneTimeKeys = 0,
+    batchSize = 10,
+    signPreKeyInterval = 0,
+    maxSignPreKeys = 2,
+    signPreKeyGracePeriod = 0,
+    maxBundleAge = 0,
+    trustStore = new TrustStore(),
+    refuseIdentityChange = false,
+    autoReconnect = false,
+    reconnectDelay = 1e3,
+    maxReconnectDelay = 30e3,
+    maxReconnectAttempts = 10,
+    multiplex = false,
+    heartbeatTimeout = 0,
+    format = 'binary',
+    chunkSize = 64 * 1024,
+    maxBufferedAmount = 1 << 20,
+    streamWindow = 16,
+    ackTimeout = 30e3,
+    requestTimeout = 30e3
+  }) {
     util.validate(
       ['args.ca', 'a buffer or string', ca],
       ['args.host', 'a non-empty string', host],
       ['args.port', 'a valid port number', port],
-      ['args.info', 'a buffer', info]
+      ['args.info', 'a buffer', info],
+      ['args.suite', 'a non-empty string', suite],
+      ['args.minOneTimeKeys', 'a non-negative integer', minOneTimeKeys],
+      ['args.batchSize', 'a positive integer', batchSize],
+      ['args.signPreKeyInterval', 'a non-negative integer', signPreKeyInterval],
+      ['args.maxSignPreKeys', 'a positive integer', maxSignPreKeys],
+      ['args.signPreKeyGracePeriod', 'a non-negative integer', signPreKeyGracePeriod],
+      ['args.maxBundleAge', 'a non-negative integer', maxBundleAge],
+      ['args.refuseIdentityChange', 'a boolean', refuseIdentityChange],
+      ['args.autoReconnect', 'a boolean', autoReconnect],
+      ['args.reconnectDelay', 'a positive integer', reconnectDelay],
+      ['args.maxReconnectDelay', 'a positive integer', maxReconnectDelay],
+      ['args.maxReconnectAttempts', 'a positive integer', maxReconnectAttempts],
+      ['args.multiplex', 'a boolean', multiplex],
+      ['args.heartbeatTimeout', 'a non-negative integer', heartbeatTimeout],
+      ['args.format', 'a wire format', format],
+      ['args.chunkSize', 'a positive integer', chunkSize],
+      ['args.maxBufferedAmount', 'a non-negative integer', maxBufferedAmount],
+      ['args.streamWindow', 'a positive integer', streamWindow],
+      ['args.ackTimeout', 'a non-negative integer', ackTimeout],
+      ['args.requestTimeout', 'a non-negative integer', requestTimeout]
     )
 
+    suites.get(suite)
+
     super()
 
     this.ca = ca
     this.host = host
     this.port = port
     this.info = info
+    this.suite = suite
+    this.minOneTimeKeys = minOneTimeKeys
+    this.batchSize = batchSize
+    this.signPreKeyInterval = signPreKeyInterval
+    this.maxSignPreKeys = maxSignPreKeys
+    this.signPreKeyGracePeriod = signPreKeyGracePeriod
+    this.maxBundleAge = maxBundleAge
+    this.trustStore = trustStore
+    this.refuseIdentityChange = refuseIdentityChange
+    this.autoReconnect = autoReconnect
+    this.reconnectDelay = reconnectDelay
+    this.maxReconnectDelay = maxReconnectDelay
+    this.maxReconnectAttempts = maxReconnectAttempts
+    this.multiplex = multiplex
+    this.heartbeatTimeout = heartbeatTimeout
+    this.format = format
+    this.chunkSize = chunkSize
+    this.maxBufferedAmount = maxBufferedAmount
+    this.streamWindow = streamWindow
+    this.ackTimeout = ackTimeout
+    this.requestTimeout = requestTimeout
 
     const seed = nacl.randomBytes(32)
     const kp = axl.generateKeyPair(seed)
@@ -38,24 +192,275 @@ class Client extends EventEmitter {
 
     this.id = Client.id(this.pubKey)
 
-    this.pubSignPreKey = null
-    this.privSignPreKey = null
-    this.preKeySig = null
-    this.prevSignPreKey = null
+    this.signPreKeys = []
+    this.rotationTimer = null
 
     this.oneTimeKeys = []
+    this.keysTimestamp = 0
+
+    // The identities we rotated away from, kept for sessions established with them
+    // and initial messages still addressed to them.
+    this.retiredIdentities = []
+
     this.sessions = new Map()
     this.conns = new Map()
+    this.reconnectTimers = new Map()
+
+    // Connections we dropped because the server went quiet.
+    this.timedOut = new WeakSet()
+
+    // The wire format negotiated for each connection.
+    this.formats = new WeakMap()
+
+    // The multiplexed connection, the sessions waiting to join on it, and the channels of those that joined, by session ID.
+    // The channels are in conns too, along with the connections of sessions on a retired identity.
+    this.muxConn = null
+    this.muxReady = null
+    this.joins = new Map()
+    this.channels = new Map()
+
+    // The streams we're sending and receiving, by transfer ID.
+    this.transfers = new Map()
+    this.streams = new Map()
+
+    // The messages we sent that the peer hasn't acknowledged yet, by message ID.
+    this.acks = new Map()
+
+    // The requests we sent that the peer hasn't responded to yet, by request ID,
+    // and the handlers for requests from peers, by session ID (or "*").
+    this.requests = new Map()
+    this.handlers = new Map()
+
+    // The duplex streams open over sessions, by session ID.
+    this.duplexes = new Map()
   }
 
   static id (pubKey) {
     return Buffer.from(pubKey).toString('hex')
   }
 
-  request (opts) {
+  /**
+   * The current signed prekey.
+   *
+   * @type {Object}
+   */
+  get signPreKey () {
+    return this.signPreKeys[this.signPreKeys.length - 1] || null
+  }
+
+  /**
+   * The identity a session was established with: ours, or one we've since rotated away from.
+   *
+   * @param  {String}  sid - the session ID
+   *
+   * @return {Object} the identity's ID and key pair
+   */
+  identityFor (sid) {
+    const { ad } = this.sessions.get(sid)
+    const keys = [ad.slice(0, 32), ad.slice(32)]
+
+    return this.retiredIdentities.find(({ pubKey }) => keys.some(key => key.equals(pubKey))) || this
+  }
+
+  /**
+   * Create a client from a keystore generated by Client#export().
+   *
+   * @param  {(Buffer|String)}  blob       - the keystore
+   * @param  {String}           passphrase - the passphrase the keystore was encrypted with
+   * @param  {Object}           opts       - options passed to the constructor
+   *
+   * @return {Promise<Client>}
+   */
+  static async import (blob, passphrase, opts) {
+    util.validate(
+      ['blob', 'a buffer or string', blob],
+      ['passphrase', 'a non-empty string', passphrase]
+    )
+
+    const data = await keystore.open({ blob, passphrase })
+    const keys = JSON.parse(data)
+    const client = new Client(opts)
+
+    Object.assign(client, importKeys(keys))
+
+    client.retiredIdentities = keys.retiredIdentities.map(importKeys)
+
+    return client
+  }
+
+  /**
+   * Export identity key, signed prekeys, and one-time prekeys to a passphrase-encrypted keystore.
+   *
+   * @param  {String}  passphrase - the passphrase to encrypt the keystore with
+   *
+   * @return {Promise<String>}
+   */
+  export (passphrase) {
+    util.validate(['passphrase', 'a non-empty string', passphrase])
+
+    const data = JSON.stringify({
+      ...exportKeys(this),
+      retiredIdentities: this.retiredIdentities.map(exportKeys)
+    })
+
+    return keystore.seal({ data, passphrase })
+  }
+
+  /**
+   * Export the state of every session to a passphrase-encrypted keystore.
+   *
+   * @param  {String}  passphrase - the passphrase to encrypt the keystore with
+   *
+   * @return {Promise<String>}
+   */
+  exportSessions (passphrase) {
+    util.validate(['passphrase', 'a non-empty string', passphrase])
+
+    const data = JSON.stringify([...this.sessions])
+
+    return keystore.seal({ data, passphrase })
+  }
+
+  /**
+   * Restore sessions from a keystore generated by Client#exportSessions().
+   *
+   * @param  {(Buffer|String)}  blob       - the keystore
+   * @param  {String}           passphrase - the passphrase the keystore was encrypted with
+   *
+   * @return {Promise<String[]>} the IDs of the restored sessions
+   */
+  async importSessions (blob, passphrase) {
+    util.validate(
+      ['blob', 'a buffer or string', blob],
+      ['passphrase', 'a non-empty string', passphrase]
+    )
+
+    const data = await keystore.open({ blob, passphrase })
+    const sids = []
+
+    for (const [sid, state] of JSON.parse(data)) {
+      this.sessions.set(sid, Session.fromJSON(state))
+      sids.push(sid)
+    }
+
+    return sids
+  }
+
+  /**
+   * Generate the safety number for our identity key and a peer's.
+   * Compare it with the peer's out-of-band to verify their identity key.
+   *
+   * @param  {(Buffer|String)} peerKey - the peer's identity key
+   *
+   * @return {Object} the safety number in numeric, hex, and scannable (base64) formats
+   */
+  fingerprint (peerKey) {
+    return fingerprint.generate({ localKey: this.pubKey, remoteKey: peerKey })
+  }
+
+  /**
+   * Check a safety number received from a peer (e.g. by scanning a QR code) against ours.
+   *
+   * @param  {(Buffer|String)} peerKey - the peer's identity key
+   * @param  {String}          other   - the peer's safety number in any format
+   *
+   * @return {Boolean}
+   */
+  verifyFingerprint (peerKey, other) {
+    const ours = this.fingerprint(peerKey)
+
+    return Object.values(ours).some(str => fingerprint.compare(str, other))
+  }
+
+  /**
+   * Check a contact's identity key against the trust store.
+   * The first key seen for a contact is trusted (but unverified).
+   *
+   * @param  {String}           contact - the contact's name
+   * @param  {(Buffer|String)}  pubKey  - the contact's identity key
+   *
+   * @return {Promise<Object>} the trust state for a session with the contact
+   */
+  async checkIdentity (contact, pubKey) {
+    const { status, record } = await this.trustStore.check(contact, pubKey)
+    pubKey = TrustStore.toHex(pubKey)
+
+    if (status !== 'changed') {
+      return { contact, pubKey, verified: record.verified, changed: false }
+    }
+
+    /**
+     * Emitted when a contact's identity key differs from the one on record.
+     * @event Client#identityChanged
+     *
+     * @type {Object}
+     */
+    this.emit('identityChanged', { contact, oldKey: record.pubKey, newKey: pubKey })
+
+    if (this.refuseIdentityChange) {
+      throw new Error('Identity key changed for contact: ' + contact)
+    }
+
+    await this.trustStore.trust(contact, pubKey)
+
+    return { contact, pubKey, verified: false, changed: true }
+  }
+
+  /**
+   * Mark a contact's identity key as verified (or unverified), e.g. after comparing safety numbers.
+   *
+   * @param  {String}   contact           - the contact's name
+   * @param  {Boolean}  [verified = true]
+   *
+   * @return {Promise<Object>} the contact's identity record
+   */
+  async verifyContact (contact, verified = true) {
+    const record = await this.trustStore.verify(contact, verified)
+
+    for (const { trust } of this.sessions.values()) {
+      if (trust && trust.contact === contact && trust.pubKey === record.pubKey) {
+        trust.verified = verified
+      }
+    }
+
+    return record
+  }
+
+  /**
+   * Sign request options with our identity key so the server can authenticate them.
+   *
+   * @param  {Object}  opts       - options for Client#httpRequest()
+   * @param  {Object}  [identity] - the identity to sign with (default: ours)
+   *
+   * @return {Object} the options with authentication headers
+   */
+  signRequest ({ method = 'GET', path, headers, data = '' }, identity = this) {
+    const timestamp = Date.now()
+    const nonce = Buffer.from(nacl.randomBytes(16)).toString('hex')
+    const msg = util.canonicalRequest({ method, path, timestamp, nonce, data })
+    const sig = axl.sign(identity.privKey, msg, nacl.randomBytes(64))
+
+    headers = {
+      ...headers,
+      'X-Identity': identity.id,
+      'X-Timestamp': timestamp,
+      'X-Nonce': nonce,
+      'X-Signature': Buffer.from(sig).toString('hex')
+    }
+
+    return { method, path, headers, data }
+  }
+
+  httpRequest (opts) {
+    const data = opts.data || ''
+
+    // Node doesn't frame DELETE bodies by default, so set the length explicitly.
+    const headers = { ...opts.headers, 'Content-Length': Buffer.byteLength(data) }
+
     return new Promise((resolve, reject) => {
       https.request({
         ...opts,
+        headers,
         ca: this.ca,
         host: this.host,
         port: this.port
@@ -71,12 +476,13 @@ class Client extends EventEmitter {
           .once('end', () => resolve({ statusCode, headers, data }))
           .once('error', reject)
       }).once('error', reject)
-        .end(opts.data || '')
+        .end(data)
     })
   }
 
   /**
    * Open a WebSocket connection to the server for a given session.
+   * This doesn't wait for the peer to connect; messages sent before then are held by the server.
    *
    * @param  {String}  sid - the session ID
    *
@@ -91,260 +497,1324 @@ class Client extends EventEmitter {
       throw new Error('Session not found')
     }
 
-    let conn = this.conns.get(sid)
-
-    if (conn) {
+    if (this.conns.has(sid) || this.joins.has(sid)) {
       throw new Error('Already connected')
     }
 
-    conn = new WebSocket(`wss://${this.host}:${this.port}`, { ca: this.ca })
-
-    await EventEmitter.once(conn, 'open')
-
-    const msg = JSON.stringify({ id: decodeURIComponent(this.id), sid })
-
-    conn.send(msg)
-
-    const [{ data }] = await EventEmitter.once(conn, 'message')
+    // Connecting supersedes a scheduled reconnect.
+    clearTimeout(this.reconnectTimers.get(sid))
+    this.reconnectTimers.delete(sid)
 
-    if (data !== 'OK') {
-      throw new Error(data)
+    // The multiplexed connection authenticates our current identity,
+    // so sessions established with a retired one get a connection of their own.
+    if (this.multiplex && this.identityFor(sid) === this) {
+      await this.join(sid, session)
+      return
     }
 
+    const { conn, msgs } = await this.openConn(sid)
+    const handleMessage = this.handleMessage.bind(this, session, sid)
+
     this.conns.set(sid, conn)
+    this.extendDuplex(sid)
 
     conn
-      .once('close', this.handleClose.bind(this, sid))
-      .on('message', this.handleMessage.bind(this, session, sid))
+      .once('close', code => this.handleClose(sid, conn, this.closeReason(conn, code)))
+      .on('message', handleMessage)
+
+    msgs.forEach(handleMessage)
   }
 
   /**
-   * Disconnect from a session.
+   * Open a WebSocket connection to the server and prove we own our identity key
+   * by signing the server's challenge.
    *
-   * @param  {String}  sid - the session ID
+   * @param  {String}  [sid] - the session ID, or undefined for a multiplexed connection
+   *
+   * @return {Promise<Object>} the connection and any messages that arrived right behind the server's OK
    */
-  disconnect (sid) {
-    util.validate(['sid', 'a UUID', sid])
+  async openConn (sid) {
+    const conn = new WebSocket(`wss://${this.host}:${this.port}`, { ca: this.ca })
 
-    const session = this.sessions.get(sid)
+    await EventEmitter.once(conn, 'open')
 
-    if (!session) {
-      throw new Error('Session not found')
-    }
+    // Servers that predate the binary format don't offer any formats and only speak JSON.
+    const { challenge, formats = [] } = JSON.parse(await util.recvMessage(conn))
+    const format = formats.includes(this.format) ? this.format : 'json'
+    const { id, privKey } = sid ? this.identityFor(sid) : this
+    const data = util.canonicalHandshake({ challenge, sid: sid || '' })
+    const sig = Buffer.from(axl.sign(privKey, data, nacl.randomBytes(64))).toString('hex')
+    const msg = JSON.stringify(sid ? { id, sid, sig, format } : { id, sig, mux: true, format })
 
-    const conn = this.conns.get(sid)
+    conn.send(msg)
 
-    if (!conn) {
-      throw new Error('Not connected')
+    // Messages the peer sent while we were offline can arrive right behind the server's OK.
+    const msgs = []
+    const bufferMessage = msg => msgs.push(msg)
+
+    conn.on('message', bufferMessage)
+
+    const resp = await util.recvMessage(conn)
+
+    conn.removeListener('message', bufferMessage)
+
+    if (resp !== 'OK') {
+      throw new Error(resp)
     }
 
-    conn.close()
+    this.formats.set(conn, format)
+    this.watchConn(conn)
+
+    return { conn, msgs: msgs.slice(1) }
   }
 
   /**
-   * Encrypt a plaintext and send it to peer in session.
+   * Open the multiplexed connection, or return the one that's open.
    *
-   * @param  {String}           sid       - the session id
-   * @param  {(Buffer|String)}  plaintext - the plaintext to encrypt and send
+   * @return {Promise<WebSocket>}
    */
-  send (sid, plaintext) {
-    util.validate(
-      ['sid', 'a UUID', sid],
-      ['plaintext', 'a buffer or string', plaintext]
-    )
+  openMux () {
+    if (!this.muxReady) {
+      this.muxReady = this.openConn().then(({ conn }) => {
+        this.muxConn = conn
 
-    const session = this.sessions.get(sid)
+        conn
+          .once('close', code => this.handleMuxClose(conn, this.closeReason(conn, code)))
+          .on('message', this.handleFrame.bind(this))
 
-    if (!session) {
-      throw new Error('Session not found')
-    }
+        return conn
+      })
 
-    const conn = this.conns.get(sid)
-    let { header, payload } = session.encrypt(plaintext)
-    header = header.toString('hex')
-    payload = payload.toString('hex')
-    const msg = JSON.stringify({ header, payload })
+      this.muxReady.catch(() => {
+        this.muxReady = null
+      })
+    }
 
-    conn.send(msg)
+    return this.muxReady
   }
 
   /**
-   * Publish bundle to server.
+   * Join a session on the multiplexed connection.
+   *
+   * @param  {String}   sid     - the session ID
+   * @param  {Session}  session - the session
    *
    * @return {Promise}
    */
-  async publishBundle () {
-    if (this.privSignPreKey) {
-      this.prevSignPreKey = {
-        pubKey: this.pubSignPreKey,
-        privKey: this.privSignPreKey
-      }
-    }
-
-    {
-      const { pubKey, privKey } = util.genKeyPair()
-      this.pubSignPreKey = pubKey
-      this.privSignPreKey = privKey
-    }
+  async join (sid, session) {
+    const conn = await this.openMux()
 
-    const random = nacl.randomBytes(64)
-    this.preKeySig = axl.sign(this.privKey, this.pubSignPreKey, random)
-
-    let oneTimeKeys = []
+    const promise = new Promise((resolve, reject) => {
+      this.joins.set(sid, { conn, session, resolve, reject })
+    })
 
-    for (let i = 0; i < 10; i++) {
-      const { pubKey, privKey } = util.genKeyPair()
-      oneTimeKeys.push({ pubKey, privKey })
-    }
+    conn.send(JSON.stringify({ type: 'join', sid }))
 
-    this.oneTimeKeys.push(...oneTimeKeys)
+    await promise
+  }
 
-    const pubKey = Buffer.from(this.pubKey).toString('hex')
-    const pubSignPreKey = Buffer.from(this.pubSignPreKey).toString('hex')
-    const preKeySig = Buffer.from(this.preKeySig).toString('hex')
-    oneTimeKeys = oneTimeKeys.map(({ pubKey }) => pubKey.toString('hex'))
+  /**
+   * Close the multiplexed connection once it carries no sessions.
+   */
+  closeIdleMux () {
+    if (!this.muxConn || this.channels.size || this.joins.size) return
 
-    const headers = { 'Content-Type': 'application/json' }
-    const data = JSON.stringify({ pubKey, pubSignPreKey, preKeySig, oneTimeKeys })
-    const resp = await this.request({ data, headers, method: 'PUT', path: '/bundle' })
+    const conn = this.muxConn
 
-    if (resp.statusCode !== 201) {
-      throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
-    }
+    this.muxConn = null
+    this.muxReady = null
 
-    return Buffer.from(this.pubKey)
+    conn.close()
   }
 
-  /**
-   * Fetch peer bundle from server and send initial message to establish session.
-   *
-   * @param  {Buffer}           peerKey   - the peer's public key
-   * @param  {(Buffer|String)}  plaintext - the initial plaintext to encrypt and send
-   *
-   * @return {Promise}
-   */
-  async sendInitMessage (peerKey, plaintext) {
-    util.validate(
-      ['peerKey', 'a public key', peerKey],
-      ['plaintext', 'a buffer or string', plaintext]
-    )
+  handleMuxClose (conn, reason) {
+    if (this.muxConn !== conn) return
 
-    const id = Client.id(peerKey)
-    const path = '/bundle/' + id
-    let resp = await this.request({ path })
+    this.muxConn = null
+    this.muxReady = null
 
-    if (resp.statusCode !== 200) {
-      throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
+    this.joins.forEach(({ reject }) => reject(new Error('Connection closed')))
+    this.joins.clear()
+
+    for (const [sid, channel] of [...this.channels]) {
+      this.handleClose(sid, channel, reason)
     }
+  }
 
-    const bundle = JSON.parse(resp.data)
-    let pubSignPreKey = Buffer.from(bundle.pubSignPreKey, 'hex')
-    const preKeySig = Buffer.from(bundle.preKeySig, 'hex')
-    const valid = axl.verify(peerKey, pubSignPreKey, preKeySig)
+  handleFrame (data) {
+    if (Buffer.isBuffer(data)) {
+      let sid, envelope
 
-    if (!valid) {
-      throw new Error('Invalid signature')
-    }
+      try {
+        ({ sid, envelope } = util.decodeFrame(data))
+      } catch (err) {
+        this.emit('error', err)
+        return
+      }
 
-    const ephemeral = util.genKeyPair()
-    let oneTimeKey = Buffer.from(bundle.oneTimeKey, 'hex')
+      const channel = this.channels.get(sid)
 
-    const dhs = [
-      nacl.scalarMult(this.privKey, pubSignPreKey),
-      nacl.scalarMult(ephemeral.privKey, peerKey),
-      nacl.scalarMult(ephemeral.privKey, pubSignPreKey),
-      nacl.scalarMult(ephemeral.privKey, oneTimeKey)
-    ]
+      if (channel) {
+        this.handleMessage(channel.session, sid, envelope)
+        return
+      }
 
-    const ad = Buffer.concat([this.pubKey, peerKey])
-    const ikm = Buffer.concat([Buffer.alloc(32, 0xFF), ...dhs])
-    let okm = util.hkdf({ ikm, info: this.info, length: 96 })
-    const secKeys = []
+      // The server can relay a message before it sees we left the session.
+      if (!this.sessions.has(sid)) {
+        this.emit('error', new Error('Unexpected frame'))
+      }
 
-    for (let i = 0; i < 3; i++) {
-      secKeys.push(okm.slice(0, 32))
-      okm = okm.slice(32)
+      return
     }
 
-    const session = new Session()
+    let frame
 
-    session.init({ ad, info: this.info, keyPair: this, peerKey, secKeys })
+    try {
+      frame = JSON.parse(data)
+    } catch {
+      this.emit('error', new Error('Invalid frame'))
+      return
+    }
 
-    let { header, payload } = await session.encrypt(plaintext)
+    const { type, sid } = frame
+    const join = this.joins.get(sid)
+    const channel = this.channels.get(sid)
 
-    const pubKey = Buffer.from(this.pubKey).toString('hex')
-    const ephemeralKey = Buffer.from(ephemeral.pubKey).toString('hex')
-    pubSignPreKey = pubSignPreKey.toString('hex')
-    peerKey = Buffer.from(peerKey).toString('hex')
-    oneTimeKey = oneTimeKey.toString('hex')
-    header = header.toString('hex')
-    payload = payload.toString('hex')
+    if (type === 'joined' && join) {
+      this.joins.delete(sid)
+      this.channels.set(sid, this.createChannel(sid, join))
+      this.conns.set(sid, this.channels.get(sid))
+      this.extendDuplex(sid)
+      join.resolve()
+      return
+    }
 
-    const data = JSON.stringify({ pubKey, peerKey, pubSignPreKey, ephemeralKey, oneTimeKey, header, payload })
-    const headers = { 'Content-Type': 'application/json' }
-    resp = await this.request({ data, headers, method: 'POST', path: '/message' })
+    if (type === 'error' && join) {
+      this.joins.delete(sid)
+      join.reject(new Error(frame.error))
+      this.closeIdleMux()
+      return
+    }
 
-    if (resp.statusCode !== 201) {
-      throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
+    if (type === 'message' && channel) {
+      this.handleMessage(channel.session, sid, frame.msg)
+      return
     }
 
-    this.sessions.set(resp.data, session)
+    // The server can relay a message before it sees we left the session.
+    if (type === 'message' && this.sessions.has(sid)) return
 
-    return resp.data
+    // The server closed our channel, e.g. because another connection replaced it.
+    if (type === 'leave' && channel) {
+      this.handleClose(sid, channel, this.closeReason(channel, frame.code))
+      this.closeIdleMux()
+      return
+    }
+
+    this.emit('error', new Error(frame.error || 'Unexpected frame'))
   }
 
   /**
-   * Receive initial message from server to establish session with peer.
+   * Create a channel for a session on the multiplexed connection.
+   * It stands in for a WebSocket, so send() and disconnect() work the same either way.
    *
-   * @param  {String}   sid - the session ID
+   * @param  {String}  sid  - the session ID
+   * @param  {Object}  join - the multiplexed connection and session
    *
-   * @return {Promise}
+   * @return {Object}
    */
-  async recvInitMessage (sid) {
-    util.validate(['sid', 'a UUID', sid])
-
-    const resp = await this.request({ path: '/message/' + sid })
+  createChannel (sid, { conn, session }) {
+    const channel = {
+      session,
+
+      send: (msg, cb) => {
+        if (Buffer.isBuffer(msg)) {
+          conn.send(util.encodeFrame(sid, msg), cb)
+        } else {
+          conn.send(JSON.stringify({ type: 'message', sid, msg }), cb)
+        }
+      },
+
+      get bufferedAmount () {
+        return conn.bufferedAmount
+      },
+
+      close: () => {
+        conn.send(JSON.stringify({ type: 'leave', sid }))
+        this.handleClose(sid, channel)
+        this.closeIdleMux()
+      }
+    }
+
+    this.formats.set(channel, this.formats.get(conn))
+
+    return channel
+  }
+
+  /**
+   * Disconnect from a session.
+   *
+   * @param  {String}  sid - the session ID
+   */
+  disconnect (sid) {
+    util.validate(['sid', 'a UUID', sid])
+
+    const session = this.sessions.get(sid)
+
+    if (!session) {
+      throw new Error('Session not found')
+    }
+
+    const timer = this.reconnectTimers.get(sid)
+
+    if (timer) {
+      clearTimeout(timer)
+      this.reconnectTimers.delete(sid)
+      return
+    }
+
+    const conn = this.conns.get(sid)
+
+    if (!conn) {
+      throw new Error('Not connected')
+    }
+
+    // Forget the connection first so handleClose() doesn't reconnect.
+    this.conns.delete(sid)
+    conn.close()
+  }
+
+  /**
+   * Reconnect to a session whose connection closed.
+   * The session's keys are kept, so the conversation picks up where it left off.
+   *
+   * @param  {String}  sid - the session ID
+   *
+   * @return {Promise}
+   */
+  async reconnect (sid) {
+    await this.connect(sid)
+
+    /**
+     * Emitted when client reconnects to a session.
+     * @event Client#reconnected
+     *
+     * @type     {Object}
+     * @property {String} sid - the session ID
+     */
+    this.emit('reconnected', { sid })
+  }
+
+  /**
+   * Try to reconnect to a session after a delay that doubles with each attempt,
+   * up to args.maxReconnectDelay and args.maxReconnectAttempts.
+   *
+   * @param  {String}  sid           - the session ID
+   * @param  {Number}  [attempt = 1]
+   */
+  scheduleReconnect (sid, attempt = 1) {
+    const delay = Math.min(this.reconnectDelay * 2 ** (attempt - 1), this.maxReconnectDelay)
+
+    const timer = setTimeout(async () => {
+      this.reconnectTimers.delete(sid)
+
+      try {
+        await this.reconnect(sid)
+      } catch (err) {
+        // The server forgets sessions neither peer connects to for a while.
+        if (attempt < this.maxReconnectAttempts && err.message !== 'Not found') {
+          this.scheduleReconnect(sid, attempt + 1)
+        } else {
+          this.emit('error', err)
+        }
+      }
+    }, delay)
+
+    timer.unref()
+
+    this.reconnectTimers.set(sid, timer)
+
+    /**
+     * Emitted when client is about to try reconnecting to a session.
+     * @event Client#reconnecting
+     *
+     * @type     {Object}
+     * @property {String} sid     - the session ID
+     * @property {Number} attempt - the number of this attempt
+     * @property {Number} delay   - how long until the attempt, in ms
+     */
+    this.emit('reconnecting', { sid, attempt, delay })
+  }
+
+  /**
+   * Encrypt a plaintext and send it to peer in session.
+   * The server holds the message if the peer isn't connected yet.
+   * The peer acknowledges the message once it decrypts it.
+   * We stop waiting for the ack if we disconnect from the session; a "delivered" event still follows if it arrives later.
+   *
+   * @param  {String}           sid            - the session id
+   * @param  {(Buffer|String)}  plaintext      - the plaintext to encrypt and send
+   * @param  {Object}           [opts]
+   * @param  {Number}           [opts.timeout] - how long to wait for the ack, in ms (default: args.ackTimeout)
+   *
+   * @return {Promise<String>} resolves to the message ID once the peer acknowledges the message
+   */
+  send (sid, plaintext, { timeout = this.ackTimeout } = {}) {
+    util.validate(
+      ['sid', 'a UUID', sid],
+      ['plaintext', 'a buffer or string', plaintext],
+      ['opts.timeout', 'a non-negative integer', timeout]
+    )
+
+    const id = uuid.v4()
+
+    this.transmit(sid, 'identified', Buffer.concat([Buffer.from(uuid.parse(id)), Buffer.from(plaintext)]))
+
+    const promise = new Promise((resolve, reject) => {
+      const ack = { sid, resolve, reject, timer: null }
+
+      if (timeout) {
+        ack.timer = setTimeout(() => {
+          this.acks.delete(id)
+          reject(new Error('Timed out waiting for ack'))
+        }, timeout)
+
+        ack.timer.unref()
+      }
+
+      this.acks.set(id, ack)
+    })
+
+    // Callers that don't wait for the ack shouldn't get unhandled rejections.
+    promise.catch(() => {})
+
+    return promise
+  }
+
+  /**
+   * Tell the peer we read a message, e.g. once it's shown to the user.
+   * The peer receives a "read" event.
+   *
+   * @param  {String}  sid - the session ID
+   * @param  {String}  id  - the message ID
+   */
+  markRead (sid, id) {
+    util.validate(
+      ['sid', 'a UUID', sid],
+      ['id', 'a UUID', id]
+    )
+
+    this.transmit(sid, 'receipt', util.encodeReceipt({ kind: 'read', id }))
+  }
+
+  /**
+   * Send a request to the peer and wait for its response.
+   * The peer handles the request with a handler it registered with handle().
+   * The request is cancelled if we disconnect from the session before the response arrives.
+   *
+   * @param  {String}  sid            - the session ID
+   * @param  {*}       body           - the request body (anything JSON can encode)
+   * @param  {Object}  [opts]
+   * @param  {Number}  [opts.timeout] - how long to wait for the response, in ms (default: args.requestTimeout)
+   *
+   * @return {Promise<*>} resolves to the handler's return value, or rejects with the error it threw
+   */
+  request (sid, body, { timeout = this.requestTimeout } = {}) {
+    util.validate(
+      ['sid', 'a UUID', sid],
+      ['opts.timeout', 'a non-negative integer', timeout]
+    )
+
+    const id = uuid.v4()
+
+    this.transmit(sid, 'rpc', util.encodeRpcFrame({ kind: 'request', id, data: { body } }))
+
+    return new Promise((resolve, reject) => {
+      const request = { sid, resolve, reject, timer: null }
+
+      if (timeout) {
+        request.timer = setTimeout(() => {
+          this.requests.delete(id)
+          reject(new Error('Request timed out'))
+        }, timeout)
+
+        request.timer.unref()
+      }
+
+      this.requests.set(id, request)
+    })
+  }
+
+  /**
+   * Handle requests from the peer in a session, or from peers in any session with "*".
+   * The handler's return value, or the error it throws, is sent back to the peer.
+   *
+   * @param  {String}    sid     - the session ID, or "*"
+   * @param  {Function}  handler - called with the request body and { sid, id }, and can be async
+   */
+  handle (sid, handler) {
+    if (sid !== '*') {
+      util.validate(['sid', 'a UUID', sid])
+    }
+
+    util.validate(['handler', 'a function', handler])
+
+    this.handlers.set(sid, handler)
+  }
+
+  /**
+   * Encrypt a message of some type and send it to the peer.
+   *
+   * @param  {String}           sid       - the session ID
+   * @param  {String}           type      - the envelope type
+   * @param  {(Buffer|String)}  plaintext - the plaintext to encrypt and send
+   * @param  {Function}         [cb]      - called once the message is written out
+   *
+   * @return {Object} the connection the message was sent on
+   */
+  transmit (sid, type, plaintext, cb) {
+    const session = this.sessions.get(sid)
+
+    if (!session) {
+      throw new Error('Session not found')
+    }
+
+    const conn = this.conns.get(sid)
+
+    if (!conn) {
+      throw new Error('Not connected')
+    }
+
+    const msg = util.encodeMessage({ type, ...session.encrypt(plaintext, util.envelopeAd(type)) }, this.formats.get(conn))
+
+    conn.send(msg, cb)
+
+    return conn
+  }
+
+  /**
+   * Encrypt and send a large payload, e.g. a file, as a stream of chunks.
+   * Each chunk is a separate message, so the payload is never held in memory all at once.
+   * The peer receives the stream in a "stream" event, and tells us how many chunks we may send ahead of what it has read.
+   *
+   * Destroy the readable to cancel the transfer. The client destroys it if the session disconnects.
+   *
+   * @param  {String}           sid        - the session ID
+   * @param  {stream.Readable}  readable   - the data to send
+   * @param  {Object}           [metadata] - information about the data for the peer, e.g. a file name
+   *
+   * @return {Promise<String>} resolves to the transfer ID once all the data is sent
+   */
+  async sendStream (sid, readable, metadata = {}) {
+    util.validate(
+      ['sid', 'a UUID', sid],
+      ['readable', 'a readable stream', readable],
+      ['metadata', 'an object', metadata]
+    )
+
+    const id = uuid.v4()
+    const hash = crypto.createHash('sha256')
+    const transfer = { sid, readable, error: null, window: 0, wake: () => {} }
+
+    await this.sendStreamFrame(sid, { kind: 'start', id, body: JSON.stringify(metadata) })
+
+    this.transfers.set(id, transfer)
+
+    let seq = 0
+
+    try {
+      for await (let data of readable) {
+        data = Buffer.from(data)
+
+        for (let i = 0; i < data.byteLength; i += this.chunkSize) {
+          // Wait until the peer lets us send another chunk.
+          while (!transfer.error && seq >= transfer.window) {
+            await new Promise(resolve => {
+              transfer.wake = resolve
+            })
+          }
+
+          // The peer cancelled the transfer or the session disconnected.
+          if (transfer.error) {
+            throw transfer.error
+          }
+
+          const chunk = data.slice(i, i + this.chunkSize)
+
+          hash.update(chunk)
+
+          await this.sendStreamFrame(sid, { kind: 'data', id, seq: ++seq, body: chunk })
+        }
+      }
+
+      // The readable was destroyed before it ended (older versions of Node end the loop instead of throwing).
+      if (!readable.readableEnded) {
+        throw new Error('Stream cancelled')
+      }
+    } catch (err) {
+      if (!transfer.error) {
+        this.cancelStream(sid, id)
+      }
+
+      if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+        throw new Error('Stream cancelled')
+      }
+
+      throw err
+    } finally {
+      this.transfers.delete(id)
+    }
+
+    await this.sendStreamFrame(sid, { kind: 'end', id, seq: ++seq, body: hash.digest() })
+
+    return id
+  }
+
+  /**
+   * Send part of a stream.
+   *
+   * @param  {String}  sid   - the session ID
+   * @param  {Object}  frame - the stream frame
+   *
+   * @return {Promise}
+   */
+  sendStreamFrame (sid, frame) {
+    return this.sendFrame(sid, 'stream', util.encodeStreamFrame(frame))
+  }
+
+  /**
+   * Encrypt and send a message, waiting for it to be written out if the connection is backed up.
+   *
+   * @param  {String}  sid       - the session ID
+   * @param  {String}  type      - the envelope type
+   * @param  {Buffer}  plaintext - the message
+   *
+   * @return {Promise}
+   */
+  sendFrame (sid, type, plaintext) {
+    return new Promise((resolve, reject) => {
+      const conn = this.transmit(sid, type, plaintext, err => {
+        err ? reject(err) : resolve()
+      })
+
+      if (conn.bufferedAmount <= this.maxBufferedAmount) {
+        resolve()
+      }
+    })
+  }
+
+  /**
+   * Tell the peer to stop sending or expecting a stream.
+   * There's no one to tell if we aren't connected.
+   *
+   * @param  {String}  sid - the session ID
+   * @param  {String}  id  - the transfer ID
+   */
+  cancelStream (sid, id) {
+    try {
+      this.transmit(sid, 'stream', util.encodeStreamFrame({ kind: 'cancel', id }))
+    } catch {}
+  }
+
+  /**
+   * Let the peer send more of a stream once it has sent most of what it may.
+   * The peer is let ahead by args.streamWindow chunks from what we received, so we buffer about that many at most.
+   * There's no one to tell if we aren't connected.
+   *
+   * @param  {String}  sid      - the session ID
+   * @param  {String}  id       - the transfer ID
+   * @param  {Object}  incoming - the stream we're receiving
+   */
+  extendStream (sid, id, incoming) {
+    if (incoming.window - incoming.seq > this.streamWindow / 2) return
+
+    incoming.window = incoming.seq + this.streamWindow
+
+    try {
+      this.transmit(sid, 'stream', util.encodeStreamFrame({ kind: 'window', id, seq: incoming.window }))
+    } catch {}
+  }
+
+  /**
+   * Open a duplex stream over a session, e.g. to tunnel a TCP connection.
+   * What we write comes out of the peer's stream for the session, and vice versa.
+   * Writes are split into chunks of args.chunkSize and wait while the connection is backed up
+   * or the peer hasn't read most of what we sent.
+   *
+   * Call this before connecting so nothing the peer writes is missed; the peer is told when we aren't listening.
+   * Calling it again returns the same stream until it closes.
+   * The stream is destroyed when the session disconnects.
+   *
+   * @param  {String}  sid - the session ID
+   *
+   * @return {stream.Duplex}
+   */
+  createStream (sid) {
+    util.validate(['sid', 'a UUID', sid])
+
+    if (!this.sessions.has(sid)) {
+      throw new Error('Session not found')
+    }
+
+    let duplex = this.duplexes.get(sid)
+
+    if (duplex) return duplex.stream
+
+    // How far the peer lets us send and how far we let the peer send, by sequence number.
+    duplex = { sent: 0, received: 0, window: 0, granted: 0, ended: false, finished: false, wake: () => {} }
+
+    const write = async data => {
+      for (let i = 0; i < data.byteLength; i += this.chunkSize) {
+        // The peer can't let us send more if we aren't connected.
+        if (!this.conns.has(sid)) {
+          throw new Error('Not connected')
+        }
+
+        // Wait until the peer lets us send another chunk, unless the stream is destroyed meanwhile.
+        while (!duplex.stream.destroyed && duplex.sent >= duplex.window) {
+          await new Promise(resolve => {
+            duplex.wake = resolve
+          })
+        }
+
+        if (duplex.stream.destroyed) return
+
+        const body = data.slice(i, i + this.chunkSize)
+
+        await this.sendFrame(sid, 'duplex', util.encodeDuplexFrame({ kind: 'data', seq: ++duplex.sent, body }))
+      }
+    }
+
+    // Node 12 doesn't emit write errors from an auto-destroyed stream, so destroy it ourselves.
+    const fail = cb => err => {
+      duplex.stream.destroy(err)
+      cb(err)
+    }
+
+    duplex.stream = new Duplex({
+      autoDestroy: true,
+
+      // Only let the peer send more once what it sent is being read.
+      read: () => this.extendDuplex(sid),
+
+      write: (chunk, encoding, cb) => {
+        write(chunk).then(() => cb(), fail(cb))
+      },
+
+      final: cb => {
+        this.sendFrame(sid, 'duplex', util.encodeDuplexFrame({ kind: 'end', seq: ++duplex.sent }))
+          .then(() => {
+            duplex.finished = true
+            cb()
+          }, fail(cb))
+      },
+
+      destroy: (err, cb) => {
+        // Tell the peer unless both sides ended or the peer cancelled the stream.
+        if (this.duplexes.get(sid) === duplex) {
+          this.duplexes.delete(sid)
+
+          if (!duplex.ended || !duplex.finished) {
+            this.cancelDuplex(sid)
+          }
+        }
+
+        duplex.wake()
+        cb(err)
+      }
+    })
+
+    this.duplexes.set(sid, duplex)
+    this.extendDuplex(sid)
+
+    return duplex.stream
+  }
+
+  /**
+   * Let the peer write more to the duplex stream for a session once it has sent most of what it may.
+   * The peer is let ahead by args.streamWindow chunks from what we received.
+   * If we aren't connected, the peer is told once we are.
+   *
+   * @param  {String}  sid - the session ID
+   */
+  extendDuplex (sid) {
+    const duplex = this.duplexes.get(sid)
+
+    if (!duplex || duplex.granted - duplex.received > this.streamWindow / 2) return
+
+    const granted = duplex.received + this.streamWindow
+
+    try {
+      this.transmit(sid, 'duplex', util.encodeDuplexFrame({ kind: 'window', seq: granted }))
+      duplex.granted = granted
+    } catch {}
+  }
+
+  /**
+   * Tell the peer to destroy its duplex stream for a session.
+   * There's no one to tell if we aren't connected.
+   *
+   * @param  {String}  sid - the session ID
+   */
+  cancelDuplex (sid) {
+    try {
+      this.transmit(sid, 'duplex', util.encodeDuplexFrame({ kind: 'cancel' }))
+    } catch {}
+  }
+
+  /**
+   * Publish bundle to server with a new signed prekey.
+   * The first bundle also includes a batch of one-time prekeys.
+   *
+   * @return {Promise}
+   */
+  async publishBundle () {
+    clearTimeout(this.rotationTimer)
+
+    // Only include one-time prekeys when we have none. Otherwise the server keeps the ones it has,
+    // so we don't hold private keys for ones it dropped.
+    const oneTimeKeys = this.oneTimeKeys.length ? null : this.genOneTimeKeys()
+    const signPreKey = this.genSignPreKey()
+    const pubKey = Buffer.from(this.pubKey).toString('hex')
+    const pubSignPreKey = signPreKey.pubKey.toString('hex')
+    const preKeySig = Buffer.from(signPreKey.sig).toString('hex')
+    const { id: signPreKeyId, timestamp } = signPreKey
+    const bundle = { pubKey, pubSignPreKey, signPreKeyId, preKeySig, timestamp }
+
+    if (oneTimeKeys) {
+      bundle.oneTimeKeys = oneTimeKeys.map(({ pubKey }) => pubKey.toString('hex'))
+    }
+
+    const headers = { 'Content-Type': 'application/json' }
+    const data = JSON.stringify(bundle)
+
+    let resp
+
+    try {
+      resp = await this.httpRequest(this.signRequest({ data, headers, method: 'PUT', path: '/bundle' }))
+    } finally {
+      // Keep rotating after a failed attempt, e.g. if the server was briefly unreachable.
+      // Another call may have armed the timer while this request was in flight.
+      clearTimeout(this.rotationTimer)
+
+      if (this.signPreKeyInterval) {
+        this.rotationTimer = setTimeout(() => {
+          this.publishBundle().catch(err => this.emit('error', err))
+        }, this.signPreKeyInterval)
+
+        this.rotationTimer.unref()
+      }
+    }
+
+    if (resp.statusCode !== 201) {
+      throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
+    }
+
+    // Only retire the current signed prekey once the server serves the new one.
+    this.rotateSignPreKey(signPreKey)
+
+    if (oneTimeKeys) {
+      this.oneTimeKeys.push(...oneTimeKeys)
+    }
+
+    return Buffer.from(this.pubKey)
+  }
+
+  /**
+   * Generate and sign a signed prekey to follow the current one.
+   *
+   * @return {Object}
+   */
+  genSignPreKey () {
+    const now = Date.now()
+    const prev = this.signPreKey
+    const { pubKey, privKey } = util.genKeyPair()
+
+    // The timestamp must increase with each bundle so the server can reject old ones.
+    const timestamp = prev ? Math.max(now, prev.timestamp + 1) : now
+    const data = util.canonicalSignPreKey({ timestamp, pubSignPreKey: pubKey })
+    const sig = axl.sign(this.privKey, data, nacl.randomBytes(64))
+    const id = prev ? prev.id + 1 : 0
+
+    return { id, pubKey, privKey, sig, timestamp, retiredAt: null }
+  }
+
+  /**
+   * Make a signed prekey the current one, retire the previous one, and erase expired ones.
+   *
+   * @param  {Object} [signPreKey] - the new signed prekey (default: a newly generated one)
+   *
+   * @return {Object} the new signed prekey
+   */
+  rotateSignPreKey (signPreKey = this.genSignPreKey()) {
+    const prev = this.signPreKey
+
+    if (prev) {
+      prev.retiredAt = Date.now()
+    }
+
+    this.signPreKeys.push(signPreKey)
+    this.pruneSignPreKeys()
+
+    return signPreKey
+  }
+
+  /**
+   * Securely erase signed prekeys that are beyond args.maxSignPreKeys
+   * and were retired longer than args.signPreKeyGracePeriod ago.
+   */
+  pruneSignPreKeys () {
+    const now = Date.now()
+    const start = this.signPreKeys.length - this.maxSignPreKeys
+
+    this.signPreKeys = this.signPreKeys.filter((signPreKey, i) => {
+      if (i >= start || now - signPreKey.retiredAt < this.signPreKeyGracePeriod) {
+        return true
+      }
+
+      signPreKey.privKey.fill(0)
+
+      return false
+    })
+  }
+
+  /**
+   * Generate a batch of one-time prekeys.
+   * The caller keeps them once the server accepts them.
+   *
+   * @return {Object[]}
+   */
+  genOneTimeKeys () {
+    const oneTimeKeys = []
+
+    for (let i = 0; i < this.batchSize; i++) {
+      const { pubKey, privKey } = util.genKeyPair()
+      oneTimeKeys.push({ pubKey, privKey })
+    }
+
+    return oneTimeKeys
+  }
+
+  /**
+   * Get the number of one-time prekeys the server has left in our bundle.
+   *
+   * @return {Promise<Number>}
+   */
+  async getOneTimeKeyCount () {
+    const resp = await this.httpRequest(this.signRequest({ path: `/bundle/${this.id}/count` }))
+
+    if (resp.statusCode !== 200) {
+      throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
+    }
+
+    return JSON.parse(resp.data).count
+  }
+
+  /**
+   * Publish a batch of one-time prekeys without rotating the signed prekey.
+   *
+   * @return {Promise}
+   */
+  async publishOneTimeKeys () {
+    const oneTimeKeys = this.genOneTimeKeys()
+    const timestamp = this.keysTimestamp = Math.max(Date.now(), this.keysTimestamp + 1)
+    const random = nacl.randomBytes(64)
+
+    const msg = util.canonicalKeys({ timestamp, oneTimeKeys: oneTimeKeys.map(({ pubKey }) => pubKey) })
+    const sig = Buffer.from(axl.sign(this.privKey, msg, random)).toString('hex')
+    const headers = { 'Content-Type': 'application/json' }
+    const pubKeys = oneTimeKeys.map(({ pubKey }) => pubKey.toString('hex'))
+    const data = JSON.stringify({ oneTimeKeys: pubKeys, timestamp, sig })
+    const resp = await this.httpRequest(this.signRequest({ data, headers, method: 'POST', path: `/bundle/${this.id}/keys` }))
+
+    if (resp.statusCode !== 201) {
+      throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
+    }
+
+    this.oneTimeKeys.push(...oneTimeKeys)
+  }
+
+  /**
+   * Publish a batch of one-time prekeys if the server has fewer than args.minOneTimeKeys left.
+   *
+   * @return {Promise<Boolean>} whether one-time prekeys were published
+   */
+  async replenishOneTimeKeys () {
+    const count = await this.getOneTimeKeyCount()
+
+    if (count >= this.minOneTimeKeys) return false
+
+    await this.publishOneTimeKeys()
+
+    return true
+  }
+
+  /**
+   * Fetch peer bundle from server and send initial message to establish session.
+   *
+   * @param  {Buffer}           peerKey   - the peer's public key
+   * @param  {(Buffer|String)}  plaintext - the initial plaintext to encrypt and send
+   * @param  {String}           [contact] - the peer's name in the trust store (default: the peer's ID)
+   * @param  {Number}           [hops]    - the number of handovers followed so far
+   *
+   * @return {Promise}
+   */
+  async sendInitMessage (peerKey, plaintext, contact = Client.id(peerKey), hops = 0) {
+    util.validate(
+      ['peerKey', 'a public key', peerKey],
+      ['plaintext', 'a buffer or string', plaintext],
+      ['contact', 'a non-empty string', contact]
+    )
+
+    if (await this.trustStore.getRevocation(peerKey)) {
+      throw new Error('Identity revoked')
+    }
+
+    const id = Client.id(peerKey)
+    const path = '/bundle/' + id
+    let resp = await this.httpRequest({ path })
+
+    if (resp.statusCode === 410) {
+      await this.handleRevocation(peerKey, JSON.parse(resp.data))
+    }
+
+    if (resp.statusCode === 308) {
+      if (hops === MAX_HANDOVERS) {
+        throw new Error('Too many handovers')
+      }
+
+      const newKey = await this.handleHandover(peerKey, contact, JSON.parse(resp.data))
+      return this.sendInitMessage(newKey, plaintext, contact, hops + 1)
+    }
+
+    if (resp.statusCode !== 200) {
+      throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
+    }
+
+    // Check trust once we've followed any handovers, since the trust store may already have the contact's new key.
+    const trust = await this.checkIdentity(contact, peerKey)
+    const bundle = JSON.parse(resp.data)
+    const { signPreKeyId, timestamp } = bundle
+    let pubSignPreKey = Buffer.from(bundle.pubSignPreKey, 'hex')
+    const preKeySig = Buffer.from(bundle.preKeySig, 'hex')
+    const signed = util.canonicalSignPreKey({ timestamp, pubSignPreKey })
+    const valid = axl.verify(peerKey, signed, preKeySig)
+
+    if (!valid) {
+      throw new Error('Invalid signature')
+    }
+
+    if (this.maxBundleAge && Date.now() - timestamp > this.maxBundleAge) {
+      throw new Error('Bundle expired')
+    }
+
+    const ephemeral = util.genKeyPair()
+    let oneTimeKey = bundle.oneTimeKey && Buffer.from(bundle.oneTimeKey, 'hex')
+
+    const dhs = [
+      nacl.scalarMult(this.privKey, pubSignPreKey),
+      nacl.scalarMult(ephemeral.privKey, peerKey),
+      nacl.scalarMult(ephemeral.privKey, pubSignPreKey)
+    ]
+
+    if (oneTimeKey) {
+      dhs.push(nacl.scalarMult(ephemeral.privKey, oneTimeKey))
+      oneTimeKey = oneTimeKey.toString('hex')
+    }
+
+    const ad = Buffer.concat([this.pubKey, peerKey])
+    const info = Buffer.concat([this.info, Buffer.from(this.suite)])
+    const ikm = Buffer.concat([Buffer.alloc(32, 0xFF), ...dhs])
+    let okm = util.hkdf({ ikm, info, length: 96 })
+    const secKeys = []
+
+    for (let i = 0; i < 3; i++) {
+      secKeys.push(okm.slice(0, 32))
+      okm = okm.slice(32)
+    }
+
+    const session = new Session()
+
+    session.init({ ad, info, keyPair: this, peerKey, secKeys, suite: this.suite })
+    session.trust = trust
+
+    let { header, payload } = await session.encrypt(plaintext)
+
+    const pubKey = Buffer.from(this.pubKey).toString('hex')
+    const ephemeralKey = Buffer.from(ephemeral.pubKey).toString('hex')
+    pubSignPreKey = pubSignPreKey.toString('hex')
+    peerKey = Buffer.from(peerKey).toString('hex')
+    header = header.toString('hex')
+    payload = payload.toString('hex')
+
+    const { suite } = this
+    const data = JSON.stringify({ pubKey, peerKey, pubSignPreKey, signPreKeyId, ephemeralKey, oneTimeKey, suite, header, payload })
+    const headers = { 'Content-Type': 'application/json' }
+    resp = await this.httpRequest({ data, headers, method: 'POST', path: '/message' })
+
+    if (resp.statusCode !== 201) {
+      throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
+    }
+
+    this.sessions.set(resp.data, session)
+
+    return resp.data
+  }
+
+  /**
+   * Revoke our identity key so peers can't start new sessions with it, e.g. if it's compromised.
+   * The server deletes our bundle and serves the signed revocation in its place.
+   *
+   * @return {Promise<Object>} the revocation
+   */
+  async revoke () {
+    clearTimeout(this.rotationTimer)
+
+    const timestamp = Date.now()
+    const signed = util.canonicalRevocation({ pubKey: this.pubKey, timestamp })
+    const sig = Buffer.from(axl.sign(this.privKey, signed, nacl.randomBytes(64))).toString('hex')
+    const revocation = { pubKey: this.id, timestamp, sig }
+
+    const headers = { 'Content-Type': 'application/json' }
+    const data = JSON.stringify({ timestamp, sig })
+    const resp = await this.httpRequest(this.signRequest({ data, headers, method: 'DELETE', path: '/bundle/' + this.id }))
+
+    if (resp.statusCode !== 200) {
+      throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
+    }
+
+    return revocation
+  }
+
+  /**
+   * Replace our identity key with a new one, e.g. before the old one is exposed.
+   * Both keys sign the handover so peers can move their trust to the new key,
+   * and the server redirects requests for our old bundle to the new one.
+   *
+   * @return {Promise<Object>} the handover
+   */
+  async rotateIdentity () {
+    clearTimeout(this.rotationTimer)
+
+    const seed = nacl.randomBytes(32)
+    const kp = axl.generateKeyPair(seed)
+    const timestamp = Date.now()
+    const signed = util.canonicalHandover({ oldKey: this.pubKey, newKey: kp.public, timestamp })
+    const oldSig = Buffer.from(axl.sign(this.privKey, signed, nacl.randomBytes(64))).toString('hex')
+    const newSig = Buffer.from(axl.sign(kp.private, signed, nacl.randomBytes(64))).toString('hex')
+    const handover = { oldKey: this.id, newKey: Client.id(kp.public), timestamp, oldSig, newSig }
+
+    const headers = { 'Content-Type': 'application/json' }
+    const data = JSON.stringify({ newKey: handover.newKey, timestamp, oldSig, newSig })
+    const resp = await this.httpRequest(this.signRequest({ data, headers, method: 'POST', path: `/bundle/${this.id}/handover` }))
+
+    if (resp.statusCode !== 201) {
+      throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
+    }
+
+    // Keep the old identity to connect to existing sessions and receive initial messages still addressed to it.
+    const { pubKey, privKey, id, signPreKeys, oneTimeKeys } = this
+
+    this.retiredIdentities.push({ pubKey, privKey, id, signPreKeys, oneTimeKeys })
+
+    this.pubKey = kp.public
+    this.privKey = kp.private
+    this.id = handover.newKey
+    this.signPreKeys = []
+    this.oneTimeKeys = []
+    this.keysTimestamp = 0
+
+    // The multiplexed connection authenticated the old identity, so sessions on the new one couldn't join it.
+    // Its sessions disconnect, and reconnect on connections of their own if args.autoReconnect is set.
+    if (this.muxConn) {
+      const conn = this.muxConn
+
+      this.handleMuxClose(conn, 'closed')
+      conn.close()
+    }
+
+    await this.publishBundle()
+
+    return handover
+  }
+
+  /**
+   * Verify a peer's handover to a new identity key and move their trust record to it.
+   *
+   * @param  {Buffer}  peerKey  - the peer's old identity key
+   * @param  {String}  contact  - the peer's name in the trust store
+   * @param  {Object}  handover - the handover from the server
+   *
+   * @return {Promise<Buffer>} the peer's new identity key
+   */
+  async handleHandover (peerKey, contact, handover) {
+    util.validate(
+      ['handover.newKey', 'a public key', handover.newKey],
+      ['handover.oldSig', 'a signature', handover.oldSig],
+      ['handover.newSig', 'a signature', handover.newSig]
+    )
+
+    const newKey = Buffer.from(handover.newKey, 'hex')
+    const signed = util.canonicalHandover({ oldKey: peerKey, newKey, timestamp: handover.timestamp })
+
+    if (
+      !axl.verify(peerKey, signed, Buffer.from(handover.oldSig, 'hex')) ||
+      !axl.verify(newKey, signed, Buffer.from(handover.newSig, 'hex'))
+    ) {
+      throw new Error('Invalid signature: handover')
+    }
+
+    await this.trustStore.handover(contact, peerKey, newKey)
+
+    this.emit('identityHandover', {
+      contact,
+      oldKey: Client.id(peerKey),
+      newKey: handover.newKey
+    })
+
+    return newKey
+  }
+
+  /**
+   * Verify and record a peer's revocation, then refuse to start a session with them.
+   *
+   * @param  {Buffer}  peerKey    - the peer's identity key
+   * @param  {Object}  revocation - the revocation from the server
+   */
+  async handleRevocation (peerKey, revocation) {
+    const signed = util.canonicalRevocation({ pubKey: peerKey, timestamp: revocation.timestamp })
+    const valid = axl.verify(peerKey, signed, Buffer.from(revocation.sig, 'hex'))
+
+    if (!valid) {
+      throw new Error('Invalid signature: revocation')
+    }
+
+    const { timestamp, sig } = revocation
+
+    await this.trustStore.revoke({ pubKey: Client.id(peerKey), timestamp, sig })
+
+    throw new Error('Identity revoked')
+  }
+
+  /**
+   * Fetch every initial message addressed to us from the server and establish sessions with the senders.
+   * Messages that can't be received are emitted as errors.
+   *
+   * @return {Promise<Object[]>} the session ID, sender's public key, and plaintext for each message received
+   */
+  async fetchInitMessages () {
+    const msgs = []
+
+    for (const identity of [this, ...this.retiredIdentities]) {
+      const resp = await this.httpRequest(this.signRequest({ path: '/messages' }, identity))
+
+      if (resp.statusCode !== 200) {
+        throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
+      }
+
+      msgs.push(...JSON.parse(resp.data))
+    }
+
+    const results = []
+
+    for (const { sid, pubKey } of msgs) {
+      try {
+        const plaintext = await this.recvInitMessage(sid)
+        const result = { sid, pubKey: Buffer.from(pubKey, 'hex'), plaintext }
+
+        /**
+         * Emitted when an initial message is received via Client#fetchInitMessages().
+         * @event Client#initMessage
+         *
+         * @type {Object}
+         */
+        this.emit('initMessage', result)
+        results.push(result)
+      } catch (err) {
+        this.emit('error', err)
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * Receive initial message from server to establish session with peer.
+   *
+   * @param  {String}   sid       - the session ID
+   * @param  {String}   [contact] - the peer's name in the trust store (default: the peer's ID)
+   *
+   * @return {Promise}
+   */
+  async recvInitMessage (sid, contact) {
+    util.validate(['sid', 'a UUID', sid])
+
+    if (contact !== undefined) {
+      util.validate(['contact', 'a non-empty string', contact])
+    }
+
+    let identity, resp
+
+    // The message may be addressed to an identity we've since rotated away from.
+    for (identity of [this, ...this.retiredIdentities]) {
+      resp = await this.httpRequest(this.signRequest({ path: '/message/' + sid }, identity))
+
+      if (resp.statusCode !== 403) break
+    }
 
     if (resp.statusCode !== 200) {
       throw new Error(`Code ${resp.statusCode}: ${resp.data}`)
     }
 
     const msg = JSON.parse(resp.data)
+
+    if (msg.suite !== this.suite) {
+      throw new Error('Cipher suite mismatch')
+    }
+
+    if (await this.trustStore.getRevocation(msg.pubKey)) {
+      throw new Error('Identity revoked')
+    }
+
     const pubKey = Buffer.from(msg.pubKey, 'hex')
     const pubSignPreKey = Buffer.from(msg.pubSignPreKey, 'hex')
     const ephemeralKey = Buffer.from(msg.ephemeralKey, 'hex')
-    let oneTimeKey = Buffer.from(msg.oneTimeKey, 'hex')
     const header = Buffer.from(msg.header, 'hex')
     const payload = Buffer.from(msg.payload, 'hex')
 
-    let privSignPreKey
-
-    if (pubSignPreKey.equals(this.pubSignPreKey)) {
-      ({ privSignPreKey } = this)
-    } else if (this.prevSignPreKey && pubSignPreKey.equals(this.prevSignPreKey.pubKey)) {
-      privSignPreKey = this.prevSignPreKey.privKey
-    } else {
-      throw new Error('Couldn\'t determine privSignPreKey')
-    }
+    this.pruneSignPreKeys()
 
-    oneTimeKey = this.oneTimeKeys.find(({ pubKey }) => oneTimeKey.equals(pubKey))
+    const signPreKey = identity.signPreKeys.find(({ id }) => id === msg.signPreKeyId)
 
-    if (!oneTimeKey) {
-      throw new Error('Couldn\'t find oneTimeKey')
+    if (!signPreKey || !pubSignPreKey.equals(signPreKey.pubKey)) {
+      throw new Error('Couldn\'t determine privSignPreKey')
     }
 
-    this.oneTimeKeys = this.oneTimeKeys.filter(({ pubKey }) => !oneTimeKey.pubKey.equals(pubKey))
+    const privSignPreKey = signPreKey.privKey
 
     const dhs = [
       nacl.scalarMult(privSignPreKey, pubKey),
-      nacl.scalarMult(this.privKey, ephemeralKey),
-      nacl.scalarMult(privSignPreKey, ephemeralKey),
-      nacl.scalarMult(oneTimeKey.privKey, ephemeralKey)
+      nacl.scalarMult(identity.privKey, ephemeralKey),
+      nacl.scalarMult(privSignPreKey, ephemeralKey)
     ]
 
-    const ad = Buffer.concat([pubKey, this.pubKey])
+    // The initial message omits oneTimeKey if the server ran out of them.
+    if (msg.oneTimeKey) {
+      const pubOneTimeKey = Buffer.from(msg.oneTimeKey, 'hex')
+      const oneTimeKey = identity.oneTimeKeys.find(({ pubKey }) => pubOneTimeKey.equals(pubKey))
+
+      if (!oneTimeKey) {
+        throw new Error('Couldn\'t find oneTimeKey')
+      }
+
+      identity.oneTimeKeys = identity.oneTimeKeys.filter(({ pubKey }) => !pubOneTimeKey.equals(pubKey))
+      dhs.push(nacl.scalarMult(oneTimeKey.privKey, ephemeralKey))
+    }
+
+    const ad = Buffer.concat([pubKey, identity.pubKey])
+    const info = Buffer.concat([this.info, Buffer.from(this.suite)])
     const ikm = Buffer.concat([Buffer.alloc(32, 0xFF), ...dhs])
-    let okm = util.hkdf({ ikm, info: this.info, length: 96 })
+    let okm = util.hkdf({ ikm, info, length: 96 })
     const secKeys = []
 
     for (let i = 0; i < 3; i++) {
@@ -354,59 +1824,487 @@ class Client extends EventEmitter {
 
     const session = new Session()
 
-    session.init({ ad, info: this.info, keyPair: this, secKeys })
+    session.init({ ad, info, keyPair: identity, secKeys, suite: this.suite })
+
+    const plaintext = session.decrypt({ header, payload })
+
+    // Only check the sender's identity key once decryption has authenticated it.
+    session.trust = await this.checkIdentity(contact || msg.pubKey, pubKey)
     this.sessions.set(sid, session)
 
-    return session.decrypt({ header, payload })
+    if (this.minOneTimeKeys && identity === this) {
+      try {
+        await this.replenishOneTimeKeys()
+      } catch (err) {
+        this.emit('error', err)
+      }
+    }
+
+    return plaintext
   }
 
-  handleClose (sid) {
-    this.conns.delete(sid)
-    this.sessions.delete(sid)
+  handleClose (sid, conn, reason) {
+    const dropped = this.conns.get(sid) === conn
+
+    if (this.channels.get(sid) === conn) {
+      this.channels.delete(sid)
+    }
+
+    if (dropped) {
+      this.conns.delete(sid)
+    } else {
+      reason = 'requested'
+    }
 
     /**
      * Emitted when session WebSocket closes.
-     * @event Client#disconnected
+     * The session is kept so the client can reconnect to it.
+     * The reason is "requested" (we called disconnect()), "idle" (the server closed an idle relay),
+     * "timeout" (the server stopped answering), or "closed" (anything else).
+     * @event Client#disconnect
      *
-     * @type {String}
+     * @param {String} sid    - the session ID
+     * @param {String} reason - why the connection closed
      */
-    this.emit('disconnect', sid)
+    this.emit('disconnect', sid, reason)
+
+    // Cancel acks, requests and streams in the session unless another connection replaced this one.
+    if (!this.conns.has(sid)) {
+      for (const [id, ack] of this.acks) {
+        if (ack.sid !== sid) continue
+
+        clearTimeout(ack.timer)
+        this.acks.delete(id)
+        ack.reject(new Error('Disconnected'))
+      }
+
+      for (const [id, request] of this.requests) {
+        if (request.sid !== sid) continue
+
+        clearTimeout(request.timer)
+        this.requests.delete(id)
+        request.reject(new Error('Disconnected'))
+      }
+
+      for (const transfer of this.transfers.values()) {
+        if (transfer.sid !== sid) continue
+
+        transfer.error = new Error('Disconnected')
+        transfer.readable.destroy(transfer.error)
+        transfer.wake()
+      }
+
+      for (const [id, incoming] of this.streams) {
+        if (incoming.sid !== sid) continue
+
+        this.streams.delete(id)
+        incoming.stream.destroy(new Error('Disconnected'))
+      }
+
+      const duplex = this.duplexes.get(sid)
+
+      if (duplex) {
+        duplex.stream.destroy(new Error('Disconnected'))
+      }
+    }
+
+    // Reconnecting to an idle relay would only keep it open for no reason.
+    if (dropped && this.autoReconnect && reason !== 'idle') {
+      this.scheduleReconnect(sid)
+    }
+  }
+
+  closeReason (conn, code) {
+    if (this.timedOut.has(conn)) return 'timeout'
+    if (code === util.IDLE_CLOSE_CODE) return 'idle'
+
+    return 'closed'
+  }
+
+  /**
+   * Drop a connection if the server doesn't ping or message us within args.heartbeatTimeout.
+   *
+   * @param  {WebSocket}  conn
+   */
+  watchConn (conn) {
+    if (!this.heartbeatTimeout) return
+
+    let timer
+
+    const reset = () => {
+      clearTimeout(timer)
+
+      timer = setTimeout(() => {
+        this.timedOut.add(conn)
+        conn.terminate()
+      }, this.heartbeatTimeout)
+
+      timer.unref()
+    }
+
+    reset()
+
+    conn
+      .on('ping', reset)
+      .on('message', reset)
+      .once('close', () => clearTimeout(timer))
   }
 
   handleMessage (session, sid, msg) {
+    let type, header, payload
+
+    // Peers that predate the binary format, or picked JSON, send JSON messages.
     try {
-      msg = JSON.parse(msg)
-    } catch {
+      ({ type, header, payload } = util.decodeMessage(msg))
+    } catch (err) {
       /**
        * @event Client#error
        *
        * @type {Error}
        */
-      this.emit('error', new Error('Invalid message'))
+      this.emit('error', err)
       return
     }
 
-    const header = Buffer.from(msg.header, 'hex')
-    const payload = Buffer.from(msg.payload, 'hex')
-
     let plaintext
 
     try {
-      plaintext = session.decrypt({ header, payload })
+      plaintext = session.decrypt({ header, payload }, util.envelopeAd(type))
     } catch {
       this.emit('error', new Error('Decryption failed'))
       return
     }
 
+    if (type === 'stream') {
+      this.handleStreamFrame(sid, plaintext)
+      return
+    }
+
+    if (type === 'receipt') {
+      this.handleReceipt(sid, plaintext)
+      return
+    }
+
+    if (type === 'rpc') {
+      this.handleRpcFrame(sid, plaintext)
+      return
+    }
+
+    if (type === 'duplex') {
+      this.handleDuplexFrame(sid, plaintext)
+      return
+    }
+
+    let id = null
+
+    // Peers that predate message IDs send "message" envelopes without one, and don't understand receipts.
+    if (type === 'identified') {
+      try {
+        id = uuid.stringify(plaintext.slice(0, 16))
+      } catch {
+        this.emit('error', new Error('Invalid message'))
+        return
+      }
+
+      plaintext = plaintext.slice(16)
+
+      // There's no one to acknowledge the message to if we aren't connected anymore.
+      try {
+        this.transmit(sid, 'receipt', util.encodeReceipt({ kind: 'delivered', id }))
+      } catch {}
+    }
+
     /**
      * Emitted when client receives message for a certain session.
      * @event Client#message
      *
      * @type     {Object}
      * @property {String} sid       - the session ID
+     * @property {String} id        - the message ID, or null if the peer's version doesn't send one
      * @property {Buffer} plaintext - the plaintext message
      */
-    this.emit('message', { sid, plaintext })
+    this.emit('message', { sid, id, plaintext })
+  }
+
+  handleRpcFrame (sid, plaintext) {
+    let frame
+
+    try {
+      frame = util.decodeRpcFrame(plaintext)
+    } catch (err) {
+      this.emit('error', err)
+      return
+    }
+
+    const { kind, id, data } = frame
+
+    if (kind === 'request') {
+      this.handleRequest(sid, id, data.body)
+      return
+    }
+
+    const request = this.requests.get(id)
+
+    // The request timed out or was cancelled.
+    if (!request || request.sid !== sid) return
+
+    clearTimeout(request.timer)
+    this.requests.delete(id)
+
+    if ('error' in data) {
+      request.reject(new Error(data.error))
+    } else {
+      request.resolve(data.body)
+    }
+  }
+
+  async handleRequest (sid, id, body) {
+    const handler = this.handlers.get(sid) || this.handlers.get('*')
+
+    let frame
+
+    try {
+      if (!handler) {
+        throw new Error('No handler')
+      }
+
+      frame = util.encodeRpcFrame({ kind: 'response', id, data: { body: await handler(body, { sid, id }) } })
+    } catch (err) {
+      const error = err instanceof Error ? err.message : String(err)
+
+      frame = util.encodeRpcFrame({ kind: 'response', id, data: { error } })
+    }
+
+    // There's no one to respond to if we disconnected in the meantime.
+    try {
+      this.transmit(sid, 'rpc', frame)
+    } catch {}
+  }
+
+  handleReceipt (sid, plaintext) {
+    let receipt
+
+    try {
+      receipt = util.decodeReceipt(plaintext)
+    } catch (err) {
+      this.emit('error', err)
+      return
+    }
+
+    const { kind, id } = receipt
+    const ack = this.acks.get(id)
+
+    if (kind === 'delivered' && ack && ack.sid === sid) {
+      clearTimeout(ack.timer)
+      this.acks.delete(id)
+      ack.resolve(id)
+    }
+
+    /**
+     * Emitted when the peer decrypts a message we sent.
+     * @event Client#delivered
+     *
+     * @type     {Object}
+     * @property {String} sid - the session ID
+     * @property {String} id  - the message ID
+     */
+
+    /**
+     * Emitted when the peer marks a message we sent as read.
+     * @event Client#read
+     *
+     * @type     {Object}
+     * @property {String} sid - the session ID
+     * @property {String} id  - the message ID
+     */
+    this.emit(kind, { sid, id })
+  }
+
+  handleDuplexFrame (sid, plaintext) {
+    let frame
+
+    try {
+      frame = util.decodeDuplexFrame(plaintext)
+    } catch (err) {
+      this.emit('error', err)
+      return
+    }
+
+    const { kind, seq, body } = frame
+    const duplex = this.duplexes.get(sid)
+
+    // Once both sides ended, the peer can close its stream (and cancel ours) before we read everything it sent.
+    if (kind === 'cancel') {
+      if (duplex && !(duplex.ended && duplex.finished)) {
+        this.duplexes.delete(sid)
+        duplex.stream.destroy(new Error('Stream cancelled by peer'))
+      }
+
+      return
+    }
+
+    // The peer is writing to or listening on a stream we didn't open or already closed.
+    if (!duplex) {
+      this.cancelDuplex(sid)
+      return
+    }
+
+    if (kind === 'window') {
+      if (seq > duplex.window) {
+        duplex.window = seq
+        duplex.wake()
+      }
+
+      return
+    }
+
+    if (seq !== duplex.received + 1) {
+      duplex.stream.destroy(new Error('Missing chunk'))
+      return
+    }
+
+    duplex.received = seq
+
+    if (kind === 'data') {
+      // The peer wrote more than we let it, so it would keep us buffering.
+      if (seq > duplex.granted) {
+        duplex.stream.destroy(new Error('Window exceeded'))
+        return
+      }
+
+      duplex.stream.push(body)
+      return
+    }
+
+    duplex.ended = true
+    duplex.stream.push(null)
+  }
+
+  handleStreamFrame (sid, plaintext) {
+    let frame
+
+    try {
+      frame = util.decodeStreamFrame(plaintext)
+    } catch (err) {
+      this.emit('error', err)
+      return
+    }
+
+    const { kind, id, seq, body } = frame
+
+    if (kind === 'start') {
+      this.handleStreamStart(sid, id, body)
+      return
+    }
+
+    const transfer = this.transfers.get(id)
+    const incoming = this.streams.get(id)
+
+    if (kind === 'cancel') {
+      if (transfer && transfer.sid === sid) {
+        transfer.error = new Error('Stream cancelled by peer')
+        transfer.readable.destroy(transfer.error)
+        transfer.wake()
+      }
+
+      if (incoming && incoming.sid === sid) {
+        this.streams.delete(id)
+        incoming.stream.destroy(new Error('Stream cancelled'))
+      }
+
+      return
+    }
+
+    if (kind === 'window') {
+      if (transfer && transfer.sid === sid && seq > transfer.window) {
+        transfer.window = seq
+        transfer.wake()
+      }
+
+      return
+    }
+
+    // Chunks can still arrive for a stream we cancelled.
+    if (!incoming || incoming.sid !== sid) return
+
+    // A chunk went missing, e.g. because the server dropped it while we were offline.
+    if (seq !== incoming.seq + 1) {
+      incoming.stream.destroy(new Error('Missing chunk'))
+      return
+    }
+
+    incoming.seq = seq
+
+    if (kind === 'data') {
+      // The peer sent more than we let it, so it would keep us buffering.
+      if (seq > incoming.window) {
+        incoming.stream.destroy(new Error('Window exceeded'))
+        return
+      }
+
+      incoming.hash.update(body)
+      incoming.stream.push(body)
+      return
+    }
+
+    this.streams.delete(id)
+
+    if (!util.safeEqual(incoming.hash.digest(), body)) {
+      incoming.stream.destroy(new Error('Digest mismatch'))
+      return
+    }
+
+    incoming.stream.push(null)
+  }
+
+  handleStreamStart (sid, id, body) {
+    let metadata
+
+    try {
+      metadata = JSON.parse(body)
+    } catch {
+      this.emit('error', new Error('Invalid stream frame'))
+      return
+    }
+
+    const incoming = {
+      sid,
+      seq: 0,
+      window: 0,
+      hash: crypto.createHash('sha256')
+    }
+
+    incoming.stream = new Readable({
+      // Only let the peer send more once the chunks it sent are being read.
+      read: () => this.extendStream(sid, id, incoming),
+
+      destroy: (err, cb) => {
+        // Tell the peer to stop sending unless the stream already ended or the peer cancelled it.
+        if (this.streams.get(id) === incoming) {
+          this.streams.delete(id)
+          this.cancelStream(sid, id)
+        }
+
+        cb(err)
+      }
+    })
+
+    this.streams.set(id, incoming)
+
+    /**
+     * Emitted when a peer starts sending a stream.
+     * The stream errors if the peer cancels it or the data doesn't match the digest the peer sends at the end.
+     * @event Client#stream
+     *
+     * @type     {Object}
+     * @property {String}          sid      - the session ID
+     * @property {String}          id       - the transfer ID
+     * @property {Object}          metadata - information about the data from the peer
+     * @property {stream.Readable} stream   - the data
+     */
+    this.emit('stream', { sid, id, metadata, stream: incoming.stream })
+
+    this.extendStream(sid, id, incoming)
   }
 }
 
@@ -0,0 +1,106 @@
+'use strict'
+
+const fs = require('fs')
+const nacl = require('tweetnacl')
+const path = require('path')
+const Store = require('./store')
+
+/**
+ * This class implements a durable store that writes each value to a JSON file
+ * in a directory per namespace, so state survives restarts.
+ *
+ * Writes to the same key are serialized within the process.
+ */
+class FileStore extends Store {
+  /**
+   * @param {String} dir - the directory to write files to
+   */
+  constructor (dir) {
+    super()
+
+    this.dir = dir
+    this.locks = new Map()
+  }
+
+  path (ns, key) {
+    return path.join(this.dir, ns, encodeURIComponent(key) + '.json')
+  }
+
+  lock (ns, key, fn) {
+    const id = ns + '/' + key
+    const prev = this.locks.get(id) || Promise.resolve()
+    const promise = prev.then(fn)
+    const next = promise.catch(() => {})
+
+    this.locks.set(id, next)
+
+    next.then(() => {
+      if (this.locks.get(id) === next) {
+        this.locks.delete(id)
+      }
+    })
+
+    return promise
+  }
+
+  async read (ns, key) {
+    let data
+
+    try {
+      data = await fs.promises.readFile(this.path(ns, key), 'utf8')
+    } catch (err) {
+      if (err.code === 'ENOENT') return
+      throw err
+    }
+
+    return JSON.parse(data)
+  }
+
+  async write (ns, key, value) {
+    const filename = this.path(ns, key)
+    const tmpname = filename + '.' + Buffer.from(nacl.randomBytes(8)).toString('hex')
+
+    await fs.promises.mkdir(path.dirname(filename), { recursive: true })
+    await fs.promises.writeFile(tmpname, JSON.stringify(value))
+    await fs.promises.rename(tmpname, filename)
+  }
+
+  async unlink (ns, key) {
+    try {
+      await fs.promises.unlink(this.path(ns, key))
+    } catch (err) {
+      if (err.code === 'ENOENT') return false
+      throw err
+    }
+
+    return true
+  }
+
+  get (ns, key) {
+    return this.lock(ns, key, () => this.read(ns, key))
+  }
+
+  put (ns, key, value) {
+    return this.lock(ns, key, () => this.write(ns, key, value))
+  }
+
+  delete (ns, key) {
+    return this.lock(ns, key, () => this.unlink(ns, key))
+  }
+
+  update (ns, key, fn) {
+    return this.lock(ns, key, async () => {
+      const value = fn(await this.read(ns, key))
+
+      if (value === undefined) {
+        await this.unlink(ns, key)
+      } else {
+        await this.write(ns, key, value)
+      }
+
+      return value
+    })
+  }
+}
+
+module.exports = FileStore
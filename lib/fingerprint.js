@@ -0,0 +1,116 @@
+'use strict'
+
+const crypto = require('crypto')
+const util = require('./util')
+
+const VERSION = 1
+const ITERATIONS = 5200
+const HASH_LENGTH = 32
+const SCANNABLE_LENGTH = 1 + 2 * HASH_LENGTH
+
+const hashKey = pubKey => {
+  pubKey = typeof pubKey === 'string'
+    ? Buffer.from(pubKey, 'hex')
+    : Buffer.from(pubKey)
+
+  const version = Buffer.alloc(2)
+  version.writeUInt16BE(VERSION)
+
+  let hash = Buffer.concat([version, pubKey])
+
+  for (let i = 0; i < ITERATIONS; i++) {
+    hash = crypto.createHash('sha512')
+      .update(hash)
+      .update(pubKey)
+      .digest()
+  }
+
+  return hash.slice(0, HASH_LENGTH)
+}
+
+const numeric = hash => {
+  let digits = ''
+
+  for (let i = 0; i < 30; i += 5) {
+    digits += (hash.readUIntBE(i, 5) % 1e5).toString().padStart(5, '0')
+  }
+
+  return digits
+}
+
+const group = (str, size) => str.match(new RegExp(`.{${size}}`, 'g')).join(' ')
+
+const parseScannable = str => {
+  const buf = Buffer.from(str, 'base64')
+
+  if (buf.byteLength !== SCANNABLE_LENGTH || buf[0] !== VERSION) return null
+
+  return {
+    local: buf.slice(1, 1 + HASH_LENGTH),
+    remote: buf.slice(1 + HASH_LENGTH)
+  }
+}
+
+/**
+ * Generate a safety number for a pair of identity keys.
+ * The numeric and hex formats are the same regardless of which peer generates them.
+ *
+ * @param  {Object}           args
+ * @param  {(Buffer|String)}  args.localKey  - our identity key
+ * @param  {(Buffer|String)}  args.remoteKey - the peer's identity key
+ *
+ * @return {Object} the safety number in numeric, hex, and scannable (base64) formats
+ */
+const generate = ({ localKey, remoteKey }) => {
+  util.validate(
+    ['args.localKey', 'a public key', localKey],
+    ['args.remoteKey', 'a public key', remoteKey]
+  )
+
+  const hashes = [hashKey(localKey), hashKey(remoteKey)]
+  const sorted = hashes.slice().sort(Buffer.compare)
+
+  const digits = sorted.map(numeric).join('')
+  const hex = sorted.map(hash => hash.slice(0, 16).toString('hex')).join('')
+  const scannable = Buffer.concat([Buffer.from([VERSION]), ...hashes]).toString('base64')
+
+  return {
+    numeric: group(digits, 5),
+    hex: group(hex, 4),
+    scannable
+  }
+}
+
+/**
+ * Compare two safety numbers in the same format.
+ * Scannable safety numbers match whether they were generated by the same peer or opposite peers.
+ *
+ * @param  {String} a
+ * @param  {String} b
+ *
+ * @return {Boolean}
+ */
+const compare = (a, b) => {
+  util.validate(
+    ['a', 'a non-empty string', a],
+    ['b', 'a non-empty string', b]
+  )
+
+  const x = parseScannable(a)
+  const y = parseScannable(b)
+
+  if (x && y) {
+    return (util.safeEqual(x.local, y.local) && util.safeEqual(x.remote, y.remote)) ||
+      (util.safeEqual(x.local, y.remote) && util.safeEqual(x.remote, y.local))
+  }
+
+  const normalize = str => Buffer.from(str.replace(/\s/g, '').toLowerCase())
+
+  return util.safeEqual(normalize(a), normalize(b))
+}
+
+module.exports = {
+  VERSION,
+  compare,
+  generate
+}
@@ -2,5 +2,11 @@
 
 module.exports = {
   Client: require('./client'),
-  Server: require('./server')
+  FileStore: require('./file-store'),
+  fingerprint: require('./fingerprint'),
+  MemoryStore: require('./memory-store'),
+  Server: require('./server'),
+  Store: require('./store'),
+  suites: require('./suites'),
+  TrustStore: require('./trust-store')
 }
@@ -0,0 +1,91 @@
+'use strict'
+
+const crypto = require('crypto')
+const nacl = require('tweetnacl')
+const { promisify } = require('util')
+
+const scrypt = promisify(crypto.scrypt)
+
+// Bump this whenever the format of the keystore or the data sealed in it changes.
+const VERSION = 3
+
+const SCRYPT_PARAMS = {
+  N: 2 ** 15,
+  r: 8,
+  p: 1,
+  maxmem: 64 * 1024 * 1024
+}
+
+const deriveKey = ({ passphrase, salt, N, r, p }) => {
+  const { maxmem } = SCRYPT_PARAMS
+  const keyLength = nacl.secretbox.keyLength
+
+  return scrypt(passphrase, salt, keyLength, { N, r, p, maxmem })
+}
+
+/**
+ * Encrypt data with a key derived from a passphrase.
+ *
+ * @param  {Object}           args
+ * @param  {(Buffer|String)}  args.data
+ * @param  {String}           args.passphrase
+ *
+ * @return {Promise<String>} the keystore as JSON
+ */
+const seal = async ({ data, passphrase }) => {
+  const { N, r, p } = SCRYPT_PARAMS
+  const salt = Buffer.from(nacl.randomBytes(32))
+  const nonce = Buffer.from(nacl.randomBytes(nacl.secretbox.nonceLength))
+  const key = await deriveKey({ passphrase, salt, N, r, p })
+  const ciphertext = Buffer.from(nacl.secretbox(Buffer.from(data), nonce, key))
+
+  return JSON.stringify({
+    version: VERSION,
+    kdf: { name: 'scrypt', salt: salt.toString('hex'), N, r, p },
+    cipher: 'xsalsa20-poly1305',
+    nonce: nonce.toString('hex'),
+    ciphertext: ciphertext.toString('hex')
+  })
+}
+
+/**
+ * Decrypt a keystore with a passphrase.
+ *
+ * @param  {Object}           args
+ * @param  {(Buffer|String)}  args.blob
+ * @param  {String}           args.passphrase
+ *
+ * @return {Promise<Buffer>} the decrypted data
+ */
+const open = async ({ blob, passphrase }) => {
+  let keystore
+
+  try {
+    keystore = JSON.parse(blob)
+  } catch {
+    throw new Error('Invalid keystore')
+  }
+
+  if (!keystore || keystore.version !== VERSION) {
+    throw new Error('Unsupported keystore version')
+  }
+
+  const { kdf } = keystore
+  const salt = Buffer.from(kdf.salt, 'hex')
+  const nonce = Buffer.from(keystore.nonce, 'hex')
+  const ciphertext = Buffer.from(keystore.ciphertext, 'hex')
+  const key = await deriveKey({ passphrase, salt, N: kdf.N, r: kdf.r, p: kdf.p })
+  const data = nacl.secretbox.open(ciphertext, nonce, key)
+
+  if (!data) {
+    throw new Error('Invalid passphrase')
+  }
+
+  return Buffer.from(data)
+}
+
+module.exports = {
+  VERSION,
+  open,
+  seal
+}
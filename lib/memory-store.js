@@ -0,0 +1,60 @@
+'use strict'
+
+const Store = require('./store')
+
+/**
+ * This class implements an in-memory store.
+ * Everything is lost when the process exits.
+ */
+class MemoryStore extends Store {
+  constructor () {
+    super()
+
+    this.maps = new Map()
+  }
+
+  /**
+   * Get the map for a namespace, creating it if necessary.
+   *
+   * @param  {String} ns - the namespace
+   *
+   * @return {Map}
+   */
+  map (ns) {
+    let map = this.maps.get(ns)
+
+    if (!map) {
+      map = new Map()
+      this.maps.set(ns, map)
+    }
+
+    return map
+  }
+
+  async get (ns, key) {
+    return this.map(ns).get(key)
+  }
+
+  async put (ns, key, value) {
+    this.map(ns).set(key, value)
+  }
+
+  async delete (ns, key) {
+    return this.map(ns).delete(key)
+  }
+
+  async update (ns, key, fn) {
+    const map = this.map(ns)
+    const value = fn(map.get(key))
+
+    if (value === undefined) {
+      map.delete(key)
+    } else {
+      map.set(key, value)
+    }
+
+    return value
+  }
+}
+
+module.exports = MemoryStore
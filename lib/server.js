@@ -3,24 +3,74 @@
 const axl = require('axl')
 const EventEmitter = require('events')
 const https = require('https')
+const nacl = require('tweetnacl')
 const uuid = require('uuid')
 const WebSocket = require('ws')
+const MemoryStore = require('./memory-store')
 const util = require('./util')
 
+const AUTH_WINDOW = 5 * 60e3
+const MAX_QUEUE_LENGTH = 100
+const MAX_QUEUE_BYTES = 1 << 20
+const QUEUE_TTL = 60e3
+const SESSION_TTL = 60e3
+const INIT_MESSAGE_TTL = 30 * 24 * 60 * 60e3
+
+// The longest setTimeout() can wait.
+const MAX_DELAY = 2 ** 31 - 1
+const HEARTBEAT_INTERVAL = 30e3
+
 /**
  * This class implements an HTTPS/WebSocket server that facilitates secret negotation
  * and establishes secure channels between clients.
  */
 class Server extends EventEmitter {
-  constructor (opts) {
+  /**
+   * @param {Object} [opts]       - options passed to https.createServer()
+   * @param {Store}  [opts.store] - stores bundles, initial messages, and relay sessions (default: MemoryStore)
+   * @param {Number} [opts.authWindow] - how far a signed request's timestamp may be from the server's clock, in ms
+   * @param {Number} [opts.maxQueueLength] - the number of messages to hold for a peer that isn't connected
+   * @param {Number} [opts.maxQueueBytes]  - the total size of messages to hold for a peer that isn't connected
+   * @param {Number} [opts.queueTTL]       - how long to hold a message for a peer that isn't connected, in ms
+   * @param {Number} [opts.sessionTTL]     - how long to keep a session that neither peer is connected to, in ms
+   * @param {Number} [opts.initMessageTTL] - how long to hold an initial message the recipient hasn't picked up, in ms
+   * @param {Number} [opts.heartbeatInterval] - ping connections this often and drop ones that didn't answer the last ping, in ms (0 disables)
+   * @param {Number} [opts.idleTimeout]       - close relays that haven't carried a message for this long, in ms (0 disables)
+   */
+  constructor ({
+    store = new MemoryStore(),
+    authWindow = AUTH_WINDOW,
+    maxQueueLength = MAX_QUEUE_LENGTH,
+    maxQueueBytes = MAX_QUEUE_BYTES,
+    queueTTL = QUEUE_TTL,
+    sessionTTL = SESSION_TTL,
+    initMessageTTL = INIT_MESSAGE_TTL,
+    heartbeatInterval = HEARTBEAT_INTERVAL,
+    idleTimeout = 0,
+    ...opts
+  } = {}) {
     super()
 
-    this.bundles = new Map()
-    this.msgs = new Map()
-    this.sessions = new Map()
+    this.store = store
+    this.authWindow = authWindow
+    this.maxQueueLength = maxQueueLength
+    this.maxQueueBytes = maxQueueBytes
+    this.queueTTL = queueTTL
+    this.sessionTTL = sessionTTL
+    this.initMessageTTL = initMessageTTL
+    this.heartbeatInterval = heartbeatInterval
+    this.idleTimeout = idleTimeout
+    this.heartbeatTimer = null
+    this.idleTimers = new Map()
+
+    // Connections that answered the last ping.
+    this.alive = new WeakSet()
     this.conns = new Map()
     this.timeouts = new Map()
 
+    // Nonces of recently authenticated requests, which can't be replayed.
+    this.nonces = new Map()
+
     const server = this.https = https.createServer(opts, async (req, resp) => {
       try {
         await this.handleRequest(req, resp)
@@ -58,28 +108,97 @@ class Server extends EventEmitter {
       ['bundle.pubKey', 'a public key', bundle.pubKey],
       ['bundle.pubSignPreKey', 'a public key', bundle.pubSignPreKey],
       ['bundle.preKeySig', 'a signature', bundle.preKeySig],
-      ['bundle.oneTimeKeys', 'an array of public keys', bundle.oneTimeKeys]
+      ['bundle.oneTimeKeys', 'an array of public keys', bundle.oneTimeKeys || []],
+      ['bundle.signPreKeyId', 'a non-negative integer', bundle.signPreKeyId],
+      ['bundle.timestamp', 'a non-negative integer', bundle.timestamp]
     )
 
     const pubKey = Buffer.from(bundle.pubKey, 'hex')
     const pubSignPreKey = Buffer.from(bundle.pubSignPreKey, 'hex')
     const preKeySig = Buffer.from(bundle.preKeySig, 'hex')
-    const valid = axl.verify(pubKey, pubSignPreKey, preKeySig)
+    const data = util.canonicalSignPreKey({ timestamp: bundle.timestamp, pubSignPreKey })
+    const valid = axl.verify(pubKey, data, preKeySig)
 
     if (!valid) {
       throw new Error('Invalid signature: bundle.preKeySig')
     }
   }
 
+  static validateKeys (id, keys) {
+    util.validate(
+      ['keys.oneTimeKeys', 'an array of public keys', keys.oneTimeKeys],
+      ['keys.timestamp', 'an integer', keys.timestamp],
+      ['keys.sig', 'a signature', keys.sig]
+    )
+
+    const pubKey = Buffer.from(id, 'hex')
+    const sig = Buffer.from(keys.sig, 'hex')
+
+    const data = util.canonicalKeys({
+      timestamp: keys.timestamp,
+      oneTimeKeys: keys.oneTimeKeys.map(key => Buffer.from(key, 'hex'))
+    })
+
+    const valid = axl.verify(pubKey, data, sig)
+
+    if (!valid) {
+      throw new Error('Invalid signature: keys.sig')
+    }
+  }
+
+  static validateRevocation (id, revocation) {
+    util.validate(
+      ['revocation.timestamp', 'a non-negative integer', revocation.timestamp],
+      ['revocation.sig', 'a signature', revocation.sig]
+    )
+
+    const pubKey = Buffer.from(id, 'hex')
+    const data = util.canonicalRevocation({ pubKey, timestamp: revocation.timestamp })
+    const valid = axl.verify(pubKey, data, Buffer.from(revocation.sig, 'hex'))
+
+    if (!valid) {
+      throw new Error('Invalid signature: revocation.sig')
+    }
+  }
+
+  static validateHandover (id, handover) {
+    util.validate(
+      ['handover.newKey', 'a public key', handover.newKey],
+      ['handover.timestamp', 'a non-negative integer', handover.timestamp],
+      ['handover.oldSig', 'a signature', handover.oldSig],
+      ['handover.newSig', 'a signature', handover.newSig]
+    )
+
+    const oldKey = Buffer.from(id, 'hex')
+    const newKey = Buffer.from(handover.newKey, 'hex')
+    const data = util.canonicalHandover({ oldKey, newKey, timestamp: handover.timestamp })
+
+    if (!axl.verify(oldKey, data, Buffer.from(handover.oldSig, 'hex'))) {
+      throw new Error('Invalid signature: handover.oldSig')
+    }
+
+    if (!axl.verify(newKey, data, Buffer.from(handover.newSig, 'hex'))) {
+      throw new Error('Invalid signature: handover.newSig')
+    }
+  }
+
   static validateMessage (msg) {
     util.validate(
       ['msg.peerKey', 'a public key', msg.peerKey],
       ['msg.pubKey', 'a public key', msg.pubKey],
       ['msg.pubSignPreKey', 'a public key', msg.pubSignPreKey],
-      ['msg.ephemeralKey', 'a public key', msg.ephemeralKey],
-      ['msg.oneTimeKey', 'a public key', msg.oneTimeKey],
+      ['msg.ephemeralKey', 'a public key', msg.ephemeralKey]
+    )
+
+    if (msg.oneTimeKey !== undefined) {
+      util.validate(['msg.oneTimeKey', 'a public key', msg.oneTimeKey])
+    }
+
+    util.validate(
+      ['msg.suite', 'a non-empty string', msg.suite],
       ['msg.header', 'a non-empty string', msg.header],
-      ['msg.payload', 'a non-empty string', msg.payload]
+      ['msg.payload', 'a non-empty string', msg.payload],
+      ['msg.signPreKeyId', 'a non-negative integer', msg.signPreKeyId]
     )
   }
 
@@ -91,6 +210,10 @@ class Server extends EventEmitter {
    * @return {Promise}
    */
   start (...args) {
+    if (this.heartbeatInterval) {
+      this.heartbeatTimer = setInterval(this.heartbeat.bind(this), this.heartbeatInterval)
+    }
+
     return new Promise((resolve, reject) => {
       this.https
         .once('error', reject)
@@ -99,46 +222,204 @@ class Server extends EventEmitter {
   }
 
   /**
-   * Stop the HTTPS/WebSocket servers.
+   * Stop the HTTPS/WebSocket servers and the timers that expire sessions and close idle relays.
    */
   stop () {
+    clearInterval(this.heartbeatTimer)
+
+    this.timeouts.forEach(clearTimeout)
+    this.timeouts.clear()
+    this.idleTimers.forEach(clearTimeout)
+    this.idleTimers.clear()
+
     this.ws.close()
     this.https.close()
   }
 
+  /**
+   * Drop connections that didn't answer the last ping, e.g. because they're half-open, and ping the rest.
+   */
+  heartbeat () {
+    this.ws.clients.forEach(conn => {
+      if (!this.alive.has(conn)) {
+        conn.terminate()
+        return
+      }
+
+      this.alive.delete(conn)
+      conn.ping()
+    })
+  }
+
+  static validateHandshake (challenge, msg) {
+    // A multiplexed connection isn't tied to a session until it joins one.
+    const sid = msg.mux ? '' : msg.sid
+
+    util.validate(
+      ['id', 'a public key', msg.id],
+      ['sig', 'a signature', msg.sig]
+    )
+
+    if (!msg.mux) {
+      util.validate(['sid', 'a UUID', sid])
+    }
+
+    // Clients that predate the binary format don't pick one.
+    if (msg.format !== undefined) {
+      util.validate(['format', 'a wire format', msg.format])
+    }
+
+    const data = util.canonicalHandshake({ challenge, sid })
+    const valid = axl.verify(Buffer.from(msg.id, 'hex'), data, Buffer.from(msg.sig, 'hex'))
+
+    if (!valid) {
+      throw new Error('Invalid signature')
+    }
+  }
+
+  /**
+   * Verify a request signed with Client#signRequest().
+   * Each request can only be used once within the authentication window.
+   *
+   * @param  {http.IncomingMessage} req
+   * @param  {String}               data - the request body
+   *
+   * @return {String} the ID of the client that signed the request
+   */
+  authenticate (req, data) {
+    const id = req.headers['x-identity']
+    const timestamp = Number(req.headers['x-timestamp'])
+    const nonce = req.headers['x-nonce']
+    const sig = req.headers['x-signature']
+
+    util.validate(
+      ['X-Identity', 'a public key', id],
+      ['X-Timestamp', 'an integer', timestamp],
+      ['X-Nonce', 'a non-empty string', nonce],
+      ['X-Signature', 'a signature', sig]
+    )
+
+    const now = Date.now()
+
+    if (Math.abs(now - timestamp) > this.authWindow) {
+      throw new Error('Request expired')
+    }
+
+    const msg = util.canonicalRequest({ method: req.method, path: req.url, timestamp, nonce, data })
+    const valid = axl.verify(Buffer.from(id, 'hex'), msg, Buffer.from(sig, 'hex'))
+
+    if (!valid) {
+      throw new Error('Invalid signature: X-Signature')
+    }
+
+    for (const [key, expiry] of this.nonces) {
+      expiry < now && this.nonces.delete(key)
+    }
+
+    const key = id + '/' + nonce
+
+    if (this.nonces.has(key)) {
+      throw new Error('Replayed request')
+    }
+
+    this.nonces.set(key, timestamp + this.authWindow)
+
+    return id
+  }
+
+  /**
+   * Authenticate a request and check it was signed by the given identity, if any.
+   * Responds with 401 or 403 otherwise.
+   *
+   * @param  {http.IncomingMessage}  req
+   * @param  {http.ServerResponse}   resp
+   * @param  {String}                data - the request body
+   * @param  {String}                [id] - the ID the request must be signed by
+   *
+   * @return {String} the ID of the client that signed the request, or undefined if not authorized
+   */
+  authorize (req, resp, data, id) {
+    let signer
+
+    try {
+      signer = this.authenticate(req, data)
+    } catch ({ message }) {
+      resp.writeHead(401)
+      resp.end(message)
+      return
+    }
+
+    if (id !== undefined && signer !== id) {
+      resp.writeHead(403)
+      resp.end('Forbidden')
+      return
+    }
+
+    return signer
+  }
+
+  reject (conn, reason) {
+    conn.send(reason)
+    conn.close()
+  }
+
   async handleConn (conn) {
-    const [{ data }] = await EventEmitter.once(conn, 'message')
-    const { id, sid } = JSON.parse(data)
-    let ids = this.sessions.get(sid)
+    this.alive.add(conn)
+    conn.on('pong', () => this.alive.add(conn))
+
+    // Clients must sign a random challenge with the identity key they claim.
+    const challenge = Buffer.from(nacl.randomBytes(32)).toString('hex')
+
+    conn.send(JSON.stringify({ challenge, formats: util.FORMATS }))
+
+    let msg
+
+    try {
+      msg = JSON.parse(await util.recvMessage(conn))
+    } catch (err) {
+      if (err instanceof SyntaxError) {
+        this.reject(conn, 'Invalid handshake')
+      }
 
-    if (!ids || !ids.includes(id)) {
-      conn.send('Not found')
-      conn.close()
       return
     }
 
-    ids = ids.filter(_ => _ !== id)
+    try {
+      Server.validateHandshake(challenge, msg)
+    } catch ({ message }) {
+      this.reject(conn, message)
+      return
+    }
+
+    const { id, sid, format = 'json' } = msg
 
-    if (ids.length) {
-      this.conns.set(sid, conn)
-      this.sessions.set(sid, ids)
-      this.emit('connection', conn)
-      conn.once('close', () => this.conns.delete(sid))
+    if (msg.mux) {
+      this.handleMuxConn(conn, id, format)
       return
     }
 
-    const peerConn = this.conns.get(sid)
-    const timeout = this.timeouts.get(sid)
+    // The client can hang up while we look up the session.
+    let closed = false
+    const handleClose = () => { closed = true }
 
-    clearTimeout(timeout)
+    conn.once('close', handleClose)
 
-    this.conns.delete(sid)
-    this.sessions.delete(sid)
-    this.timeouts.delete(sid)
+    let ids
 
-    if (!peerConn) {
-      conn.send('Peer disconnected')
-      conn.close()
+    try {
+      ids = await this.store.get('sessions', sid)
+    } catch (err) {
+      this.reject(conn, 'Internal Server Error')
+      this.emit('error', err)
+      return
+    } finally {
+      conn.removeListener('close', handleClose)
+    }
+
+    if (closed) return
+
+    if (!ids || !ids.includes(id)) {
+      this.reject(conn, 'Not found')
       return
     }
 
@@ -150,23 +431,372 @@ class Server extends EventEmitter {
      */
     this.emit('connection', conn)
 
+    conn.send('OK')
+
+    const peerId = this.join(sid, id, ids, conn, format)
+
     conn
-      .once('close', () => peerConn.close())
-      .on('message', msg => peerConn.send(msg))
-      .send('OK')
+      .once('close', () => this.leave(sid, id, conn))
+      .on('message', msg => this.relay(sid, peerId, msg))
+  }
 
-    peerConn
-      .once('close', () => conn.close())
-      .on('message', msg => conn.send(msg))
+  /**
+   * Handle a WebSocket connection that carries every session a client joins.
+   * Frames are JSON objects with a type ("join", "leave", or "message") and a session ID,
+   * or binary frames that carry a message for a session (see util.encodeFrame()).
+   *
+   * @param  {WebSocket}  conn   - the connection
+   * @param  {String}     id     - the client's ID
+   * @param  {String}     format - the wire format the client picked
+   */
+  handleMuxConn (conn, id, format) {
+    const channels = new Map()
+
+    this.emit('connection', conn)
+
+    conn
+      .once('close', () => {
+        channels.forEach((channel, sid) => this.leave(sid, id, channel))
+        channels.clear()
+      })
+      .on('message', data => {
+        this.handleFrame(conn, id, format, channels, data)
+          .catch(err => this.emit('error', err))
+      })
       .send('OK')
   }
 
+  async handleFrame (conn, id, format, channels, data) {
+    const sendFrame = frame => conn.send(JSON.stringify(frame))
+
+    if (Buffer.isBuffer(data)) {
+      let sid, envelope
+
+      try {
+        ({ sid, envelope } = util.decodeFrame(data))
+      } catch {
+        sendFrame({ type: 'error', error: 'Invalid frame' })
+        return
+      }
+
+      const channel = channels.get(sid)
+
+      if (!channel) {
+        sendFrame({ type: 'error', sid, error: 'Not joined' })
+        return
+      }
+
+      this.relay(sid, channel.peerId, envelope)
+      return
+    }
+
+    let frame
+
+    try {
+      frame = JSON.parse(data)
+      util.validate(['frame.sid', 'a UUID', frame.sid])
+    } catch {
+      sendFrame({ type: 'error', error: 'Invalid frame' })
+      return
+    }
+
+    const { type, sid } = frame
+    const channel = channels.get(sid)
+
+    if (type === 'message' && channel) {
+      if (typeof frame.msg !== 'string') {
+        sendFrame({ type: 'error', sid, error: 'Invalid frame' })
+        return
+      }
+
+      this.relay(sid, channel.peerId, frame.msg)
+      return
+    }
+
+    if (type === 'leave') {
+      if (channel) {
+        channels.delete(sid)
+        this.leave(sid, id, channel)
+      }
+
+      return
+    }
+
+    if (type !== 'join') {
+      sendFrame({ type: 'error', sid, error: 'Not joined' })
+      return
+    }
+
+    if (channel) {
+      sendFrame({ type: 'error', sid, error: 'Already joined' })
+      return
+    }
+
+    const ids = await this.store.get('sessions', sid)
+
+    if (!ids || !ids.includes(id)) {
+      sendFrame({ type: 'error', sid, error: 'Not found' })
+      return
+    }
+
+    const newChannel = {
+      send: msg => {
+        if (Buffer.isBuffer(msg)) {
+          conn.send(util.encodeFrame(sid, msg))
+        } else {
+          sendFrame({ type: 'message', sid, msg })
+        }
+      },
+
+      // Another connection for this session replaced the channel, or the relay was idle.
+      close: code => {
+        channels.delete(sid)
+        sendFrame({ type: 'leave', sid, code })
+        this.leave(sid, id, newChannel)
+      }
+    }
+
+    channels.set(sid, newChannel)
+    sendFrame({ type: 'joined', sid })
+
+    newChannel.peerId = this.join(sid, id, ids, newChannel, format)
+  }
+
+  /**
+   * Add a peer's connection to a session and deliver the messages held for it.
+   * The connection can be a WebSocket or a channel on a multiplexed one.
+   *
+   * @param  {String}    sid    - the session ID
+   * @param  {String}    id     - the peer's ID
+   * @param  {String[]}  ids    - the IDs of both peers in the session
+   * @param  {Object}    conn   - the connection
+   * @param  {String}    format - the wire format the peer picked
+   *
+   * @return {String} the other peer's ID
+   */
+  join (sid, id, ids, conn, format) {
+    clearTimeout(this.timeouts.get(sid))
+    this.timeouts.delete(sid)
+
+    let conns = this.conns.get(sid)
+
+    if (!conns) {
+      conns = new Map()
+      this.conns.set(sid, conns)
+    }
+
+    const prev = conns.get(id)
+
+    // Messages held while we were offline must arrive before any relayed from now on.
+    const flushed = this.dequeue(sid, id)
+      .then(msgs => msgs.forEach(msg => this.deliver(conn, format, msg)))
+      .catch(err => this.emit('error', err))
+
+    conns.set(id, { conn, flushed, format })
+
+    // A new connection replaces one that may have silently dropped.
+    if (prev) {
+      prev.conn.close()
+    }
+
+    this.touch(sid)
+
+    return ids[1 - ids.indexOf(id)]
+  }
+
+  leave (sid, id, conn) {
+    const conns = this.conns.get(sid)
+    const entry = conns && conns.get(id)
+
+    // Ignore connections that were replaced.
+    if (!entry || entry.conn !== conn) return
+
+    conns.delete(id)
+
+    if (conns.size) return
+
+    clearTimeout(this.idleTimers.get(sid))
+    this.idleTimers.delete(sid)
+    this.conns.delete(sid)
+    this.expire(sid)
+  }
+
+  /**
+   * Restart the timer that closes a relay once it's idle for opts.idleTimeout.
+   *
+   * @param  {String}  sid - the session ID
+   */
+  touch (sid) {
+    if (!this.idleTimeout || !this.conns.has(sid)) return
+
+    clearTimeout(this.idleTimers.get(sid))
+
+    const timer = setTimeout(() => {
+      this.idleTimers.delete(sid)
+
+      for (const { conn } of [...this.conns.get(sid).values()]) {
+        conn.close(util.IDLE_CLOSE_CODE, 'Idle timeout')
+      }
+    }, this.idleTimeout)
+
+    timer.unref()
+
+    this.idleTimers.set(sid, timer)
+  }
+
+  relay (sid, peerId, msg) {
+    this.touch(sid)
+
+    const conns = this.conns.get(sid)
+    const peer = conns && conns.get(peerId)
+
+    if (peer) {
+      peer.flushed.then(() => this.deliver(peer.conn, peer.format, msg))
+      return
+    }
+
+    this.enqueue(sid, peerId, msg).catch(err => this.emit('error', err))
+  }
+
+  /**
+   * Send a message to a peer in the wire format it picked.
+   * A message that can't be converted is dropped, since the peer couldn't read it anyway.
+   *
+   * @param  {Object}           conn   - the peer's connection
+   * @param  {String}           format - the peer's wire format
+   * @param  {(Buffer|String)}  msg    - the message
+   */
+  deliver (conn, format, msg) {
+    try {
+      msg = util.toWireFormat(msg, format)
+    } catch {
+      return
+    }
+
+    conn.send(msg)
+  }
+
+  /**
+   * Delete a session, its initial message, and any messages held for its peers
+   * if neither peer connects within opts.sessionTTL.
+   * The session is kept while its initial message waits to be picked up, for up to opts.initMessageTTL.
+   *
+   * @param  {String}  sid   - the session ID
+   * @param  {Number}  [ttl] - how long until the session expires, in ms (default: opts.sessionTTL)
+   */
+  expire (sid, ttl = this.sessionTTL) {
+    clearTimeout(this.timeouts.get(sid))
+
+    const delay = Math.min(ttl, MAX_DELAY)
+
+    const timeout = setTimeout(async () => {
+      this.timeouts.delete(sid)
+
+      if (ttl > delay) {
+        this.expire(sid, ttl - delay)
+        return
+      }
+
+      try {
+        const msg = await this.store.get('msgs', sid)
+        const remaining = msg ? msg.expires - Date.now() : 0
+
+        // A peer can connect while we look up the message.
+        if (remaining > 0) {
+          if (!this.conns.has(sid)) {
+            this.expire(sid, remaining)
+          }
+
+          return
+        }
+
+        const ids = await this.store.get('sessions', sid)
+
+        await Promise.all([
+          this.store.delete('msgs', sid),
+          this.store.delete('sessions', sid),
+          ...ids.map(id => this.store.delete('queues', sid + '/' + id)),
+          this.removeFromInbox(ids[0], sid)
+        ])
+      } catch (err) {
+        this.emit('error', err)
+      }
+    }, delay)
+
+    // Connections can close after stop(), so don't let a session that's about to expire keep the process alive.
+    timeout.unref()
+
+    this.timeouts.set(sid, timeout)
+  }
+
+  /**
+   * Hold a message for a peer in a session until it connects.
+   * The oldest messages are dropped once the queue exceeds opts.maxQueueLength or opts.maxQueueBytes,
+   * and messages expire after opts.queueTTL.
+   *
+   * @param  {String}           sid - the session ID
+   * @param  {String}           id  - the peer's ID
+   * @param  {(Buffer|String)}  msg - the message
+   *
+   * @return {Promise}
+   */
+  enqueue (sid, id, msg) {
+    const now = Date.now()
+    const size = Buffer.byteLength(msg)
+    const binary = Buffer.isBuffer(msg)
+
+    // Stores hold JSON, so binary messages are kept base64-encoded.
+    if (binary) {
+      msg = msg.toString('base64')
+    }
+
+    return this.store.update('queues', sid + '/' + id, (queue = []) => {
+      queue = queue.filter(({ expires }) => expires > now)
+      queue.push({ msg, binary, size, expires: now + this.queueTTL })
+
+      let bytes = queue.reduce((sum, { size }) => sum + size, 0)
+
+      while (queue.length > this.maxQueueLength || bytes > this.maxQueueBytes) {
+        bytes -= queue.shift().size
+      }
+
+      return queue.length ? queue : undefined
+    })
+  }
+
+  /**
+   * Remove and return the unexpired messages held for a peer in a session, oldest first.
+   *
+   * @param  {String}  sid - the session ID
+   * @param  {String}  id  - the peer's ID
+   *
+   * @return {Promise<Array<(Buffer|String)>>}
+   */
+  async dequeue (sid, id) {
+    const now = Date.now()
+
+    let queue = []
+
+    await this.store.update('queues', sid + '/' + id, value => {
+      queue = value || queue
+    })
+
+    return queue
+      .filter(({ expires }) => expires > now)
+      .map(({ msg, binary }) => binary ? Buffer.from(msg, 'base64') : msg)
+  }
+
   async handleRequest (req, resp) {
     if (req.url.startsWith('/bundle')) {
       await this.handleBundleRequest(req, resp)
       return
     }
 
+    if (req.url === '/messages') {
+      await this.handleInboxRequest(req, resp)
+      return
+    }
+
     if (req.url.startsWith('/message')) {
       await this.handleMessageRequest(req, resp)
       return
@@ -177,6 +807,21 @@ class Server extends EventEmitter {
   }
 
   async handleBundleRequest (req, resp) {
+    if (req.url.endsWith('/count')) {
+      await this.handleBundleCountRequest(req, resp)
+      return
+    }
+
+    if (req.url.endsWith('/keys')) {
+      await this.handleBundleKeysRequest(req, resp)
+      return
+    }
+
+    if (req.url.endsWith('/handover')) {
+      await this.handleBundleHandoverRequest(req, resp)
+      return
+    }
+
     if (req.method === 'GET') {
       await this.handleGetBundleRequest(req, resp)
       return
@@ -186,13 +831,28 @@ class Server extends EventEmitter {
       return
     }
 
+    if (req.method === 'DELETE') {
+      await this.handleDeleteBundleRequest(req, resp)
+      return
+    }
+
     resp.writeHead(405)
     resp.end('Method Not Allowed')
   }
 
-  async handleGetBundleRequest (req, resp) {
-    const id = req.url.split('/bundle/')[1]
-    const bundle = this.bundles.get(id)
+  async handleBundleCountRequest (req, resp) {
+    if (req.method !== 'GET') {
+      resp.writeHead(405)
+      resp.end('Method Not Allowed')
+      return
+    }
+
+    const id = req.url.split('/')[2]
+    const data = await Server.readRequestData(req)
+
+    if (!this.authorize(req, resp, data, id)) return
+
+    const bundle = await this.store.get('bundles', id)
 
     if (!bundle) {
       resp.writeHead(404)
@@ -200,21 +860,162 @@ class Server extends EventEmitter {
       return
     }
 
-    const { pubSignKey, pubSignPreKey, preKeySig } = bundle
-    const oneTimeKey = bundle.oneTimeKeys.shift()
+    resp.end(JSON.stringify({ count: bundle.oneTimeKeys.length }))
+  }
+
+  async handleBundleKeysRequest (req, resp) {
+    if (req.method !== 'POST') {
+      resp.writeHead(405)
+      resp.end('Method Not Allowed')
+      return
+    }
+
+    const id = req.url.split('/')[2]
+    const data = await Server.readRequestData(req)
+
+    let keys
+
+    try {
+      keys = JSON.parse(data)
+    } catch {
+      resp.writeHead(400)
+      resp.end('Invalid keys')
+      return
+    }
+
+    try {
+      Server.validateKeys(id, keys)
+    } catch ({ message }) {
+      resp.writeHead(400)
+      resp.end(message)
+      return
+    }
+
+    if (!this.authorize(req, resp, data, id)) return
+
+    let found = false
+    let fresh = false
+
+    // The timestamp must increase with each request so old requests can't be replayed.
+    await this.store.update('bundles', id, bundle => {
+      if (!bundle) return
+
+      found = true
+
+      if (keys.timestamp <= bundle.keysTimestamp) return bundle
+
+      fresh = true
+      bundle.keysTimestamp = keys.timestamp
+      bundle.oneTimeKeys.push(...keys.oneTimeKeys)
+
+      return bundle
+    })
+
+    if (!found) {
+      resp.writeHead(404)
+      resp.end('Not Found')
+      return
+    }
+
+    if (!fresh) {
+      resp.writeHead(400)
+      resp.end('Stale timestamp')
+      return
+    }
+
+    resp.writeHead(201)
+    resp.end()
+  }
+
+  async handleBundleHandoverRequest (req, resp) {
+    if (req.method !== 'POST') {
+      resp.writeHead(405)
+      resp.end('Method Not Allowed')
+      return
+    }
+
+    const id = req.url.split('/')[2]
+    const data = await Server.readRequestData(req)
+
+    let handover
 
-    if (!oneTimeKey) {
-      resp.writeHead(503)
-      resp.end('No more oneTimeKeys')
+    try {
+      handover = JSON.parse(data)
+    } catch {
+      resp.writeHead(400)
+      resp.end('Invalid handover')
       return
     }
 
-    await this.bundles.set(bundle.pubKey, bundle)
+    try {
+      Server.validateHandover(id, handover)
+    } catch ({ message }) {
+      resp.writeHead(400)
+      resp.end(message)
+      return
+    }
+
+    if (!this.authorize(req, resp, data, id)) return
+
+    if (await this.store.get('revocations', id)) {
+      resp.writeHead(410)
+      resp.end('Identity revoked')
+      return
+    }
+
+    if (await this.store.get('handovers', id)) {
+      resp.writeHead(410)
+      resp.end('Identity handed over')
+      return
+    }
+
+    const { newKey, timestamp, oldSig, newSig } = handover
+
+    await this.store.put('handovers', id, { oldKey: id, newKey, timestamp, oldSig, newSig })
+    await this.store.delete('bundles', id)
+
+    resp.writeHead(201)
+    resp.end()
+  }
+
+  async handleGetBundleRequest (req, resp) {
+    const id = req.url.split('/bundle/')[1]
+    const revocation = await this.store.get('revocations', id)
+
+    if (revocation) {
+      resp.writeHead(410)
+      resp.end(JSON.stringify(revocation))
+      return
+    }
+
+    // Point peers to the successor of an identity key that was handed over.
+    const handover = await this.store.get('handovers', id)
+
+    if (handover) {
+      resp.writeHead(308, { Location: '/bundle/' + handover.newKey })
+      resp.end(JSON.stringify(handover))
+      return
+    }
+
+    const result = await this.store.consumeOneTimeKey(id)
+
+    if (!result) {
+      resp.writeHead(404)
+      resp.end('Not Found')
+      return
+    }
+
+    // If there are no one-time prekeys left, the bundle is returned without one
+    // and the peers perform X3DH with the signed prekey only.
+    const { bundle, oneTimeKey } = result
+    const { pubSignKey, pubSignPreKey, signPreKeyId, preKeySig, timestamp } = bundle
 
     const data = JSON.stringify({
       pubSignKey,
       pubSignPreKey,
+      signPreKeyId,
       preKeySig,
+      timestamp,
       oneTimeKey
     })
 
@@ -242,7 +1043,21 @@ class Server extends EventEmitter {
       return
     }
 
-    const oldBundle = this.bundles.get(bundle.pubKey)
+    if (!this.authorize(req, resp, data, bundle.pubKey)) return
+
+    if (await this.store.get('revocations', bundle.pubKey)) {
+      resp.writeHead(410)
+      resp.end('Identity revoked')
+      return
+    }
+
+    if (await this.store.get('handovers', bundle.pubKey)) {
+      resp.writeHead(410)
+      resp.end('Identity handed over')
+      return
+    }
+
+    const oldBundle = await this.store.get('bundles', bundle.pubKey)
 
     if (oldBundle && oldBundle.preKeySig === bundle.preKeySig) {
       resp.writeHead(400)
@@ -250,12 +1065,94 @@ class Server extends EventEmitter {
       return
     }
 
-    await this.bundles.set(bundle.pubKey, bundle)
+    // Reject older bundles so a replayed bundle can't roll back the signed prekey.
+    if (oldBundle && bundle.timestamp <= oldBundle.timestamp) {
+      resp.writeHead(400)
+      resp.end('Stale bundle timestamp')
+      return
+    }
+
+    bundle.keysTimestamp = oldBundle && oldBundle.keysTimestamp
+
+    // A bundle without one-time prekeys only replaces the signed prekey.
+    if (!bundle.oneTimeKeys) {
+      bundle.oneTimeKeys = oldBundle ? oldBundle.oneTimeKeys : []
+    }
+
+    await this.store.put('bundles', bundle.pubKey, bundle)
 
     resp.writeHead(201)
     resp.end()
   }
 
+  async handleDeleteBundleRequest (req, resp) {
+    const id = req.url.split('/bundle/')[1]
+    const data = await Server.readRequestData(req)
+
+    let revocation
+
+    try {
+      revocation = JSON.parse(data)
+    } catch {
+      resp.writeHead(400)
+      resp.end('Invalid revocation')
+      return
+    }
+
+    try {
+      Server.validateRevocation(id, revocation)
+    } catch ({ message }) {
+      resp.writeHead(400)
+      resp.end(message)
+      return
+    }
+
+    if (!this.authorize(req, resp, data, id)) return
+
+    // Keep the revocation so peers learn the identity was revoked instead of just not finding it.
+    const { timestamp, sig } = revocation
+
+    await this.store.put('revocations', id, { pubKey: id, timestamp, sig })
+    await this.store.delete('bundles', id)
+
+    resp.end()
+  }
+
+  async handleInboxRequest (req, resp) {
+    if (req.method !== 'GET') {
+      resp.writeHead(405)
+      resp.end('Method Not Allowed')
+      return
+    }
+
+    const data = await Server.readRequestData(req)
+    const id = this.authorize(req, resp, data)
+
+    if (!id) return
+
+    const sids = await this.store.get('inbox', id) || []
+    const msgs = []
+
+    for (const sid of sids) {
+      const msg = await this.store.get('msgs', sid)
+
+      if (msg) {
+        msgs.push({ sid, pubKey: msg.pubKey })
+      } else {
+        await this.removeFromInbox(id, sid)
+      }
+    }
+
+    resp.end(JSON.stringify(msgs))
+  }
+
+  async removeFromInbox (id, sid) {
+    await this.store.update('inbox', id, sids => {
+      sids = sids && sids.filter(_ => _ !== sid)
+      return sids && sids.length ? sids : undefined
+    })
+  }
+
   async handleMessageRequest (req, resp) {
     if (req.method === 'GET') {
       await this.handleGetMessageRequest(req, resp)
@@ -280,7 +1177,28 @@ class Server extends EventEmitter {
       return
     }
 
-    const msg = this.msgs.get(sid)
+    const id = this.authorize(req, resp, await Server.readRequestData(req))
+
+    if (!id) return
+
+    let msg
+    let forbidden = false
+
+    // Only the recipient can pick up an initial message.
+    await this.store.update('msgs', sid, value => {
+      if (value && value.peerKey !== id) {
+        forbidden = true
+        return value
+      }
+
+      msg = value
+    })
+
+    if (forbidden) {
+      resp.writeHead(403)
+      resp.end('Forbidden')
+      return
+    }
 
     if (!msg) {
       resp.writeHead(404)
@@ -288,9 +1206,15 @@ class Server extends EventEmitter {
       return
     }
 
-    this.msgs.delete(sid)
+    await this.removeFromInbox(msg.peerKey, sid)
 
-    const data = JSON.stringify(msg)
+    // The session expires opts.sessionTTL after the recipient picks up the message, unless a peer connects.
+    if (!this.conns.has(sid)) {
+      this.expire(sid)
+    }
+
+    const { expires, ...rest } = msg
+    const data = JSON.stringify(rest)
 
     resp.end(data)
   }
@@ -318,19 +1242,17 @@ class Server extends EventEmitter {
 
     const sid = uuid.v4()
 
-    this.msgs.set(sid, msg)
-    this.sessions.set(sid, [msg.peerKey, msg.pubKey])
+    await this.store.put('msgs', sid, { ...msg, expires: Date.now() + this.initMessageTTL })
+    await this.store.put('sessions', sid, [msg.peerKey, msg.pubKey])
+
+    await this.store.update('inbox', msg.peerKey, sids => {
+      return [...(sids || []), sid]
+    })
 
     resp.writeHead(201)
     resp.end(sid)
 
-    const timeout = setTimeout(() => {
-      this.msgs.delete(sid)
-      this.sessions.delete(sid)
-      this.timeouts.delete(sid)
-    }, 60e3)
-
-    this.timeouts.set(sid, timeout)
+    this.expire(sid, this.initMessageTTL)
   }
 }
 
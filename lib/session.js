@@ -1,8 +1,34 @@
 'use strict'
 
 const nacl = require('tweetnacl')
+const suites = require('./suites')
 const util = require('./util')
 
+const BUFFER_FIELDS = [
+  'ad',
+  'info',
+  'pubKey',
+  'privKey',
+  'peerKey',
+  'dhOutput',
+  'rootKey',
+  'recvChainKey',
+  'sendChainKey',
+  'sendHeaderKey',
+  'sendNextHeaderKey',
+  'recvHeaderKey',
+  'recvNextHeaderKey'
+]
+
+const NUMBER_FIELDS = [
+  'sendMsgNum',
+  'recvMsgNum',
+  'prevChainLen'
+]
+
+const toHex = buf => buf && Buffer.from(buf).toString('hex')
+const fromHex = str => str && Buffer.from(str, 'hex')
+
 /**
  * This class represents a Double Ratchet session between two peers.
  */
@@ -10,6 +36,8 @@ class Session {
   constructor () {
     this.ad = null
     this.info = null
+    this.suite = suites.DEFAULT
+    this.trust = null
 
     this.pubKey = null
     this.privKey = null
@@ -39,6 +67,83 @@ class Session {
     return nacl.box.publicKeyLength
   }
 
+  /**
+   * The wire format version, prepended to every header and payload.
+   */
+  static get VERSION () {
+    return 1
+  }
+
+  static get STATE_VERSION () {
+    return 1
+  }
+
+  /**
+   * Restore a session from state returned by Session#toJSON().
+   *
+   * @param  {(Object|String)} state
+   *
+   * @return {Session}
+   */
+  static fromJSON (state) {
+    if (typeof state === 'string') {
+      state = JSON.parse(state)
+    }
+
+    if (!state || state.version !== Session.STATE_VERSION) {
+      throw new Error('Unsupported session state version')
+    }
+
+    const session = new Session()
+
+    for (const field of BUFFER_FIELDS) {
+      session[field] = fromHex(state[field])
+    }
+
+    for (const field of NUMBER_FIELDS) {
+      session[field] = state[field]
+    }
+
+    session.suite = state.suite || suites.DEFAULT
+    session.trust = state.trust || null
+
+    session.skippedMsgs = state.skippedMsgs.map(({ headerKey, msgKey, msgNum }) => ({
+      headerKey: fromHex(headerKey),
+      msgKey: fromHex(msgKey),
+      msgNum
+    }))
+
+    return session
+  }
+
+  /**
+   * Serialize the complete session state (including secret keys) to a JSON-friendly object.
+   *
+   * @return {Object}
+   */
+  toJSON () {
+    const state = { version: Session.STATE_VERSION }
+
+    for (const field of BUFFER_FIELDS) {
+      state[field] = toHex(this[field])
+    }
+
+    for (const field of NUMBER_FIELDS) {
+      state[field] = this[field]
+    }
+
+    state.suite = this.suite
+    state.trust = this.trust
+
+    state.skippedMsgs = this.skippedMsgs.map(({ headerKey, msgKey, msgNum }) => ({
+      headerKey: toHex(headerKey),
+      msgKey: toHex(msgKey),
+      msgNum
+    }))
+
+    return state
+  }
+
   /**
    * Initialize session with keys, secrets, and additional info.
    *
@@ -48,10 +153,13 @@ class Session {
    * @param  {Object}   args.keyPair
    * @param  {Buffer}   args.peerKey
    * @param  {Buffer[]} args.secKeys
+   * @param  {String}   [args.suite] - the cipher suite name
    *
    * @return {Buffer}
    */
-  init ({ ad, info, keyPair, peerKey, secKeys }) {
+  init ({ ad, info, keyPair, peerKey, secKeys, suite = suites.DEFAULT }) {
+    suites.get(suite)
+
     if (keyPair) {
       this.pubKey = keyPair.pubKey
       this.privKey = keyPair.privKey
@@ -61,6 +169,7 @@ class Session {
 
     this.ad = ad
     this.info = info
+    this.suite = suite
     this.rootKey = Buffer.from(secKeys[0])
 
     if (peerKey) {
@@ -85,14 +194,15 @@ class Session {
    * Encrypt a plaintext into a message header and payload.
    *
    * @param  {(Buffer|String)} plaintext
+   * @param  {Buffer}          [extraAd] - more data to authenticate along with the message
    *
    * @return {Object}
    */
-  encrypt (plaintext) {
+  encrypt (plaintext, extraAd = Buffer.alloc(0)) {
     const msgKey = this.kdfSendChain()
     const header = this.encryptHeader()
-    const nonce = Buffer.concat([this.ad, header])
-    const payload = Session.authEncrypt({ ikm: msgKey, info: this.info, nonce, plaintext })
+    const ad = Buffer.concat([this.ad, header, extraAd])
+    const payload = Session.authEncrypt({ ad, ikm: msgKey, info: this.info, plaintext, suite: this.suite })
 
     ++this.sendMsgNum
 
@@ -105,10 +215,15 @@ class Session {
    * @param  {Object} args
    * @param  {Buffer} args.header
    * @param  {Buffer} args.payload
+   * @param  {Buffer} [extraAd]    - the data the sender authenticated along with the message
    *
    * @return {Buffer}
    */
-  decrypt ({ header, payload }) {
+  decrypt ({ header, payload }, extraAd = Buffer.alloc(0)) {
+    if (header[0] !== Session.VERSION) {
+      throw new Error('Unsupported version')
+    }
+
     let headerKey, msgKey, msgNum, obj
 
     for (let i = 0; i < this.skippedMsgs.length; i++) {
@@ -177,9 +292,9 @@ class Session {
       ++this.recvMsgNum
     }
 
-    const nonce = Buffer.concat([this.ad, header])
+    const ad = Buffer.concat([this.ad, header, extraAd])
 
-    return Session.authDecrypt({ ikm: msgKey, info: this.info, nonce, payload })
+    return Session.authDecrypt({ ad, ikm: msgKey, info: this.info, payload, suite: this.suite })
   }
 
   dh () {
@@ -229,33 +344,68 @@ class Session {
     return msgKey
   }
 
-  static authEncrypt ({ ikm, info, nonce, plaintext }) {
-    const okm = util.hkdf({ ikm, info, length: 80 })
-    const encKey = okm.slice(0, 32)
-    const authKey = okm.slice(32, 64)
-    const iv = okm.slice(64)
-    const ciphertext = util.encrypt({ plaintext, iv, key: encKey })
-    const hmac = util.hmac({ data: nonce, key: authKey })
+  /**
+   * Prefix additional data with the version byte and its length.
+   *
+   * @param  {Buffer} ad
+   * @param  {Buffer} version
+   *
+   * @return {Buffer}
+   */
+  static encodeAD (ad, version) {
+    const adLen = Buffer.alloc(4)
+    adLen.writeUInt32BE(ad.byteLength)
 
-    return Buffer.concat([ciphertext, hmac])
+    return Buffer.concat([version, adLen, ad])
   }
 
-  static authDecrypt ({ ikm, info, nonce, payload }) {
-    const okm = util.hkdf({ ikm, info, length: 80 })
-    const encKey = okm.slice(0, 32)
-    const authKey = okm.slice(32, 64)
-    const iv = okm.slice(64)
+  /**
+   * Encrypt and authenticate a plaintext with a cipher suite.
+   * Output format: version (1 byte) || sealed ciphertext.
+   *
+   * @param  {Object}          args
+   * @param  {Buffer}          args.ad        - additional data to authenticate
+   * @param  {Buffer}          args.ikm       - input key material
+   * @param  {Buffer}          args.info
+   * @param  {(Buffer|String)} args.plaintext
+   * @param  {Buffer}          [args.salt]    - salt for key derivation
+   * @param  {String}          args.suite     - the cipher suite name
+   *
+   * @return {Buffer}
+   */
+  static authEncrypt ({ ad, ikm, info, plaintext, salt, suite }) {
+    const { keyLength, seal } = suites.get(suite)
+    const key = util.hkdf({ ikm, info, length: keyLength, salt })
+    const version = Buffer.from([Session.VERSION])
+    const ciphertext = seal({ ad: Session.encodeAD(ad, version), key, plaintext })
 
-    const hmac = payload.slice(-32)
-    const valid = util.hmac({ data: nonce, key: authKey }).equals(hmac)
+    return Buffer.concat([version, ciphertext])
+  }
 
-    if (!valid) {
-      throw new Error('Invalid HMAC')
+  /**
+   * Verify and decrypt a payload produced by Session.authEncrypt().
+   *
+   * @param  {Object} args
+   * @param  {Buffer} args.ad
+   * @param  {Buffer} args.ikm
+   * @param  {Buffer} args.info
+   * @param  {Buffer} args.payload
+   * @param  {Buffer} [args.salt]
+   * @param  {String} args.suite
+   *
+   * @return {Buffer}
+   */
+  static authDecrypt ({ ad, ikm, info, payload, salt, suite }) {
+    if (payload[0] !== Session.VERSION) {
+      throw new Error('Unsupported version')
     }
 
-    const ciphertext = payload.slice(0, -32)
+    const { keyLength, open } = suites.get(suite)
+    const key = util.hkdf({ ikm, info, length: keyLength, salt })
+    const version = payload.slice(0, 1)
+    const ciphertext = payload.slice(1)
 
-    return util.decrypt({ ciphertext, iv, key: encKey })
+    return open({ ad: Session.encodeAD(ad, version), key, ciphertext })
   }
 
   encryptHeader () {
@@ -271,16 +421,16 @@ class Session {
       msgNum
     ])
 
-    const nonce = nacl.randomBytes(16)
-    const payload = Session.authEncrypt({ ikm: this.sendHeaderKey, info: this.info, nonce, plaintext: header })
+    const salt = Buffer.from(nacl.randomBytes(16))
+    const payload = Session.authEncrypt({ ad: this.ad, ikm: this.sendHeaderKey, info: this.info, plaintext: header, salt, suite: this.suite })
 
-    return Buffer.concat([payload, nonce])
+    return Buffer.concat([payload, salt])
   }
 
   decryptHeader ({ header, headerKey }) {
-    const nonce = header.slice(-16)
+    const salt = header.slice(-16)
     header = header.slice(0, -16)
-    header = Session.authDecrypt({ ikm: headerKey, info: this.info, nonce, payload: header })
+    header = Session.authDecrypt({ ad: this.ad, ikm: headerKey, info: this.info, payload: header, salt, suite: this.suite })
 
     const pubKey = header.slice(0, Session.PUBKEY_LEN)
 
@@ -0,0 +1,83 @@
+'use strict'
+
+/**
+ * This class defines the interface for server (and client trust) storage.
+ * Values are JSON-serializable and grouped into namespaces (e.g. "bundles", "msgs", "sessions", "identities").
+ *
+ * Subclasses must implement get(), put(), delete(), and update().
+ */
+class Store {
+  /**
+   * Get a value.
+   *
+   * @param  {String}  ns  - the namespace
+   * @param  {String}  key - the key
+   *
+   * @return {Promise<*>} the value or undefined if not found
+   */
+  async get (ns, key) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Put a value.
+   *
+   * @param  {String}  ns    - the namespace
+   * @param  {String}  key   - the key
+   * @param  {*}       value - the value
+   *
+   * @return {Promise}
+   */
+  async put (ns, key, value) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Delete a value.
+   *
+   * @param  {String}  ns  - the namespace
+   * @param  {String}  key - the key
+   *
+   * @return {Promise<Boolean>} whether the value existed
+   */
+  async delete (ns, key) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Atomically replace a value with the result of a function.
+   * The value is deleted if the function returns undefined.
+   *
+   * @param  {String}    ns  - the namespace
+   * @param  {String}    key - the key
+   * @param  {Function}  fn  - receives the current value (or undefined) and returns the new value
+   *
+   * @return {Promise<*>} the new value
+   */
+  async update (ns, key, fn) {
+    throw new Error('Not implemented')
+  }
+
+  /**
+   * Atomically remove and return a one-time prekey from a bundle.
+   *
+   * @param  {String}  id - the bundle ID
+   *
+   * @return {Promise<Object>} the bundle and one-time prekey (if any left), or undefined if bundle not found
+   */
+  async consumeOneTimeKey (id) {
+    let oneTimeKey
+
+    const bundle = await this.update('bundles', id, bundle => {
+      if (bundle) {
+        oneTimeKey = bundle.oneTimeKeys.shift()
+      }
+
+      return bundle
+    })
+
+    return bundle && { bundle, oneTimeKey }
+  }
+}
+
+module.exports = Store
@@ -0,0 +1,146 @@
+'use strict'
+
+const crypto = require('crypto')
+const nacl = require('tweetnacl')
+const util = require('./util')
+
+/**
+ * Registry of cipher suites used for message and header encryption.
+ *
+ * A suite has a name, the number of key bytes it derives per message (keyLength),
+ * and seal()/open() functions that encrypt and authenticate a plaintext with additional data.
+ */
+const suites = new Map()
+
+const DEFAULT = 'aes-256-cbc-hmac-sha256'
+
+/**
+ * Register a cipher suite.
+ *
+ * @param {Object}   suite
+ * @param {String}   suite.name
+ * @param {Number}   suite.keyLength - the length of key material seal()/open() expect
+ * @param {Function} suite.seal      - ({ ad, key, plaintext }) => ciphertext
+ * @param {Function} suite.open      - ({ ad, key, ciphertext }) => plaintext, throws if authentication fails
+ */
+const register = suite => {
+  util.validate(
+    ['suite.name', 'a non-empty string', suite.name],
+    ['suite.keyLength', 'an integer', suite.keyLength],
+    ['suite.seal', 'a function', suite.seal],
+    ['suite.open', 'a function', suite.open]
+  )
+
+  suites.set(suite.name, suite)
+}
+
+/**
+ * Get a registered cipher suite.
+ *
+ * @param  {String} name
+ *
+ * @return {Object}
+ */
+const get = name => {
+  const suite = suites.get(name)
+
+  if (!suite) {
+    throw new Error('Unknown cipher suite: ' + name)
+  }
+
+  return suite
+}
+
+register({
+  name: 'aes-256-cbc-hmac-sha256',
+  keyLength: 80,
+
+  seal ({ ad, key, plaintext }) {
+    const encKey = key.slice(0, 32)
+    const authKey = key.slice(32, 64)
+    const iv = key.slice(64)
+    const ciphertext = util.encrypt({ plaintext, iv, key: encKey })
+    const hmac = util.hmac({ data: Buffer.concat([ad, ciphertext]), key: authKey })
+
+    return Buffer.concat([ciphertext, hmac])
+  },
+
+  open ({ ad, key, ciphertext }) {
+    const encKey = key.slice(0, 32)
+    const authKey = key.slice(32, 64)
+    const iv = key.slice(64)
+    const hmac = ciphertext.slice(-32)
+    ciphertext = ciphertext.slice(0, -32)
+
+    const expected = util.hmac({ data: Buffer.concat([ad, ciphertext]), key: authKey })
+
+    if (!util.safeEqual(expected, hmac)) {
+      throw new Error('Invalid HMAC')
+    }
+
+    return util.decrypt({ ciphertext, iv, key: encKey })
+  }
+})
+
+register({
+  name: 'aes-256-gcm',
+  keyLength: 44,
+
+  seal ({ ad, key, plaintext }) {
+    const cipher = crypto.createCipheriv('aes-256-gcm', key.slice(0, 32), key.slice(32))
+
+    cipher.setAAD(ad)
+
+    return Buffer.concat([
+      cipher.update(Buffer.from(plaintext)),
+      cipher.final(),
+      cipher.getAuthTag()
+    ])
+  },
+
+  open ({ ad, key, ciphertext }) {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key.slice(0, 32), key.slice(32))
+
+    decipher.setAAD(ad)
+    decipher.setAuthTag(ciphertext.slice(-16))
+
+    const plaintext = decipher.update(ciphertext.slice(0, -16))
+
+    try {
+      return Buffer.concat([plaintext, decipher.final()])
+    } catch {
+      throw new Error('Authentication failed')
+    }
+  }
+})
+
+// secretbox doesn't take additional data, so it's bound by deriving the encryption key from it.
+register({
+  name: 'xsalsa20-poly1305',
+  keyLength: 56,
+
+  seal ({ ad, key, plaintext }) {
+    const encKey = util.hmac({ data: ad, key: key.slice(0, 32) })
+    const nonce = key.slice(32)
+
+    return Buffer.from(nacl.secretbox(Buffer.from(plaintext), nonce, encKey))
+  },
+
+  open ({ ad, key, ciphertext }) {
+    const encKey = util.hmac({ data: ad, key: key.slice(0, 32) })
+    const nonce = key.slice(32)
+    const plaintext = nacl.secretbox.open(ciphertext, nonce, encKey)
+
+    if (!plaintext) {
+      throw new Error('Authentication failed')
+    }
+
+    return Buffer.from(plaintext)
+  }
+})
+
+module.exports = {
+  DEFAULT,
+  get,
+  register
+}
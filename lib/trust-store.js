@@ -0,0 +1,165 @@
+'use strict'
+
+const MemoryStore = require('./memory-store')
+const util = require('./util')
+
+/**
+ * This class records the identity key first seen for each contact (trust on first use)
+ * and whether the user has verified it, e.g. by comparing safety numbers.
+ * It also remembers which identity keys have been revoked, and follows contacts to new keys they hand over to.
+ */
+class TrustStore {
+  /**
+   * @param {Store} [store] - stores records in the "identities" and "revocations" namespaces (default: MemoryStore)
+   */
+  constructor (store = new MemoryStore()) {
+    this.store = store
+  }
+
+  static toHex (pubKey) {
+    return typeof pubKey === 'string'
+      ? pubKey
+      : Buffer.from(pubKey).toString('hex')
+  }
+
+  /**
+   * Get the identity record for a contact.
+   *
+   * @param  {String}  contact - the contact's name
+   *
+   * @return {Promise<Object>} the record ({ pubKey, verified, firstSeen }) or undefined if not found
+   */
+  get (contact) {
+    util.validate(['contact', 'a non-empty string', contact])
+
+    return this.store.get('identities', contact)
+  }
+
+  /**
+   * Check an identity key against the one on record for a contact.
+   * The key is recorded as unverified if the contact is new.
+   *
+   * @param  {String}           contact - the contact's name
+   * @param  {(Buffer|String)}  pubKey  - the identity key
+   *
+   * @return {Promise<Object>} the status ("new", "trusted", or "changed") and the record
+   */
+  async check (contact, pubKey) {
+    util.validate(
+      ['contact', 'a non-empty string', contact],
+      ['pubKey', 'a public key', pubKey]
+    )
+
+    pubKey = TrustStore.toHex(pubKey)
+
+    let status
+
+    const record = await this.store.update('identities', contact, record => {
+      if (!record) {
+        status = 'new'
+        return { pubKey, verified: false, firstSeen: Date.now() }
+      }
+
+      status = record.pubKey === pubKey ? 'trusted' : 'changed'
+
+      return record
+    })
+
+    return { status, record }
+  }
+
+  /**
+   * Replace the identity key on record for a contact.
+   * The new key is unverified.
+   *
+   * @param  {String}           contact - the contact's name
+   * @param  {(Buffer|String)}  pubKey  - the identity key
+   *
+   * @return {Promise<Object>} the new record
+   */
+  async trust (contact, pubKey) {
+    util.validate(
+      ['contact', 'a non-empty string', contact],
+      ['pubKey', 'a public key', pubKey]
+    )
+
+    const record = { pubKey: TrustStore.toHex(pubKey), verified: false, firstSeen: Date.now() }
+
+    await this.store.put('identities', contact, record)
+
+    return record
+  }
+
+  /**
+   * Mark the identity key on record for a contact as verified (or unverified).
+   *
+   * @param  {String}   contact           - the contact's name
+   * @param  {Boolean}  [verified = true]
+   *
+   * @return {Promise<Object>} the updated record
+   */
+  async verify (contact, verified = true) {
+    util.validate(['contact', 'a non-empty string', contact])
+
+    const record = await this.store.update('identities', contact, record => {
+      return record && { ...record, verified }
+    })
+
+    if (!record) {
+      throw new Error('Unknown contact: ' + contact)
+    }
+
+    return record
+  }
+
+  /**
+   * Move a contact to the identity key they handed over to, keeping their verified status.
+   * Does nothing unless the contact's key on record is the old key.
+   *
+   * @param  {String}           contact - the contact's name
+   * @param  {(Buffer|String)}  oldKey  - the old identity key
+   * @param  {(Buffer|String)}  newKey  - the new identity key
+   *
+   * @return {Promise<Object>} the contact's record
+   */
+  handover (contact, oldKey, newKey) {
+    util.validate(
+      ['contact', 'a non-empty string', contact],
+      ['oldKey', 'a public key', oldKey],
+      ['newKey', 'a public key', newKey]
+    )
+
+    oldKey = TrustStore.toHex(oldKey)
+    newKey = TrustStore.toHex(newKey)
+
+    return this.store.update('identities', contact, record => {
+      return record && record.pubKey === oldKey
+        ? { ...record, pubKey: newKey }
+        : record
+    })
+  }
+
+  /**
+   * Record that an identity key was revoked.
+   *
+   * @param  {Object}  revocation - the revocation signed by the identity key
+   *
+   * @return {Promise}
+   */
+  revoke (revocation) {
+    return this.store.put('revocations', TrustStore.toHex(revocation.pubKey), revocation)
+  }
+
+  /**
+   * Get the revocation for an identity key.
+   *
+   * @param  {(Buffer|String)}  pubKey - the identity key
+   *
+   * @return {Promise<Object>} the revocation or undefined if the key wasn't revoked
+   */
+  getRevocation (pubKey) {
+    return this.store.get('revocations', TrustStore.toHex(pubKey))
+  }
+}
+
+module.exports = TrustStore
@@ -1,9 +1,23 @@
 'use strict'
 
 const crypto = require('crypto')
+const { Readable } = require('stream')
 const nacl = require('tweetnacl')
 const uuid = require('uuid')
 
+// The WebSocket close code the server uses when it closes a relay that has been idle too long.
+const IDLE_CLOSE_CODE = 4000
+
+// The wire formats for messages on a WebSocket, most preferred first.
+const FORMATS = ['binary', 'json']
+
+const ENVELOPE_VERSION = 1
+const ENVELOPE_TYPES = ['message', 'stream', 'receipt', 'rpc', 'duplex', 'identified']
+const STREAM_FRAME_KINDS = ['start', 'data', 'end', 'cancel', 'window']
+const RECEIPT_KINDS = ['delivered', 'read']
+const RPC_FRAME_KINDS = ['request', 'response']
+const DUPLEX_FRAME_KINDS = ['data', 'end', 'cancel', 'window']
+
 const encrypt = ({ iv, key, plaintext }) => {
   const cipher = crypto.createCipheriv('aes-256-cbc', key, iv)
 
@@ -55,13 +69,360 @@ const hkdf = ({ ikm, info, length, salt }) => {
   return okm.slice(0, length)
 }
 
+const uint64 = n => {
+  const buf = Buffer.alloc(8)
+  buf.writeUInt32BE(Math.floor(n / 2 ** 32))
+  buf.writeUInt32BE(n % 2 ** 32, 4)
+
+  return buf
+}
+
+/**
+ * The data a client signs to authenticate an HTTPS request.
+ */
+const canonicalRequest = ({ method, path, timestamp, nonce, data }) => {
+  const hash = crypto.createHash('sha256')
+    .update(data)
+    .digest('hex')
+
+  return Buffer.from([method, path, timestamp, nonce, hash].join('\n'))
+}
+
+/**
+ * The data a client signs to prove its identity on the WebSocket handshake.
+ */
+const canonicalHandshake = ({ challenge, sid }) => {
+  return Buffer.concat([
+    Buffer.from('triple-double handshake\n'),
+    Buffer.from(challenge, 'hex'),
+    Buffer.from(sid)
+  ])
+}
+
+/**
+ * The data an identity key signs to vouch for a signed prekey.
+ * The timestamp orders bundles so old ones can't be replayed.
+ */
+const canonicalSignPreKey = ({ timestamp, pubSignPreKey }) => {
+  return Buffer.concat([
+    Buffer.from('triple-double signed prekey\n'),
+    uint64(timestamp),
+    Buffer.from(pubSignPreKey)
+  ])
+}
+
+/**
+ * The data an identity key signs to publish a batch of one-time prekeys.
+ */
+const canonicalKeys = ({ timestamp, oneTimeKeys }) => {
+  return Buffer.concat([
+    Buffer.from('triple-double one-time prekeys\n'),
+    uint64(timestamp),
+    ...oneTimeKeys.map(key => Buffer.from(key))
+  ])
+}
+
+/**
+ * The data an identity key signs to revoke itself.
+ */
+const canonicalRevocation = ({ pubKey, timestamp }) => {
+  return Buffer.concat([
+    Buffer.from('triple-double revocation\n'),
+    Buffer.from(pubKey),
+    uint64(timestamp)
+  ])
+}
+
+/**
+ * The data the old and new identity keys both sign to hand over from one to the other.
+ */
+const canonicalHandover = ({ oldKey, newKey, timestamp }) => {
+  return Buffer.concat([
+    Buffer.from('triple-double handover\n'),
+    Buffer.from(oldKey),
+    Buffer.from(newKey),
+    uint64(timestamp)
+  ])
+}
+
+/**
+ * Encode a message as a binary envelope:
+ * version (1 byte) || type (1 byte) || header length (4 bytes) || header || payload length (4 bytes) || payload
+ */
+const encodeEnvelope = ({ type = 'message', header, payload }) => {
+  const prefix = Buffer.alloc(6)
+  prefix.writeUInt8(ENVELOPE_VERSION)
+  prefix.writeUInt8(ENVELOPE_TYPES.indexOf(type) + 1, 1)
+  prefix.writeUInt32BE(header.byteLength, 2)
+
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(payload.byteLength)
+
+  return Buffer.concat([prefix, header, length, payload])
+}
+
+const decodeEnvelope = buf => {
+  if (buf.byteLength < 10 || buf.readUInt8() !== ENVELOPE_VERSION) {
+    throw new Error('Invalid envelope')
+  }
+
+  const type = ENVELOPE_TYPES[buf.readUInt8(1) - 1]
+  const headerLength = buf.readUInt32BE(2)
+  const payloadStart = 10 + headerLength
+
+  if (!type || payloadStart > buf.byteLength || payloadStart + buf.readUInt32BE(6 + headerLength) !== buf.byteLength) {
+    throw new Error('Invalid envelope')
+  }
+
+  const header = buf.slice(6, 6 + headerLength)
+  const payload = buf.slice(payloadStart)
+
+  return { type, header, payload }
+}
+
+/**
+ * The data a session authenticates along with a message of some envelope type, so the server can't change the type.
+ * It's empty for "message", the only type peers that predate envelope types send and read,
+ * so they can still exchange messages without IDs with newer peers.
+ */
+const envelopeAd = type => {
+  return type === 'message' ? Buffer.alloc(0) : Buffer.from([ENVELOPE_TYPES.indexOf(type) + 1])
+}
+
+/**
+ * Encode a message in a wire format: a binary envelope,
+ * or a JSON object with a hex-encoded header and payload (and a type unless it's "message").
+ */
+const encodeMessage = ({ type = 'message', header, payload }, format) => {
+  if (format === 'binary') {
+    return encodeEnvelope({ type, header, payload })
+  }
+
+  header = header.toString('hex')
+  payload = payload.toString('hex')
+
+  return JSON.stringify(type === 'message' ? { header, payload } : { type, header, payload })
+}
+
+/**
+ * Decode a message in either wire format.
+ */
+const decodeMessage = msg => {
+  if (isBuffer(msg)) {
+    try {
+      return decodeEnvelope(msg)
+    } catch {
+      throw new Error('Invalid message')
+    }
+  }
+
+  let type, header, payload
+
+  try {
+    ({ type = 'message', header, payload } = JSON.parse(msg))
+  } catch {
+    throw new Error('Invalid message')
+  }
+
+  if (!ENVELOPE_TYPES.includes(type) || !isString(header) || !isString(payload)) {
+    throw new Error('Invalid message')
+  }
+
+  header = Buffer.from(header, 'hex')
+  payload = Buffer.from(payload, 'hex')
+
+  return { type, header, payload }
+}
+
+/**
+ * Convert a message in either wire format to the given one.
+ * Messages already in that format are returned as they are.
+ */
+const toWireFormat = (msg, format) => {
+  if (isBuffer(msg) === (format === 'binary')) return msg
+
+  return encodeMessage(decodeMessage(msg), format)
+}
+
+/**
+ * Encode a binary frame on a multiplexed connection: the session ID (16 bytes) || envelope
+ */
+const encodeFrame = (sid, envelope) => {
+  return Buffer.concat([Buffer.from(uuid.parse(sid)), envelope])
+}
+
+const decodeFrame = buf => {
+  try {
+    const sid = uuid.stringify(buf.slice(0, 16))
+    const envelope = buf.slice(16)
+
+    return { sid, envelope }
+  } catch {
+    throw new Error('Invalid frame')
+  }
+}
+
+/**
+ * Encode the plaintext of a "stream" message:
+ * kind (1 byte) || transfer ID (16 bytes) || sequence number (4 bytes) || body
+ * The receiver sends "window" frames whose sequence number is the last chunk the sender may send so far.
+ */
+const encodeStreamFrame = ({ kind, id, seq = 0, body = Buffer.alloc(0) }) => {
+  const prefix = Buffer.alloc(21)
+  prefix.writeUInt8(STREAM_FRAME_KINDS.indexOf(kind) + 1)
+  Buffer.from(uuid.parse(id)).copy(prefix, 1)
+  prefix.writeUInt32BE(seq, 17)
+
+  return Buffer.concat([prefix, Buffer.from(body)])
+}
+
+const decodeStreamFrame = buf => {
+  const kind = buf.byteLength >= 21 && STREAM_FRAME_KINDS[buf.readUInt8() - 1]
+
+  if (!kind) {
+    throw new Error('Invalid stream frame')
+  }
+
+  let id
+
+  try {
+    id = uuid.stringify(buf.slice(1, 17))
+  } catch {
+    throw new Error('Invalid stream frame')
+  }
+
+  const seq = buf.readUInt32BE(17)
+  const body = buf.slice(21)
+
+  return { kind, id, seq, body }
+}
+
+/**
+ * Encode the plaintext of a "receipt" message: kind (1 byte) || message ID (16 bytes)
+ */
+const encodeReceipt = ({ kind, id }) => {
+  return Buffer.concat([
+    Buffer.from([RECEIPT_KINDS.indexOf(kind) + 1]),
+    Buffer.from(uuid.parse(id))
+  ])
+}
+
+const decodeReceipt = buf => {
+  const kind = buf.byteLength === 17 && RECEIPT_KINDS[buf.readUInt8() - 1]
+
+  if (!kind) {
+    throw new Error('Invalid receipt')
+  }
+
+  let id
+
+  try {
+    id = uuid.stringify(buf.slice(1))
+  } catch {
+    throw new Error('Invalid receipt')
+  }
+
+  return { kind, id }
+}
+
+/**
+ * Encode the plaintext of an "rpc" message: kind (1 byte) || request ID (16 bytes) || JSON data
+ * The data is { body } for a request or successful response, and { error } for a failed one.
+ */
+const encodeRpcFrame = ({ kind, id, data }) => {
+  return Buffer.concat([
+    Buffer.from([RPC_FRAME_KINDS.indexOf(kind) + 1]),
+    Buffer.from(uuid.parse(id)),
+    Buffer.from(JSON.stringify(data))
+  ])
+}
+
+const decodeRpcFrame = buf => {
+  const kind = buf.byteLength >= 17 && RPC_FRAME_KINDS[buf.readUInt8() - 1]
+
+  if (!kind) {
+    throw new Error('Invalid RPC frame')
+  }
+
+  let id, data
+
+  try {
+    id = uuid.stringify(buf.slice(1, 17))
+    data = JSON.parse(buf.slice(17))
+  } catch {
+    throw new Error('Invalid RPC frame')
+  }
+
+  if (!isObject(data)) {
+    throw new Error('Invalid RPC frame')
+  }
+
+  return { kind, id, data }
+}
+
+/**
+ * Encode the plaintext of a "duplex" message: kind (1 byte) || sequence number (4 bytes) || body
+ * The receiver sends "window" frames whose sequence number is the last chunk the writer may send so far.
+ */
+const encodeDuplexFrame = ({ kind, seq = 0, body = Buffer.alloc(0) }) => {
+  const prefix = Buffer.alloc(5)
+  prefix.writeUInt8(DUPLEX_FRAME_KINDS.indexOf(kind) + 1)
+  prefix.writeUInt32BE(seq, 1)
+
+  return Buffer.concat([prefix, Buffer.from(body)])
+}
+
+const decodeDuplexFrame = buf => {
+  const kind = buf.byteLength >= 5 && DUPLEX_FRAME_KINDS[buf.readUInt8() - 1]
+
+  if (!kind) {
+    throw new Error('Invalid duplex frame')
+  }
+
+  const seq = buf.readUInt32BE(1)
+  const body = buf.slice(5)
+
+  return { kind, seq, body }
+}
+
+/**
+ * Wait for the next message on a WebSocket.
+ * Rejects if the WebSocket closes first.
+ */
+const recvMessage = conn => new Promise((resolve, reject) => {
+  const handleClose = () => {
+    conn.off('message', handleMessage)
+    reject(new Error('Connection closed'))
+  }
+
+  const handleMessage = data => {
+    conn.off('close', handleClose)
+    resolve(data)
+  }
+
+  conn
+    .once('close', handleClose)
+    .once('message', handleMessage)
+})
+
+const safeEqual = (a, b) => {
+  return a.byteLength === b.byteLength && crypto.timingSafeEqual(a, b)
+}
+
 const isArray = x => Array.isArray(x)
+const isBoolean = x => typeof x === 'boolean'
 const isBuffer = x => Buffer.isBuffer(x)
+const isFunction = x => typeof x === 'function'
 const isInteger = x => Number.isInteger(x)
 const isIntegerInRange = (a, b) => x => isInteger(x) && x >= a && x <= b
+const isNonNegativeInteger = x => isInteger(x) && x >= 0
+const isPositiveInteger = x => isInteger(x) && x > 0
 const isString = x => typeof x === 'string'
 const isNonEmptyString = x => x && isString(x)
 const isUUID = x => uuid.validate(x)
+const isObject = x => x !== null && typeof x === 'object' && !isArray(x)
+const isReadable = x => x instanceof Readable
+const isWireFormat = x => FORMATS.includes(x)
 const isArrayPublicKeys = x => isArray(x) && x.every(isPublicKey)
 const isBufferOrString = x => isBuffer(x) || isString(x)
 
@@ -95,14 +456,21 @@ const isSignature = x => {
 
 const validators = {
   'an array': isArray,
+  'a boolean': isBoolean,
   'a buffer': isBuffer,
   'a buffer or string': isBufferOrString,
+  'a function': isFunction,
   'an integer': isInteger,
+  'a non-negative integer': isNonNegativeInteger,
+  'a positive integer': isPositiveInteger,
   'a string': isString,
   'a non-empty string': isNonEmptyString,
+  'an object': isObject,
+  'a readable stream': isReadable,
   'a public key': isPublicKey,
   'a signature': isSignature,
   'a UUID': isUUID,
+  'a wire format': isWireFormat,
   'an array of public keys': isArrayPublicKeys,
   'a valid port number': isIntegerInRange(1, 65535)
 }
@@ -116,10 +484,37 @@ const validate = (...args) => {
 }
 
 module.exports = {
+  FORMATS,
+  IDLE_CLOSE_CODE,
+  canonicalHandover,
+  canonicalHandshake,
+  canonicalKeys,
+  canonicalRequest,
+  canonicalRevocation,
+  canonicalSignPreKey,
+  decodeDuplexFrame,
+  decodeEnvelope,
+  decodeFrame,
+  decodeMessage,
+  decodeReceipt,
+  decodeRpcFrame,
+  decodeStreamFrame,
   decrypt,
+  encodeDuplexFrame,
+  encodeEnvelope,
+  encodeFrame,
+  encodeMessage,
+  encodeReceipt,
+  encodeRpcFrame,
+  encodeStreamFrame,
   encrypt,
+  envelopeAd,
   genKeyPair,
   hkdf,
   hmac,
+  recvMessage,
+  safeEqual,
+  toWireFormat,
+  uint64,
   validate
 }
@@ -1,13 +1,17 @@
 'use strict'
 
 const assert = require('assert')
+const axl = require('axl')
 const { once } = require('events')
 const fs = require('fs')
 const path = require('path')
 const sinon = require('sinon')
+const { Readable } = require('stream')
+const { randomBytes } = require('tweetnacl')
 const uuid = require('uuid')
 const Client = require('../../lib/client')
 const Server = require('../../lib/server')
+const util = require('../../lib/util')
 
 const fixtures = path.join(__dirname, '..', 'fixtures')
 const cert = fs.readFileSync(path.join(fixtures, 'cert.pem'))
@@ -24,7 +28,7 @@ describe('integration', () => {
     this.clock = sinon.useFakeTimers()
     this.alice = new Client({ ca, host, port, info })
     this.bob = new Client({ ca, host, port, info })
-    this.server = new Server({ cert, key })
+    this.server = new Server({ cert, key, initMessageTTL: 60e3 })
 
     await this.server.start(port)
   })
@@ -55,27 +59,78 @@ describe('integration', () => {
 
     it('publishes bundle', async () => {
       const pubKey = await this.alice.publishBundle()
-      const [[, { oneTimeKeys }]] = [...this.server.bundles]
+      const [[, { oneTimeKeys }]] = [...this.server.store.map('bundles')]
 
       assert(Buffer.isBuffer(pubKey))
       assert(pubKey.equals(Buffer.from(this.alice.pubKey)))
 
-      assert.strictEqual(this.server.bundles.size, 1)
+      assert.strictEqual(this.server.store.map('bundles').size, 1)
       assert.strictEqual(oneTimeKeys.length, 10)
     })
 
+    it('keeps one-time prekeys when re-publishing', async () => {
+      const [[, { oneTimeKeys }]] = [...this.server.store.map('bundles')]
+      const { signPreKey } = this.alice
+
+      await this.alice.publishBundle()
+
+      const [[, bundle]] = [...this.server.store.map('bundles')]
+
+      assert.notStrictEqual(this.alice.signPreKey, signPreKey)
+      assert.deepStrictEqual(bundle.oneTimeKeys, oneTimeKeys)
+      assert.deepStrictEqual(this.alice.oneTimeKeys.map(({ pubKey }) => pubKey.toString('hex')), oneTimeKeys)
+    })
+
     it('fails to re-publish same bundle', async () => {
       const pubKey = Buffer.from(this.alice.pubKey).toString('hex')
-      const pubSignPreKey = Buffer.from(this.alice.pubSignPreKey).toString('hex')
-      const preKeySig = Buffer.from(this.alice.preKeySig).toString('hex')
+      const pubSignPreKey = this.alice.signPreKey.pubKey.toString('hex')
+      const { id: signPreKeyId, timestamp } = this.alice.signPreKey
+      const preKeySig = Buffer.from(this.alice.signPreKey.sig).toString('hex')
       const oneTimeKeys = this.alice.oneTimeKeys.map(({ pubKey }) => pubKey.toString('hex'))
 
       const headers = { 'Content-Type': 'application/json' }
-      const data = JSON.stringify({ pubKey, pubSignPreKey, preKeySig, oneTimeKeys })
-      const resp = await this.alice.request({ data, headers, method: 'PUT', path: '/bundle' })
+      const data = JSON.stringify({ pubKey, pubSignPreKey, signPreKeyId, preKeySig, timestamp, oneTimeKeys })
+      const opts = this.alice.signRequest({ data, headers, method: 'PUT', path: '/bundle' })
+      let resp = await this.alice.httpRequest(opts)
 
       assert.strictEqual(resp.statusCode, 400)
       assert.strictEqual(resp.data, 'Cannot publish bundle with same signature')
+
+      resp = await this.alice.httpRequest({ data, headers, method: 'PUT', path: '/bundle' })
+
+      assert.strictEqual(resp.statusCode, 401)
+      assert.strictEqual(resp.data, 'Expected X-Identity to be a public key')
+
+      resp = await this.alice.httpRequest(opts)
+
+      assert.strictEqual(resp.statusCode, 401)
+      assert.strictEqual(resp.data, 'Replayed request')
+
+      resp = await this.bob.httpRequest(this.bob.signRequest({ data, headers, method: 'PUT', path: '/bundle' }))
+
+      assert.strictEqual(resp.statusCode, 403)
+      assert.strictEqual(resp.data, 'Forbidden')
+    })
+
+    it('fails to publish bundle that isn\'t newer', async () => {
+      const { pubKey: pubSignPreKey, id: signPreKeyId, timestamp } = this.alice.signPreKey
+      const signed = util.canonicalSignPreKey({ timestamp, pubSignPreKey })
+      const preKeySig = Buffer.from(axl.sign(this.alice.privKey, signed, randomBytes(64))).toString('hex')
+
+      const data = JSON.stringify({
+        pubKey: this.alice.id,
+        pubSignPreKey: pubSignPreKey.toString('hex'),
+        signPreKeyId,
+        preKeySig,
+        timestamp,
+        oneTimeKeys: []
+      })
+
+      const headers = { 'Content-Type': 'application/json' }
+      const resp = await this.alice.httpRequest(this.alice.signRequest({ data, headers, method: 'PUT', path: '/bundle' }))
+
+      assert.strictEqual(resp.statusCode, 400)
+      assert.strictEqual(resp.data, 'Stale bundle timestamp')
     })
   })
 
@@ -113,7 +168,7 @@ describe('integration', () => {
 
     it('rejects when signature invalid', async () => {
       const peerKey = Buffer.from(this.alice.pubKey)
-      const [bundle] = [...this.server.bundles.values()]
+      const [bundle] = [...this.server.store.map('bundles').values()]
       const oldPreKeySig = Buffer.from(bundle.preKeySig, 'hex')
       const newPreKeySig = Buffer.from(oldPreKeySig)
       newPreKeySig[0]++
@@ -132,18 +187,25 @@ describe('integration', () => {
 
     it('fetches bundle and sends initial message', async () => {
       const peerKey = this.alice.pubKey
-      this.sid1 = await this.bob.sendInitMessage(peerKey, plaintext)
+      this.sid1 = await this.bob.sendInitMessage(peerKey, plaintext, 'alice')
 
       assert(uuid.validate(this.sid1))
 
       assert.strictEqual(this.bob.sessions.size, 1)
 
-      assert.strictEqual(this.server.bundles.size, 1)
-      assert.strictEqual(this.server.msgs.size, 1)
-      assert.strictEqual(this.server.sessions.size, 1)
+      assert.deepStrictEqual(this.bob.sessions.get(this.sid1).trust, {
+        contact: 'alice',
+        pubKey: Client.id(peerKey),
+        verified: false,
+        changed: false
+      })
+
+      assert.strictEqual(this.server.store.map('bundles').size, 1)
+      assert.strictEqual(this.server.store.map('msgs').size, 1)
+      assert.strictEqual(this.server.store.map('sessions').size, 1)
       assert.strictEqual(this.server.conns.size, 0)
 
-      const [[, { oneTimeKeys }]] = [...this.server.bundles]
+      const [[, { oneTimeKeys }]] = [...this.server.store.map('bundles')]
 
       assert.strictEqual(oneTimeKeys.length, 7)
     })
@@ -160,13 +222,20 @@ describe('integration', () => {
     })
 
     it('receives initial message', async () => {
-      const result = await this.alice.recvInitMessage(this.sid1)
+      const result = await this.alice.recvInitMessage(this.sid1, 'bob')
 
       assert.strictEqual(result.toString(), plaintext)
 
-      assert.strictEqual(this.server.bundles.size, 1)
-      assert.strictEqual(this.server.msgs.size, 0)
-      assert.strictEqual(this.server.sessions.size, 1)
+      assert.deepStrictEqual(this.alice.sessions.get(this.sid1).trust, {
+        contact: 'bob',
+        pubKey: this.bob.id,
+        verified: false,
+        changed: false
+      })
+
+      assert.strictEqual(this.server.store.map('bundles').size, 1)
+      assert.strictEqual(this.server.store.map('msgs').size, 0)
+      assert.strictEqual(this.server.store.map('sessions').size, 1)
       assert.strictEqual(this.server.conns.size, 0)
 
       assert.strictEqual(this.alice.sessions.size, 1)
@@ -185,9 +254,9 @@ describe('integration', () => {
       assert.strictEqual(this.alice.sessions.size, 2)
       assert.strictEqual(this.bob.sessions.size, 2)
 
-      assert.strictEqual(this.server.bundles.size, 1)
-      assert.strictEqual(this.server.msgs.size, 0)
-      assert.strictEqual(this.server.sessions.size, 2)
+      assert.strictEqual(this.server.store.map('bundles').size, 1)
+      assert.strictEqual(this.server.store.map('msgs').size, 0)
+      assert.strictEqual(this.server.store.map('sessions').size, 2)
       assert.strictEqual(this.server.conns.size, 0)
     })
 
@@ -208,9 +277,40 @@ describe('integration', () => {
       assert.strictEqual(this.alice.sessions.size, 2)
       assert.strictEqual(this.bob.sessions.size, 3)
 
-      assert.strictEqual(this.server.bundles.size, 1)
-      assert.strictEqual(this.server.msgs.size, 0)
-      assert.strictEqual(this.server.sessions.size, 3)
+      assert.strictEqual(this.server.store.map('bundles').size, 1)
+      assert.strictEqual(this.server.store.map('msgs').size, 0)
+      assert.strictEqual(this.server.store.map('sessions').size, 3)
+      assert.strictEqual(this.server.conns.size, 0)
+    })
+
+    it('receives initial message after re-publishing multiple times within retention', async () => {
+      const peerKey = this.alice.pubKey
+
+      this.alice.maxSignPreKeys = 3
+
+      const sid = await this.bob.sendInitMessage(peerKey, plaintext)
+      const msg = this.server.store.map('msgs').get(sid)
+
+      await this.alice.publishBundle()
+      await this.alice.publishBundle()
+
+      try {
+        const result = await this.alice.recvInitMessage(sid)
+
+        assert.strictEqual(result.toString(), plaintext)
+        assert.strictEqual(this.alice.signPreKeys.length, 3)
+        assert.strictEqual(this.alice.signPreKeys[0].id, msg.signPreKeyId)
+      } finally {
+        this.alice.maxSignPreKeys = 2
+        this.alice.pruneSignPreKeys()
+      }
+
+      assert.strictEqual(this.alice.sessions.size, 3)
+      assert.strictEqual(this.bob.sessions.size, 4)
+
+      assert.strictEqual(this.server.store.map('bundles').size, 1)
+      assert.strictEqual(this.server.store.map('msgs').size, 0)
+      assert.strictEqual(this.server.store.map('sessions').size, 4)
       assert.strictEqual(this.server.conns.size, 0)
     })
 
@@ -218,7 +318,7 @@ describe('integration', () => {
       const peerKey = this.alice.pubKey
       const sid = await this.bob.sendInitMessage(peerKey, plaintext)
 
-      const msg = this.server.msgs.get(sid)
+      const msg = this.server.store.map('msgs').get(sid)
       const oneTimeKey = Buffer.from(msg.oneTimeKey, 'hex')
       oneTimeKey[1]--
       msg.oneTimeKey = oneTimeKey.toString('hex')
@@ -230,18 +330,18 @@ describe('integration', () => {
         assert.strictEqual(message, 'Couldn\'t find oneTimeKey')
       }
 
-      assert.strictEqual(this.alice.sessions.size, 2)
-      assert.strictEqual(this.bob.sessions.size, 4)
+      assert.strictEqual(this.alice.sessions.size, 3)
+      assert.strictEqual(this.bob.sessions.size, 5)
 
-      assert.strictEqual(this.server.bundles.size, 1)
-      assert.strictEqual(this.server.msgs.size, 0)
-      assert.strictEqual(this.server.sessions.size, 4)
+      assert.strictEqual(this.server.store.map('bundles').size, 1)
+      assert.strictEqual(this.server.store.map('msgs').size, 0)
+      assert.strictEqual(this.server.store.map('sessions').size, 5)
       assert.strictEqual(this.server.conns.size, 0)
     })
   })
 
   describe('#sendInitMessage()', () => {
-    it('runs out of oneTimeKeys', async () => {
+    it('runs out of oneTimeKeys and falls back to signed prekey only', async () => {
       const peerKey = this.alice.pubKey
 
       await this.alice.publishBundle()
@@ -250,26 +350,171 @@ describe('integration', () => {
         await this.bob.sendInitMessage(peerKey, plaintext)
       }
 
-      assert.strictEqual(this.server.bundles.size, 1)
-      assert.strictEqual(this.server.msgs.size, 10)
-      assert.strictEqual(this.server.sessions.size, 14)
+      assert.strictEqual(this.server.store.map('bundles').size, 1)
+      assert.strictEqual(this.server.store.map('msgs').size, 10)
+      assert.strictEqual(this.server.store.map('sessions').size, 15)
+      assert.strictEqual(this.server.conns.size, 0)
+
+      const sid = await this.bob.sendInitMessage(peerKey, plaintext)
+      const msg = this.server.store.map('msgs').get(sid)
+
+      assert.strictEqual(msg.oneTimeKey, undefined)
+
+      const result = await this.alice.recvInitMessage(sid)
+
+      assert.strictEqual(result.toString(), plaintext)
+
+      assert.strictEqual(this.server.store.map('bundles').size, 1)
+      assert.strictEqual(this.server.store.map('msgs').size, 10)
+      assert.strictEqual(this.server.store.map('sessions').size, 16)
       assert.strictEqual(this.server.conns.size, 0)
+    })
+  })
+
+  describe('#replenishOneTimeKeys()', () => {
+    it('gets oneTimeKey count', async () => {
+      const count = await this.alice.getOneTimeKeyCount()
 
+      assert.strictEqual(count, 0)
+    })
+
+    it('404s when getting count for nonexistent bundle', async () => {
       try {
-        await this.bob.sendInitMessage(peerKey, plaintext)
+        await this.bob.getOneTimeKeyCount()
         assert.fail('Should reject')
       } catch ({ message }) {
-        assert.strictEqual(message, 'Code 503: No more oneTimeKeys')
+        assert.strictEqual(message, 'Code 404: Not Found')
       }
+    })
 
-      assert.strictEqual(this.server.bundles.size, 1)
-      assert.strictEqual(this.server.msgs.size, 10)
-      assert.strictEqual(this.server.sessions.size, 14)
-      assert.strictEqual(this.server.conns.size, 0)
+    it('403s when getting count for someone else\'s bundle', async () => {
+      const resp = await this.bob.httpRequest(this.bob.signRequest({ path: `/bundle/${this.alice.id}/count` }))
+
+      assert.strictEqual(resp.statusCode, 403)
+      assert.strictEqual(resp.data, 'Forbidden')
+    })
+
+    it('doesn\'t replenish when minOneTimeKeys is 0', async () => {
+      const result = await this.alice.replenishOneTimeKeys()
+
+      assert.strictEqual(result, false)
+      assert.strictEqual(await this.alice.getOneTimeKeyCount(), 0)
+    })
+
+    it('replenishes oneTimeKeys', async () => {
+      const { signPreKey } = this.alice
+
+      this.alice.minOneTimeKeys = 5
+
+      const result = await this.alice.replenishOneTimeKeys()
+
+      assert.strictEqual(result, true)
+      assert.strictEqual(await this.alice.getOneTimeKeyCount(), 10)
+      assert.strictEqual(this.alice.signPreKey, signPreKey)
+    })
+
+    it('fails to publish oneTimeKeys with stale timestamp', async () => {
+      this.alice.keysTimestamp = 0
+
+      try {
+        await this.alice.publishOneTimeKeys()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 400: Stale timestamp')
+      }
+
+      assert.strictEqual(await this.alice.getOneTimeKeyCount(), 10)
+    })
+
+    it('fails to publish oneTimeKeys to someone else\'s bundle', async () => {
+      const { id } = this.bob
+
+      this.bob.id = this.alice.id
+
+      try {
+        await this.bob.publishOneTimeKeys()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 400: Invalid signature: keys.sig')
+      } finally {
+        this.bob.id = id
+      }
+    })
+
+    it('fails to publish oneTimeKeys without signing request', async () => {
+      this.alice.signRequest = opts => opts
+
+      try {
+        await this.alice.publishOneTimeKeys()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 401: Expected X-Identity to be a public key')
+      } finally {
+        delete this.alice.signRequest
+      }
+    })
+
+    it('404s when publishing oneTimeKeys for nonexistent bundle', async () => {
+      try {
+        await this.bob.publishOneTimeKeys()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 404: Not Found')
+      }
+    })
+
+    it('replenishes oneTimeKeys after receiving initial message', async () => {
+      this.alice.minOneTimeKeys = 11
+
+      const sid = await this.bob.sendInitMessage(this.alice.pubKey, plaintext)
+
+      assert.strictEqual(await this.alice.getOneTimeKeyCount(), 9)
+
+      await this.alice.recvInitMessage(sid)
+
+      assert.strictEqual(await this.alice.getOneTimeKeyCount(), 19)
+    })
+
+    it('emits error when replenishing fails after receiving initial message', async () => {
+      const { handleBundleCountRequest } = this.server
+      const sid = await this.bob.sendInitMessage(this.alice.pubKey, plaintext)
+      const promise = once(this.alice, 'error')
+
+      this.alice.minOneTimeKeys = 100
+      this.server.once('error', () => {})
+      this.server.handleBundleCountRequest = sinon.stub().rejects(new Error('whoops'))
+
+      try {
+        const result = await this.alice.recvInitMessage(sid)
+        const [{ message }] = await promise
+
+        assert.strictEqual(result.toString(), plaintext)
+        assert.strictEqual(message, 'Code 500: Internal Server Error')
+      } finally {
+        this.alice.minOneTimeKeys = 0
+        this.server.handleBundleCountRequest = handleBundleCountRequest
+      }
     })
   })
 
   describe('#connect()', () => {
+    it('fails to connect with someone else\'s identity key', async () => {
+      const eve = new Client({ ca, host, port, info })
+
+      eve.id = this.alice.id
+      eve.sessions.set(this.sid1, this.alice.sessions.get(this.sid1))
+
+      try {
+        await eve.connect(this.sid1)
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid signature')
+      }
+
+      assert.strictEqual(this.server.store.map('sessions').size, 18)
+      assert.strictEqual(this.server.conns.size, 0)
+    })
+
     it('connects alice and bob', async () => {
       await Promise.all([
         this.alice.connect(this.sid1),
@@ -279,10 +524,11 @@ describe('integration', () => {
       assert.strictEqual(this.alice.conns.size, 1)
       assert.strictEqual(this.bob.conns.size, 1)
 
-      assert.strictEqual(this.server.bundles.size, 1)
-      assert.strictEqual(this.server.msgs.size, 10)
-      assert.strictEqual(this.server.sessions.size, 13)
-      assert.strictEqual(this.server.conns.size, 0)
+      assert.strictEqual(this.server.store.map('bundles').size, 1)
+      assert.strictEqual(this.server.store.map('msgs').size, 10)
+      assert.strictEqual(this.server.store.map('sessions').size, 18)
+      assert.strictEqual(this.server.conns.size, 1)
+      assert.strictEqual(this.server.conns.get(this.sid1).size, 2)
     })
 
     it('fails to connect to same session twice', async () => {
@@ -294,21 +540,48 @@ describe('integration', () => {
       }
     })
 
-    it('fails to connect if peer disconnected', async () => {
-      this.alice.connect(this.sid2)
+    it('connects after peer disconnected', async () => {
+      await this.alice.connect(this.sid2)
 
-      await once(this.server, 'connection')
+      const promise = once(this.alice, 'disconnect')
 
-      const conn = this.server.conns.get(this.sid2)
+      this.server.conns.get(this.sid2).get(this.alice.id).conn.close()
 
-      conn.close()
+      await promise
 
-      try {
-        await this.bob.connect(this.sid2)
-        assert.fail('Should reject')
-      } catch ({ message }) {
-        assert.strictEqual(message, 'Peer disconnected')
-      }
+      assert.strictEqual(this.alice.sessions.has(this.sid2), true)
+      assert.strictEqual(this.server.conns.has(this.sid2), false)
+
+      await this.bob.connect(this.sid2)
+
+      assert.strictEqual(this.server.conns.get(this.sid2).size, 1)
+    })
+
+    it('reconnects to session', async () => {
+      const promise = once(this.alice, 'reconnected')
+
+      await this.alice.reconnect(this.sid2)
+
+      const [{ sid }] = await promise
+
+      assert.strictEqual(sid, this.sid2)
+      assert.strictEqual(this.server.conns.get(this.sid2).size, 2)
+
+      const msgPromise = once(this.bob, 'message')
+
+      this.alice.send(this.sid2, plaintext)
+
+      const [{ plaintext: result }] = await msgPromise
+
+      assert.strictEqual(result.toString(), plaintext)
+
+      this.alice.disconnect(this.sid2)
+      this.bob.disconnect(this.sid2)
+
+      await Promise.all([
+        once(this.alice, 'disconnect'),
+        once(this.bob, 'disconnect')
+      ])
     })
 
     it('fails to connect if session not found', async () => {
@@ -344,8 +617,8 @@ describe('integration', () => {
 
     it('sends two messages at the same time', async () => {
       const promises = [
-        once(this.alice, 'message').then(([msg]) => msg),
-        once(this.bob, 'message').then(([msg]) => msg)
+        once(this.alice, 'message').then(([{ sid, plaintext }]) => ({ plaintext, sid })),
+        once(this.bob, 'message').then(([{ sid, plaintext }]) => ({ plaintext, sid }))
       ]
 
       this.alice.send(this.sid1, plaintext)
@@ -369,9 +642,9 @@ describe('integration', () => {
         const [msg2] = await once(this.alice, 'message')
         const [msg3] = await once(this.alice, 'message')
 
-        assert.deepStrictEqual(msg1, { plaintext: plaintext1, sid: this.sid1 })
-        assert.deepStrictEqual(msg2, { plaintext: plaintext2, sid: this.sid1 })
-        assert.deepStrictEqual(msg3, { plaintext: plaintext3, sid: this.sid1 })
+        assert.deepStrictEqual({ plaintext: msg1.plaintext, sid: msg1.sid }, { plaintext: plaintext1, sid: this.sid1 })
+        assert.deepStrictEqual({ plaintext: msg2.plaintext, sid: msg2.sid }, { plaintext: plaintext2, sid: this.sid1 })
+        assert.deepStrictEqual({ plaintext: msg3.plaintext, sid: msg3.sid }, { plaintext: plaintext3, sid: this.sid1 })
       })()
 
       const promise2 = (async () => {
@@ -379,9 +652,9 @@ describe('integration', () => {
         const [msg2] = await once(this.bob, 'message')
         const [msg3] = await once(this.bob, 'message')
 
-        assert.deepStrictEqual(msg1, { plaintext: plaintext1, sid: this.sid1 })
-        assert.deepStrictEqual(msg2, { plaintext: plaintext2, sid: this.sid1 })
-        assert.deepStrictEqual(msg3, { plaintext: plaintext3, sid: this.sid1 })
+        assert.deepStrictEqual({ plaintext: msg1.plaintext, sid: msg1.sid }, { plaintext: plaintext1, sid: this.sid1 })
+        assert.deepStrictEqual({ plaintext: msg2.plaintext, sid: msg2.sid }, { plaintext: plaintext2, sid: this.sid1 })
+        assert.deepStrictEqual({ plaintext: msg3.plaintext, sid: msg3.sid }, { plaintext: plaintext3, sid: this.sid1 })
       })()
 
       this.alice.send(this.sid1, plaintext1)
@@ -397,22 +670,74 @@ describe('integration', () => {
 
   describe('#disconnect()', () => {
     it('disconnects session', async () => {
-      const promise = Promise.all([
+      const promise = once(this.alice, 'disconnect')
+
+      this.alice.disconnect(this.sid1)
+
+      const results = await promise
+
+      assert.deepStrictEqual(results, [this.sid1, 'requested'])
+
+      assert.strictEqual(this.alice.sessions.has(this.sid1), true)
+      assert.strictEqual(this.alice.conns.get(this.sid1), undefined)
+      assert.strictEqual(this.bob.conns.has(this.sid1), true)
+    })
+
+    it('holds messages for peer until it reconnects', async () => {
+      this.bob.send(this.sid1, plaintext)
+
+      const promise = once(this.alice, 'message')
+
+      await this.alice.reconnect(this.sid1)
+
+      const [msg] = await promise
+
+      assert.strictEqual(msg.plaintext.toString(), plaintext)
+
+      const disconnected = Promise.all([
         once(this.alice, 'disconnect'),
         once(this.bob, 'disconnect')
       ])
 
       this.alice.disconnect(this.sid1)
+      this.bob.disconnect(this.sid1)
 
-      const results = await promise
+      await disconnected
+    })
 
-      assert.deepStrictEqual(results, [[this.sid1], [this.sid1]])
+    it('reconnects automatically when connection drops', async () => {
+      this.alice.autoReconnect = true
 
-      assert.strictEqual(this.alice.sessions.get(this.sid1), undefined)
-      assert.strictEqual(this.bob.sessions.get(this.sid1), undefined)
+      try {
+        await this.alice.connect(this.sid1)
 
-      assert.strictEqual(this.alice.conns.get(this.sid1), undefined)
-      assert.strictEqual(this.bob.conns.get(this.sid1), undefined)
+        const promise = once(this.alice, 'reconnecting')
+
+        this.server.conns.get(this.sid1).get(this.alice.id).conn.close()
+
+        const [{ sid, attempt, delay }] = await promise
+
+        assert.strictEqual(sid, this.sid1)
+        assert.strictEqual(attempt, 1)
+        assert.strictEqual(delay, 1e3)
+
+        const reconnected = once(this.alice, 'reconnected')
+
+        await this.clock.tickAsync(delay)
+        await reconnected
+
+        assert.strictEqual(this.server.conns.get(this.sid1).has(this.alice.id), true)
+
+        const disconnected = once(this.alice, 'disconnect')
+
+        this.alice.disconnect(this.sid1)
+
+        await disconnected
+
+        assert.strictEqual(this.alice.reconnectTimers.size, 0)
+      } finally {
+        this.alice.autoReconnect = false
+      }
     })
 
     it('fails to disconnect nonexistent session', async () => {
@@ -437,13 +762,1129 @@ describe('integration', () => {
     })
   })
 
-  describe('cleanup', () => {
-    it('cleans up sessions and messages on server', () => {
-      this.clock.tick(60e3)
+  describe('store and forward', () => {
+    beforeEach(async () => {
+      this.sid = await this.bob.sendInitMessage(this.alice.pubKey, plaintext, 'alice')
+
+      await this.alice.recvInitMessage(this.sid, 'bob')
+    })
+
+    it('fails to send if not connected', () => {
+      try {
+        this.bob.send(this.sid, plaintext)
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Not connected')
+      }
+    })
+
+    it('delivers messages sent before peer connects', async () => {
+      await this.bob.connect(this.sid)
+
+      this.bob.send(this.sid, 'foo')
+      this.bob.send(this.sid, 'bar')
+
+      const plaintexts = []
+
+      const promise = new Promise(resolve => {
+        const handleMessage = ({ sid, plaintext }) => {
+          plaintexts.push(plaintext.toString())
+
+          if (plaintexts.length === 3) {
+            this.alice.removeListener('message', handleMessage)
+            resolve()
+          }
+        }
+
+        this.alice.on('message', handleMessage)
+      })
+
+      await this.alice.connect(this.sid)
+
+      this.bob.send(this.sid, 'baz')
+
+      await promise
+
+      assert.deepStrictEqual(plaintexts, ['foo', 'bar', 'baz'])
+
+      const disconnected = Promise.all([
+        once(this.alice, 'disconnect'),
+        once(this.bob, 'disconnect')
+      ])
+
+      this.alice.disconnect(this.sid)
+      this.bob.disconnect(this.sid)
+
+      await disconnected
+    })
+
+    it('delivers messages sent before peer disconnected', async () => {
+      await this.bob.connect(this.sid)
+
+      this.bob.send(this.sid, 'foo')
+      this.bob.disconnect(this.sid)
+
+      await once(this.bob, 'disconnect')
+
+      const promise = once(this.alice, 'message')
+
+      await this.alice.connect(this.sid)
+
+      const [{ plaintext }] = await promise
+
+      assert.strictEqual(plaintext.toString(), 'foo')
+      assert.strictEqual(this.server.store.map('queues').size, 0)
+
+      const disconnected = once(this.alice, 'disconnect')
+
+      this.alice.disconnect(this.sid)
+
+      await disconnected
+    })
+  })
+
+  describe('acknowledgements', () => {
+    beforeEach(async () => {
+      this.sid = await this.bob.sendInitMessage(this.alice.pubKey, plaintext, 'alice')
+
+      await this.alice.recvInitMessage(this.sid, 'bob')
+      await this.bob.connect(this.sid)
+    })
+
+    afterEach(async () => {
+      const disconnected = once(this.bob, 'disconnect')
+
+      this.bob.disconnect(this.sid)
+
+      await disconnected
+    })
+
+    it('resolves send once peer acknowledges message', async () => {
+      const sent = this.bob.send(this.sid, 'foo')
+      const delivered = once(this.bob, 'delivered')
+      const promise = once(this.alice, 'message')
+
+      await this.alice.connect(this.sid)
+
+      const [{ id }] = await promise
+
+      assert.strictEqual(await sent, id)
+      assert.deepStrictEqual(await delivered, [{ sid: this.sid, id }])
+
+      const read = once(this.bob, 'read')
+
+      this.alice.markRead(this.sid, id)
+
+      assert.deepStrictEqual(await read, [{ sid: this.sid, id }])
+
+      this.alice.disconnect(this.sid)
+    })
+
+    it('rejects send when peer doesn\'t acknowledge in time', async () => {
+      const sent = this.bob.send(this.sid, 'foo', { timeout: 1e3 })
+
+      await this.clock.tickAsync(1e3)
+
+      try {
+        await sent
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Timed out waiting for ack')
+      }
+    })
+  })
+
+  describe('#request()', () => {
+    before(async () => {
+      this.sid = await this.bob.sendInitMessage(this.alice.pubKey, plaintext, 'alice')
+
+      await this.alice.recvInitMessage(this.sid, 'bob')
+      await Promise.all([this.alice.connect(this.sid), this.bob.connect(this.sid)])
+    })
+
+    after(() => {
+      this.alice.handlers.clear()
+      this.bob.handlers.clear()
+      this.bob.disconnect(this.sid)
+    })
+
+    it('sends concurrent requests and receives responses', async () => {
+      this.alice.handle(this.sid, async (body, { sid, id }) => {
+        assert.strictEqual(sid, this.sid)
+        assert.strictEqual(uuid.validate(id), true)
+
+        return { double: body * 2 }
+      })
 
-      assert.strictEqual(this.server.bundles.size, 1)
-      assert.strictEqual(this.server.msgs.size, 0)
-      assert.strictEqual(this.server.sessions.size, 0)
+      const results = await Promise.all([1, 2, 3].map(n => this.bob.request(this.sid, n)))
+
+      assert.deepStrictEqual(results, [{ double: 2 }, { double: 4 }, { double: 6 }])
+      assert.strictEqual(this.bob.requests.size, 0)
+    })
+
+    it('rejects with error handler threw', async () => {
+      this.alice.handle(this.sid, () => {
+        throw new Error('whoops')
+      })
+
+      try {
+        await this.bob.request(this.sid, 'foo')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'whoops')
+      }
+    })
+
+    it('falls back to handler for every session', async () => {
+      this.alice.handlers.clear()
+      this.alice.handle('*', body => body.toUpperCase())
+
+      assert.strictEqual(await this.bob.request(this.sid, 'foo'), 'FOO')
+    })
+
+    it('rejects when peer has no handler', async () => {
+      this.alice.handlers.clear()
+
+      try {
+        await this.bob.request(this.sid, 'foo')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'No handler')
+      }
+    })
+
+    it('rejects when response doesn\'t arrive in time', async () => {
+      this.alice.handle(this.sid, () => new Promise(() => {}))
+
+      const promise = this.bob.request(this.sid, 'foo', { timeout: 1e3 })
+
+      try {
+        await Promise.all([promise, this.clock.tickAsync(1e3)])
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Request timed out')
+      }
+
+      assert.strictEqual(this.bob.requests.size, 0)
+    })
+
+    it('cancels requests on disconnect', async () => {
+      const promise = this.bob.request(this.sid, 'foo')
+
+      this.alice.disconnect(this.sid)
+      this.bob.disconnect(this.sid)
+
+      try {
+        await promise
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Disconnected')
+      }
+
+      assert.strictEqual(this.bob.requests.size, 0)
+
+      await this.bob.connect(this.sid)
+    })
+  })
+
+  describe('multiplexing', () => {
+    before(async () => {
+      this.erin = new Client({ ca, host, port, info, multiplex: true })
+      this.frank = new Client({ ca, host, port, info, multiplex: true })
+
+      await this.erin.publishBundle()
+
+      this.muxSids = []
+
+      for (let i = 0; i < 2; i++) {
+        const sid = await this.frank.sendInitMessage(this.erin.pubKey, plaintext)
+
+        await this.erin.recvInitMessage(sid)
+
+        this.muxSids.push(sid)
+      }
+    })
+
+    const recv = (client, count) => new Promise(resolve => {
+      const msgs = []
+
+      const handleMessage = ({ sid, plaintext }) => {
+        msgs.push([sid, plaintext.toString()])
+
+        if (msgs.length === count) {
+          client.removeListener('message', handleMessage)
+          resolve(msgs)
+        }
+      }
+
+      client.on('message', handleMessage)
+    })
+
+    it('connects to sessions over one connection', async () => {
+      const clients = this.server.ws.clients.size
+
+      await Promise.all([
+        ...this.muxSids.map(sid => this.erin.connect(sid)),
+        ...this.muxSids.map(sid => this.frank.connect(sid))
+      ])
+
+      assert.strictEqual(this.server.ws.clients.size, clients + 2)
+      assert.strictEqual(this.erin.conns.size, 2)
+      assert.strictEqual(this.server.conns.get(this.muxSids[0]).size, 2)
+      assert.strictEqual(this.server.conns.get(this.muxSids[1]).size, 2)
+    })
+
+    it('fails to connect to same session twice', async () => {
+      try {
+        await this.erin.connect(this.muxSids[0])
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Already connected')
+      }
+    })
+
+    it('fails to join session that isn\'t found', async () => {
+      const sid = uuid.v4()
+
+      this.erin.sessions.set(sid, this.erin.sessions.get(this.muxSids[0]))
+
+      try {
+        await this.erin.connect(sid)
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Not found')
+      } finally {
+        this.erin.sessions.delete(sid)
+      }
+    })
+
+    it('routes messages to the right sessions', async () => {
+      const [sid1, sid2] = this.muxSids
+      const promise = Promise.all([recv(this.erin, 2), recv(this.frank, 2)])
+
+      this.frank.send(sid1, 'foo')
+      this.frank.send(sid2, 'bar')
+      this.erin.send(sid2, 'baz')
+      this.erin.send(sid1, 'qux')
+
+      const [erinMsgs, frankMsgs] = await promise
+
+      assert.deepStrictEqual(erinMsgs, [[sid1, 'foo'], [sid2, 'bar']])
+      assert.deepStrictEqual(frankMsgs, [[sid2, 'baz'], [sid1, 'qux']])
+    })
+
+    it('leaves one session and holds its messages', async () => {
+      const [sid1, sid2] = this.muxSids
+      const promise = once(this.frank, 'disconnect')
+
+      this.frank.disconnect(sid1)
+
+      assert.deepStrictEqual(await promise, [sid1, 'requested'])
+      assert.strictEqual(this.frank.muxConn.readyState, 1)
+
+      this.erin.send(sid1, 'foo')
+
+      let msgs = recv(this.frank, 1)
+
+      this.erin.send(sid2, 'bar')
+
+      assert.deepStrictEqual(await msgs, [[sid2, 'bar']])
+
+      msgs = recv(this.frank, 1)
+
+      await this.frank.reconnect(sid1)
+
+      assert.deepStrictEqual(await msgs, [[sid1, 'foo']])
+    })
+
+    it('disconnects every session when connection drops', async () => {
+      const disconnected = []
+      const handleDisconnect = sid => disconnected.push(sid)
+      const conn = this.frank.muxConn
+
+      this.frank.on('disconnect', handleDisconnect)
+
+      conn.terminate()
+
+      await once(conn, 'close')
+
+      this.frank.removeListener('disconnect', handleDisconnect)
+
+      assert.deepStrictEqual(disconnected.sort(), this.muxSids.slice().sort())
+      assert.strictEqual(this.frank.muxConn, null)
+      assert.strictEqual(this.frank.conns.size, 0)
+
+      await Promise.all(this.muxSids.map(sid => this.frank.reconnect(sid)))
+
+      const msgs = recv(this.frank, 2)
+
+      this.erin.send(this.muxSids[0], 'foo')
+      this.erin.send(this.muxSids[1], 'bar')
+
+      assert.deepStrictEqual((await msgs).sort(), [[this.muxSids[0], 'foo'], [this.muxSids[1], 'bar']].sort())
+    })
+
+    it('relays between multiplexed and separate connections', async () => {
+      const sid = await this.erin.sendInitMessage(this.alice.pubKey, plaintext)
+
+      await this.alice.recvInitMessage(sid)
+      await Promise.all([this.alice.connect(sid), this.erin.connect(sid)])
+
+      const promise = Promise.all([recv(this.alice, 1), recv(this.erin, 1)])
+
+      this.erin.send(sid, 'foo')
+      this.alice.send(sid, 'bar')
+
+      assert.deepStrictEqual(await promise, [[[sid, 'foo']], [[sid, 'bar']]])
+
+      this.alice.disconnect(sid)
+      this.erin.disconnect(sid)
+    })
+
+    it('closes connection once it carries no sessions', async () => {
+      const conn = this.erin.muxConn
+      const promise = once(conn, 'close')
+
+      this.muxSids.forEach(sid => {
+        this.erin.disconnect(sid)
+        this.frank.disconnect(sid)
+      })
+
+      await promise
+
+      assert.strictEqual(this.erin.muxConn, null)
+      assert.strictEqual(this.frank.muxConn, null)
+    })
+  })
+
+  describe('wire formats', () => {
+    before(() => {
+      this.gina = new Client({ ca, host, port, info, format: 'json' })
+      this.hank = new Client({ ca, host, port, info, format: 'json', multiplex: true })
+    })
+
+    const exchange = async (client, peer) => {
+      const sid = await client.sendInitMessage(peer.pubKey, plaintext)
+
+      await peer.recvInitMessage(sid)
+      await Promise.all([client.connect(sid), peer.connect(sid)])
+
+      const promise = Promise.all([once(client, 'message'), once(peer, 'message')])
+
+      client.send(sid, 'foo')
+      peer.send(sid, 'bar')
+
+      const [[{ plaintext: msg1 }], [{ plaintext: msg2 }]] = await promise
+
+      assert.strictEqual(msg1.toString(), 'bar')
+      assert.strictEqual(msg2.toString(), 'foo')
+
+      return sid
+    }
+
+    it('exchanges messages with peer that picked JSON', async () => {
+      const sid = await exchange(this.gina, this.alice)
+      const conns = this.server.conns.get(sid)
+
+      assert.strictEqual(conns.get(this.gina.id).format, 'json')
+      assert.strictEqual(conns.get(this.alice.id).format, 'binary')
+
+      this.gina.disconnect(sid)
+      this.alice.disconnect(sid)
+    })
+
+    it('exchanges messages on multiplexed connection that picked JSON', async () => {
+      const sid = await exchange(this.hank, this.alice)
+
+      assert.strictEqual(this.hank.formats.get(this.hank.muxConn), 'json')
+
+      this.hank.disconnect(sid)
+      this.alice.disconnect(sid)
+    })
+
+    it('falls back to JSON when server doesn\'t offer formats', async () => {
+      const { FORMATS } = util
+
+      // Servers that predate the binary format don't send formats with the challenge.
+      util.FORMATS = undefined
+
+      let sid
+
+      try {
+        sid = await exchange(this.bob, this.alice)
+      } finally {
+        util.FORMATS = FORMATS
+      }
+
+      const conns = this.server.conns.get(sid)
+
+      assert.strictEqual(conns.get(this.bob.id).format, 'json')
+      assert.strictEqual(conns.get(this.alice.id).format, 'json')
+
+      this.bob.disconnect(sid)
+      this.alice.disconnect(sid)
+    })
+  })
+
+  describe('#sendStream()', () => {
+    before(async () => {
+      this.ivy = new Client({ ca, host, port, info, chunkSize: 1000, maxBufferedAmount: 0 })
+      this.streamSid = await this.ivy.sendInitMessage(this.alice.pubKey, plaintext)
+
+      await this.alice.recvInitMessage(this.streamSid)
+      await Promise.all([this.ivy.connect(this.streamSid), this.alice.connect(this.streamSid)])
+    })
+
+    after(() => {
+      this.ivy.disconnect(this.streamSid)
+      this.alice.disconnect(this.streamSid)
+    })
+
+    it('sends stream in chunks', async () => {
+      const data = randomBytes(4500)
+      const promise = once(this.alice, 'stream')
+      const sent = this.ivy.sendStream(this.streamSid, Readable.from([data.slice(0, 2500), data.slice(2500)]), { name: 'foo.bin' })
+      const [{ sid, id, metadata, stream }] = await promise
+      const chunks = []
+
+      for await (const chunk of stream) {
+        chunks.push(chunk)
+      }
+
+      assert.strictEqual(sid, this.streamSid)
+      assert.strictEqual(id, await sent)
+      assert.deepStrictEqual(metadata, { name: 'foo.bin' })
+      assert.deepStrictEqual(chunks.map(chunk => chunk.byteLength), [1000, 1000, 500, 1000, 1000])
+      assert.deepStrictEqual(Buffer.concat(chunks), Buffer.from(data))
+      assert.strictEqual(this.ivy.transfers.size, 0)
+      assert.strictEqual(this.alice.streams.size, 0)
+    })
+
+    it('stops sending until receiver reads', async () => {
+      const data = Buffer.from(randomBytes(100e3))
+      const promise = once(this.alice, 'stream')
+      const sent = this.ivy.sendStream(this.streamSid, Readable.from([data]))
+      const [{ id, stream }] = await promise
+      const incoming = this.alice.streams.get(id)
+      const conn = this.alice.conns.get(this.streamSid)
+
+      // Receive every chunk the sender may send while we aren't reading.
+      while (incoming.seq < incoming.window) {
+        await once(conn, 'message')
+        await new Promise(resolve => process.nextTick(resolve))
+      }
+
+      assert(stream.readableLength < data.byteLength / 2)
+      assert(this.ivy.transfers.has(id))
+
+      const chunks = []
+
+      for await (const chunk of stream) {
+        chunks.push(chunk)
+      }
+
+      assert.strictEqual(await sent, id)
+      assert.deepStrictEqual(Buffer.concat(chunks), data)
+    })
+
+    it('stops sending when receiver cancels', async () => {
+      const readable = new Readable({ read () {} })
+      const promise = once(this.alice, 'stream')
+      const sent = this.ivy.sendStream(this.streamSid, readable)
+      const [{ stream }] = await promise
+
+      stream.destroy()
+
+      try {
+        await sent
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Stream cancelled by peer')
+      }
+
+      assert.strictEqual(readable.destroyed, true)
+      assert.strictEqual(this.ivy.transfers.size, 0)
+      assert.strictEqual(this.alice.streams.size, 0)
+    })
+
+    it('cancels stream when sender destroys readable', async () => {
+      const readable = new Readable({ read () {} })
+      const promise = once(this.alice, 'stream')
+      const sent = this.ivy.sendStream(this.streamSid, readable)
+      const [{ stream }] = await promise
+
+      readable.push('foo')
+      readable.destroy()
+
+      try {
+        await sent
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Stream cancelled')
+      }
+
+      try {
+        for await (const chunk of stream) {
+          assert.strictEqual(chunk.toString(), 'foo')
+        }
+
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Stream cancelled')
+      }
+
+      assert.strictEqual(this.alice.streams.size, 0)
+    })
+
+    it('cancels transfer on each end when it disconnects', async () => {
+      const readable = new Readable({ read () {} })
+      const promise = once(this.alice, 'stream')
+      const sent = this.ivy.sendStream(this.streamSid, readable)
+      const [{ stream }] = await promise
+
+      readable.push('foo')
+
+      const [chunk] = await once(stream, 'data')
+
+      assert.strictEqual(chunk.toString(), 'foo')
+
+      this.alice.disconnect(this.streamSid)
+
+      const [{ message }] = await once(stream, 'error')
+
+      assert.strictEqual(message, 'Disconnected')
+      assert.strictEqual(this.alice.streams.size, 0)
+
+      this.ivy.disconnect(this.streamSid)
+
+      try {
+        await sent
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Disconnected')
+      }
+
+      assert.strictEqual(readable.destroyed, true)
+      assert.strictEqual(this.ivy.transfers.size, 0)
+
+      await Promise.all([this.ivy.connect(this.streamSid), this.alice.connect(this.streamSid)])
+    })
+  })
+
+  describe('#createStream()', () => {
+    before(async () => {
+      this.jack = new Client({ ca, host, port, info, chunkSize: 1000, maxBufferedAmount: 0 })
+      this.kate = new Client({ ca, host, port, info })
+
+      await this.kate.publishBundle()
+
+      this.duplexSid = await this.jack.sendInitMessage(this.kate.pubKey, plaintext)
+
+      await this.kate.recvInitMessage(this.duplexSid)
+      await Promise.all([this.jack.connect(this.duplexSid), this.kate.connect(this.duplexSid)])
+    })
+
+    it('pipes data both ways in order', async () => {
+      const data = randomBytes(2500)
+      const jackStream = this.jack.createStream(this.duplexSid)
+      const kateStream = this.kate.createStream(this.duplexSid)
+      const chunks = []
+
+      assert.strictEqual(this.jack.createStream(this.duplexSid), jackStream)
+
+      // Kate echoes back whatever Jack writes.
+      kateStream.pipe(kateStream)
+      jackStream.on('data', chunk => chunks.push(chunk))
+      jackStream.end(Buffer.from(data))
+
+      await Promise.all([once(jackStream, 'close'), once(kateStream, 'close')])
+
+      assert.deepStrictEqual(chunks.map(chunk => chunk.byteLength), [1000, 1000, 500])
+      assert.deepStrictEqual(Buffer.concat(chunks), Buffer.from(data))
+      assert.strictEqual(this.jack.duplexes.size, 0)
+      assert.strictEqual(this.kate.duplexes.size, 0)
+    })
+
+    it('stops writing until peer reads', async () => {
+      const data = Buffer.from(randomBytes(100e3))
+      const jackStream = this.jack.createStream(this.duplexSid)
+      const kateStream = this.kate.createStream(this.duplexSid)
+      const duplex = this.kate.duplexes.get(this.duplexSid)
+      const conn = this.kate.conns.get(this.duplexSid)
+      const chunks = []
+
+      jackStream.resume()
+      jackStream.end(data)
+
+      // Receive every chunk Jack may write while Kate isn't reading.
+      while (duplex.received < duplex.granted) {
+        await once(conn, 'message')
+        await new Promise(resolve => process.nextTick(resolve))
+      }
+
+      assert(kateStream.readableLength < data.byteLength / 2)
+      assert.strictEqual(jackStream.writableFinished, false)
+
+      kateStream.end()
+
+      for await (const chunk of kateStream) {
+        chunks.push(chunk)
+      }
+
+      await once(jackStream, 'close')
+
+      assert.deepStrictEqual(Buffer.concat(chunks), data)
+      assert.strictEqual(this.jack.duplexes.size, 0)
+      assert.strictEqual(this.kate.duplexes.size, 0)
+    })
+
+    it('errors when peer isn\'t listening', async () => {
+      const stream = this.jack.createStream(this.duplexSid)
+
+      stream.write('foo')
+
+      const [{ message }] = await once(stream, 'error')
+
+      assert.strictEqual(message, 'Stream cancelled by peer')
+      assert.strictEqual(this.jack.duplexes.size, 0)
+    })
+
+    it('destroys peer\'s stream when destroyed', async () => {
+      const jackStream = this.jack.createStream(this.duplexSid)
+      const kateStream = this.kate.createStream(this.duplexSid)
+
+      jackStream.write('foo')
+
+      const [chunk] = await once(kateStream, 'data')
+
+      assert.strictEqual(chunk.toString(), 'foo')
+
+      jackStream.destroy()
+
+      const [{ message }] = await once(kateStream, 'error')
+
+      assert.strictEqual(message, 'Stream cancelled by peer')
+      assert.strictEqual(this.jack.duplexes.size, 0)
+      assert.strictEqual(this.kate.duplexes.size, 0)
+    })
+
+    it('destroys stream on disconnect', async () => {
+      const jackStream = this.jack.createStream(this.duplexSid)
+      const kateStream = this.kate.createStream(this.duplexSid)
+      const promises = [once(jackStream, 'error'), once(kateStream, 'error')]
+
+      this.jack.disconnect(this.duplexSid)
+      this.kate.disconnect(this.duplexSid)
+
+      const errors = await Promise.all(promises)
+
+      assert.deepStrictEqual(errors.map(([{ message }]) => message), ['Disconnected', 'Disconnected'])
+      assert.strictEqual(this.jack.duplexes.size, 0)
+      assert.strictEqual(this.kate.duplexes.size, 0)
+    })
+  })
+
+  describe('#revoke()', () => {
+    before(async () => {
+      this.carol = new Client({ ca, host, port, info })
+
+      await this.carol.publishBundle()
+    })
+
+    it('fails to revoke without signing request', async () => {
+      this.carol.signRequest = opts => opts
+
+      try {
+        await this.carol.revoke()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 401: Expected X-Identity to be a public key')
+      } finally {
+        delete this.carol.signRequest
+      }
+    })
+
+    it('400s if revocation isn\'t valid', async () => {
+      const path = '/bundle/' + this.carol.id
+      const headers = { 'Content-Type': 'application/json' }
+
+      let resp = await this.carol.httpRequest(this.carol.signRequest({ data: 'not json"]', headers, method: 'DELETE', path }))
+
+      assert.strictEqual(resp.statusCode, 400)
+      assert.strictEqual(resp.data, 'Invalid revocation')
+
+      const data = JSON.stringify({ timestamp: 1, sig: Buffer.alloc(64).toString('hex') })
+      resp = await this.carol.httpRequest(this.carol.signRequest({ data, headers, method: 'DELETE', path }))
+
+      assert.strictEqual(resp.statusCode, 400)
+      assert.strictEqual(resp.data, 'Invalid signature: revocation.sig')
+    })
+
+    it('revokes identity', async () => {
+      this.carolSid = await this.carol.sendInitMessage(this.alice.pubKey, plaintext)
+
+      const revocation = await this.carol.revoke()
+
+      assert.strictEqual(revocation.pubKey, this.carol.id)
+      assert.strictEqual(this.server.store.map('bundles').has(this.carol.id), false)
+      assert.deepStrictEqual(this.server.store.map('revocations').get(this.carol.id), revocation)
+    })
+
+    it('fails to re-publish bundle after revoking identity', async () => {
+      try {
+        await this.carol.publishBundle()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 410: Identity revoked')
+      }
+    })
+
+    it('rejects revocation with invalid signature', async () => {
+      const revocation = this.server.store.map('revocations').get(this.carol.id)
+      const { sig } = revocation
+
+      revocation.sig = Buffer.alloc(64).toString('hex')
+
+      try {
+        await this.bob.sendInitMessage(this.carol.pubKey, plaintext)
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid signature: revocation')
+      } finally {
+        revocation.sig = sig
+      }
+
+      assert.strictEqual(await this.bob.trustStore.getRevocation(this.carol.pubKey), undefined)
+    })
+
+    it('refuses to start session with revoked identity', async () => {
+      for (let i = 0; i < 2; i++) {
+        try {
+          await this.alice.sendInitMessage(this.carol.pubKey, plaintext)
+          assert.fail('Should reject')
+        } catch ({ message }) {
+          assert.strictEqual(message, 'Identity revoked')
+        }
+      }
+
+      const revocation = await this.alice.trustStore.getRevocation(this.carol.pubKey)
+
+      assert.strictEqual(revocation.pubKey, this.carol.id)
+    })
+
+    it('refuses initial message from revoked identity', async () => {
+      try {
+        await this.alice.recvInitMessage(this.carolSid)
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Identity revoked')
+      }
+
+      assert.strictEqual(this.alice.sessions.has(this.carolSid), false)
+    })
+  })
+
+  describe('#rotateIdentity()', () => {
+    before(async () => {
+      this.dave = new Client({ ca, host, port, info })
+
+      await this.dave.publishBundle()
+    })
+
+    it('fails to hand over without signing request', async () => {
+      this.dave.signRequest = opts => opts
+
+      try {
+        await this.dave.rotateIdentity()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 401: Expected X-Identity to be a public key')
+      } finally {
+        delete this.dave.signRequest
+      }
+    })
+
+    it('400s if handover isn\'t valid', async () => {
+      const path = `/bundle/${this.dave.id}/handover`
+      const headers = { 'Content-Type': 'application/json' }
+
+      let resp = await this.dave.httpRequest(this.dave.signRequest({ data: 'not json"]', headers, method: 'POST', path }))
+
+      assert.strictEqual(resp.statusCode, 400)
+      assert.strictEqual(resp.data, 'Invalid handover')
+
+      const sig = Buffer.alloc(64).toString('hex')
+      const data = JSON.stringify({ newKey: this.alice.id, timestamp: 1, oldSig: sig, newSig: sig })
+      resp = await this.dave.httpRequest(this.dave.signRequest({ data, headers, method: 'POST', path }))
+
+      assert.strictEqual(resp.statusCode, 400)
+      assert.strictEqual(resp.data, 'Invalid signature: handover.oldSig')
+    })
+
+    it('fails to hand over revoked identity', async () => {
+      try {
+        await this.carol.rotateIdentity()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 410: Identity revoked')
+      }
+    })
+
+    it('rotates identity', async () => {
+      await this.alice.sendInitMessage(this.dave.pubKey, plaintext, 'dave')
+      await this.alice.verifyContact('dave')
+
+      this.daveOld = {
+        pubKey: Buffer.from(this.dave.pubKey),
+        privKey: Buffer.from(this.dave.privKey),
+        id: this.dave.id
+      }
+
+      const handover = await this.dave.rotateIdentity()
+
+      assert.strictEqual(handover.oldKey, this.daveOld.id)
+      assert.strictEqual(handover.newKey, this.dave.id)
+      assert.strictEqual(this.dave.signPreKey.id, 0)
+      assert.deepStrictEqual(this.server.store.map('handovers').get(this.daveOld.id), handover)
+      assert.strictEqual(this.server.store.map('bundles').has(this.daveOld.id), false)
+      assert.strictEqual(this.server.store.map('bundles').has(this.dave.id), true)
+    })
+
+    it('receives initial message sent to old identity and connects to its session', async () => {
+      const [{ sid, plaintext: result }] = await this.dave.fetchInitMessages()
+
+      assert.strictEqual(result.toString(), plaintext)
+      assert.strictEqual(this.dave.identityFor(sid), this.dave.retiredIdentities[0])
+
+      // The multiplexed connection would authenticate the new identity, so the session gets its own.
+      this.dave.multiplex = true
+
+      try {
+        await Promise.all([this.dave.connect(sid), this.alice.connect(sid)])
+      } finally {
+        this.dave.multiplex = false
+      }
+
+      assert.strictEqual(this.dave.muxConn, null)
+
+      const promise = once(this.dave, 'message')
+
+      await this.alice.send(sid, 'hello again')
+
+      const [msg] = await promise
+
+      assert.strictEqual(msg.plaintext.toString(), 'hello again')
+
+      this.alice.disconnect(sid)
+      this.dave.disconnect(sid)
+    })
+
+    it('fails to hand over or re-publish with old identity key', async () => {
+      const eve = new Client({ ca, host, port, info })
+
+      Object.assign(eve, this.daveOld)
+
+      try {
+        await eve.publishBundle()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 410: Identity handed over')
+      }
+
+      try {
+        await eve.rotateIdentity()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 410: Identity handed over')
+      }
+    })
+
+    it('rejects handover with invalid signature', async () => {
+      const handover = this.server.store.map('handovers').get(this.daveOld.id)
+      const { newSig } = handover
+
+      handover.newSig = handover.oldSig
+
+      try {
+        await this.bob.sendInitMessage(this.daveOld.pubKey, plaintext, 'dave')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid signature: handover')
+      } finally {
+        handover.newSig = newSig
+      }
+
+      // Bob doesn't trust any key for Dave until he follows the handover.
+      assert.strictEqual(await this.bob.trustStore.get('dave'), undefined)
+    })
+
+    it('follows handover and keeps contact verified', async () => {
+      const handleHandover = sinon.stub()
+
+      this.alice.on('identityHandover', handleHandover)
+
+      try {
+        const sid = await this.alice.sendInitMessage(this.daveOld.pubKey, plaintext, 'dave')
+        const result = await this.dave.recvInitMessage(sid)
+
+        assert.strictEqual(result.toString(), plaintext)
+        assert.strictEqual(this.dave.sessions.get(sid).trust.pubKey, this.alice.id)
+        assert.strictEqual(this.alice.sessions.get(sid).trust.verified, true)
+      } finally {
+        this.alice.removeListener('identityHandover', handleHandover)
+      }
+
+      sinon.assert.calledOnceWithExactly(handleHandover, {
+        contact: 'dave',
+        oldKey: this.daveOld.id,
+        newKey: this.dave.id
+      })
+
+      const record = await this.alice.trustStore.get('dave')
+
+      assert.strictEqual(record.pubKey, this.dave.id)
+      assert.strictEqual(record.verified, true)
+    })
+
+    it('follows handover to key already on record without treating it as a change', async () => {
+      const handleIdentityChanged = sinon.stub()
+
+      this.alice.on('identityChanged', handleIdentityChanged)
+      this.alice.refuseIdentityChange = true
+
+      try {
+        const sid = await this.alice.sendInitMessage(this.daveOld.pubKey, plaintext, 'dave')
+
+        await this.dave.recvInitMessage(sid)
+
+        assert.strictEqual(this.alice.sessions.get(sid).trust.verified, true)
+      } finally {
+        this.alice.removeListener('identityChanged', handleIdentityChanged)
+        this.alice.refuseIdentityChange = false
+      }
+
+      sinon.assert.notCalled(handleIdentityChanged)
+
+      const record = await this.alice.trustStore.get('dave')
+
+      assert.strictEqual(record.pubKey, this.dave.id)
+      assert.strictEqual(record.verified, true)
+    })
+
+    it('stops following handovers that loop', async () => {
+      const timestamp = Date.now()
+      const signed = util.canonicalHandover({ oldKey: this.dave.pubKey, newKey: this.daveOld.pubKey, timestamp })
+      const oldSig = Buffer.from(axl.sign(this.dave.privKey, signed, randomBytes(64))).toString('hex')
+      const newSig = Buffer.from(axl.sign(this.daveOld.privKey, signed, randomBytes(64))).toString('hex')
+      const handovers = this.server.store.map('handovers')
+
+      handovers.set(this.dave.id, { oldKey: this.dave.id, newKey: this.daveOld.id, timestamp, oldSig, newSig })
+
+      try {
+        await this.bob.sendInitMessage(this.daveOld.pubKey, plaintext, 'dave-loop')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Too many handovers')
+      } finally {
+        handovers.delete(this.dave.id)
+      }
+    })
+  })
+
+  describe('#fetchInitMessages()', () => {
+    before(async () => {
+      // Expire initial messages left over from previous tests.
+      await this.clock.tickAsync(60e3)
+    })
+
+    it('fetches and receives initial messages', async () => {
+      const sid1 = await this.bob.sendInitMessage(this.alice.pubKey, 'first')
+      const sid2 = await this.bob.sendInitMessage(this.alice.pubKey, 'second')
+      const handleInitMessage = sinon.stub()
+
+      this.alice.on('initMessage', handleInitMessage)
+
+      const results = await this.alice.fetchInitMessages()
+
+      this.alice.off('initMessage', handleInitMessage)
+
+      assert.deepStrictEqual(results.map(({ sid }) => sid), [sid1, sid2])
+      assert.deepStrictEqual(results.map(({ plaintext }) => plaintext.toString()), ['first', 'second'])
+      assert(results.every(({ pubKey }) => pubKey.equals(Buffer.from(this.bob.pubKey))))
+
+      sinon.assert.calledTwice(handleInitMessage)
+      sinon.assert.calledWithExactly(handleInitMessage, results[0])
+
+      assert(this.alice.sessions.has(sid1))
+      assert(this.alice.sessions.has(sid2))
+      assert.strictEqual(this.server.store.map('inbox').size, 0)
+
+      assert.deepStrictEqual(await this.alice.fetchInitMessages(), [])
+    })
+
+    it('skips initial messages that were already picked up', async () => {
+      this.server.store.map('inbox').set(this.alice.id, [uuid.v4()])
+
+      assert.deepStrictEqual(await this.alice.fetchInitMessages(), [])
+      assert.strictEqual(this.server.store.map('inbox').size, 0)
+    })
+
+    it('emits error when initial message can\'t be received', async () => {
+      const sid = await this.bob.sendInitMessage(this.alice.pubKey, plaintext)
+
+      this.server.store.map('msgs').get(sid).suite = 'aes-256-gcm'
+
+      const promise = once(this.alice, 'error')
+      const results = await this.alice.fetchInitMessages()
+      const [{ message }] = await promise
+
+      assert.deepStrictEqual(results, [])
+      assert.strictEqual(message, 'Cipher suite mismatch')
+      assert.strictEqual(this.server.store.map('inbox').size, 0)
+    })
+
+    it('fails to pick up someone else\'s initial message', async () => {
+      const sid = await this.bob.sendInitMessage(this.alice.pubKey, plaintext)
+
+      try {
+        await this.bob.recvInitMessage(sid)
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 403: Forbidden')
+      }
+
+      const resp = await this.alice.httpRequest({ path: '/message/' + sid })
+
+      assert.strictEqual(resp.statusCode, 401)
+
+      const results = await this.alice.fetchInitMessages()
+
+      assert.deepStrictEqual(results.map(({ sid }) => sid), [sid])
+    })
+
+    it('rejects if request isn\'t signed', async () => {
+      this.alice.signRequest = opts => opts
+
+      try {
+        await this.alice.fetchInitMessages()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Code 401: Expected X-Identity to be a public key')
+      } finally {
+        delete this.alice.signRequest
+      }
+    })
+  })
+
+  describe('cleanup', () => {
+    it('cleans up sessions and messages on server', async () => {
+      await this.clock.tickAsync(60e3)
+
+      assert.strictEqual(this.server.store.map('bundles').size, 4)
+      assert.strictEqual(this.server.store.map('msgs').size, 0)
+      assert.strictEqual(this.server.store.map('sessions').size, 0)
+      assert.strictEqual(this.server.store.map('inbox').size, 0)
+      assert.strictEqual(this.server.store.map('queues').size, 0)
     })
   })
 })
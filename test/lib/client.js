@@ -1,15 +1,1315 @@
 'use strict'
 
 const assert = require('assert')
-const { once } = require('events')
+const EventEmitter = require('events')
+const { once } = EventEmitter
 const sinon = require('sinon')
+const { Readable } = require('stream')
+const { randomBytes } = require('tweetnacl')
+const uuid = require('uuid')
 const Client = require('../../lib/client')
+const Session = require('../../lib/session')
+const util = require('../../lib/util')
 
 const ca = '<cert>'
 const host = 'localhost'
 const port = 8888
 
 describe('lib/client', () => {
+  describe('#export()', () => {
+    it('exports and imports client without prekeys', async () => {
+      const client = new Client({ ca, host, port })
+      const blob = await client.export('passphrase')
+      const result = await Client.import(blob, 'passphrase', { ca, host, port })
+
+      assert.strictEqual(result.id, client.id)
+      assert(result.pubKey.equals(Buffer.from(client.pubKey)))
+      assert(result.privKey.equals(Buffer.from(client.privKey)))
+      assert.strictEqual(result.signPreKey, null)
+      assert.deepStrictEqual(result.signPreKeys, [])
+      assert.deepStrictEqual(result.oneTimeKeys, [])
+    })
+
+    it('exports and imports client with prekeys', async () => {
+      const client = new Client({ ca, host, port })
+
+      client.rotateSignPreKey()
+      client.rotateSignPreKey()
+      client.oneTimeKeys = [util.genKeyPair(), util.genKeyPair()]
+
+      const blob = await client.export('passphrase')
+      const result = await Client.import(blob, 'passphrase', { ca, host, port })
+
+      assert.strictEqual(result.signPreKeys.length, 2)
+
+      result.signPreKeys.forEach((signPreKey, i) => {
+        assert.strictEqual(signPreKey.id, client.signPreKeys[i].id)
+        assert.strictEqual(signPreKey.retiredAt, client.signPreKeys[i].retiredAt)
+        assert.strictEqual(signPreKey.timestamp, client.signPreKeys[i].timestamp)
+        assert(signPreKey.pubKey.equals(client.signPreKeys[i].pubKey))
+        assert(signPreKey.privKey.equals(client.signPreKeys[i].privKey))
+        assert(signPreKey.sig.equals(Buffer.from(client.signPreKeys[i].sig)))
+      })
+
+      assert.deepStrictEqual(result.oneTimeKeys, client.oneTimeKeys)
+    })
+
+    it('exports and imports retired identities', async () => {
+      const client = new Client({ ca, host, port })
+      const { pubKey, privKey, id } = client
+
+      client.rotateSignPreKey()
+      client.oneTimeKeys = [util.genKeyPair()]
+      client.retiredIdentities.push({ pubKey, privKey, id, signPreKeys: client.signPreKeys, oneTimeKeys: client.oneTimeKeys })
+
+      const blob = await client.export('passphrase')
+      const { retiredIdentities: [identity] } = await Client.import(blob, 'passphrase', { ca, host, port })
+
+      assert.strictEqual(identity.id, id)
+      assert(identity.privKey.equals(Buffer.from(privKey)))
+      assert(identity.signPreKeys[0].privKey.equals(client.signPreKey.privKey))
+      assert.deepStrictEqual(identity.oneTimeKeys, client.oneTimeKeys)
+    })
+
+    it('fails to import with wrong passphrase', async () => {
+      const client = new Client({ ca, host, port })
+      const blob = await client.export('passphrase')
+
+      try {
+        await Client.import(blob, 'wrong passphrase', { ca, host, port })
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid passphrase')
+      }
+    })
+
+    it('fails to import keystore from older version', async () => {
+      const client = new Client({ ca, host, port })
+      const blob = JSON.parse(await client.export('passphrase'))
+
+      // Keystores from before retired identities were kept.
+      blob.version = 2
+
+      try {
+        await Client.import(JSON.stringify(blob), 'passphrase', { ca, host, port })
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Unsupported keystore version')
+      }
+    })
+  })
+
+  describe('#exportSessions()', () => {
+    it('exports and imports sessions', async () => {
+      const client = new Client({ ca, host, port })
+      const session = new Session()
+      const ad = Buffer.from('some additional data')
+      const info = Buffer.from('some info')
+      const secKeys = [randomBytes(32), randomBytes(32), randomBytes(32)]
+      const sid = '7c8b2a6e-5f1d-4c1b-9e3a-2d4f6a8b0c1e'
+
+      session.init({ ad, info, secKeys })
+      client.sessions.set(sid, session)
+
+      const blob = await client.exportSessions('passphrase')
+      const result = new Client({ ca, host, port })
+      const sids = await result.importSessions(blob, 'passphrase')
+
+      assert.deepStrictEqual(sids, [sid])
+      assert.deepStrictEqual(result.sessions.get(sid).toJSON(), session.toJSON())
+    })
+  })
+
+  describe('#constructor()', () => {
+    it('throws if suite unknown', () => {
+      assert.throws(
+        () => new Client({ ca, host, port, suite: 'rot13' }),
+        { message: 'Unknown cipher suite: rot13' }
+      )
+    })
+  })
+
+  describe('#verifyFingerprint()', () => {
+    it('verifies safety number in any format from either peer', () => {
+      const alice = new Client({ ca, host, port })
+      const bob = new Client({ ca, host, port })
+      const { numeric, hex, scannable } = bob.fingerprint(alice.pubKey)
+
+      assert.strictEqual(alice.verifyFingerprint(bob.pubKey, numeric), true)
+      assert.strictEqual(alice.verifyFingerprint(bob.pubKey, hex), true)
+      assert.strictEqual(alice.verifyFingerprint(bob.pubKey, scannable), true)
+    })
+
+    it('doesn\'t verify safety number for different key', () => {
+      const alice = new Client({ ca, host, port })
+      const bob = new Client({ ca, host, port })
+      const eve = new Client({ ca, host, port })
+      const { numeric, scannable } = eve.fingerprint(alice.pubKey)
+
+      assert.strictEqual(alice.verifyFingerprint(bob.pubKey, numeric), false)
+      assert.strictEqual(alice.verifyFingerprint(bob.pubKey, scannable), false)
+    })
+  })
+
+  describe('#checkIdentity()', () => {
+    it('trusts identity key on first use', async () => {
+      const client = new Client({ ca, host, port })
+      const { pubKey } = util.genKeyPair()
+      const trust = await client.checkIdentity('bob', pubKey)
+
+      assert.deepStrictEqual(trust, { contact: 'bob', pubKey: pubKey.toString('hex'), verified: false, changed: false })
+      assert.deepStrictEqual(await client.checkIdentity('bob', pubKey), trust)
+    })
+
+    it('emits identityChanged and trusts new key', async () => {
+      const client = new Client({ ca, host, port })
+      const oldKey = util.genKeyPair().pubKey
+      const newKey = util.genKeyPair().pubKey
+      const handleChange = sinon.stub()
+
+      client.on('identityChanged', handleChange)
+
+      await client.checkIdentity('bob', oldKey)
+      await client.verifyContact('bob')
+
+      const trust = await client.checkIdentity('bob', newKey)
+
+      sinon.assert.calledOnceWithExactly(handleChange, {
+        contact: 'bob',
+        oldKey: oldKey.toString('hex'),
+        newKey: newKey.toString('hex')
+      })
+
+      assert.deepStrictEqual(trust, { contact: 'bob', pubKey: newKey.toString('hex'), verified: false, changed: true })
+
+      const record = await client.trustStore.get('bob')
+
+      assert.strictEqual(record.pubKey, newKey.toString('hex'))
+      assert.strictEqual(record.verified, false)
+    })
+
+    it('refuses identity key change', async () => {
+      const client = new Client({ ca, host, port, refuseIdentityChange: true })
+      const oldKey = util.genKeyPair().pubKey
+      const handleChange = sinon.stub()
+
+      client.on('identityChanged', handleChange)
+
+      await client.checkIdentity('bob', oldKey)
+
+      try {
+        await client.checkIdentity('bob', util.genKeyPair().pubKey)
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Identity key changed for contact: bob')
+        sinon.assert.calledOnce(handleChange)
+      }
+
+      const record = await client.trustStore.get('bob')
+
+      assert.strictEqual(record.pubKey, oldKey.toString('hex'))
+    })
+  })
+
+  describe('#verifyContact()', () => {
+    it('marks contact and sessions with the same key as verified', async () => {
+      const client = new Client({ ca, host, port })
+      const oldKey = util.genKeyPair().pubKey
+      const newKey = util.genKeyPair().pubKey
+      const sessions = [new Session(), new Session(), new Session(), new Session()]
+
+      sessions[0].trust = await client.checkIdentity('bob', oldKey)
+      sessions[1].trust = await client.checkIdentity('bob', newKey)
+      sessions[2].trust = await client.checkIdentity('carol', newKey)
+
+      sessions.forEach((session, i) => client.sessions.set('sid' + i, session))
+
+      const record = await client.verifyContact('bob')
+
+      assert.strictEqual(record.verified, true)
+      assert.strictEqual(sessions[0].trust.verified, false)
+      assert.strictEqual(sessions[1].trust.verified, true)
+      assert.strictEqual(sessions[2].trust.verified, false)
+      assert.strictEqual(sessions[3].trust, null)
+    })
+  })
+
+  describe('#rotateSignPreKey()', () => {
+    afterEach(() => {
+      sinon.restore()
+    })
+
+    it('retains maxSignPreKeys and erases the rest', () => {
+      const client = new Client({ ca, host, port, maxSignPreKeys: 2 })
+      const first = client.rotateSignPreKey()
+      const { privKey } = first
+
+      client.rotateSignPreKey()
+      client.rotateSignPreKey()
+
+      assert.deepStrictEqual(client.signPreKeys.map(({ id }) => id), [1, 2])
+      assert.strictEqual(client.signPreKey.retiredAt, null)
+      assert(privKey.equals(Buffer.alloc(32)))
+    })
+
+    it('retains signed prekeys for grace period', () => {
+      const clock = sinon.useFakeTimers()
+      const client = new Client({ ca, host, port, maxSignPreKeys: 1, signPreKeyGracePeriod: 1e3 })
+
+      client.rotateSignPreKey()
+      clock.tick(500)
+      client.rotateSignPreKey()
+      clock.tick(500)
+      client.rotateSignPreKey()
+
+      assert.deepStrictEqual(client.signPreKeys.map(({ id }) => id), [0, 1, 2])
+
+      clock.tick(600)
+      client.pruneSignPreKeys()
+
+      assert.deepStrictEqual(client.signPreKeys.map(({ id }) => id), [1, 2])
+
+      clock.tick(1e3)
+      client.pruneSignPreKeys()
+
+      assert.deepStrictEqual(client.signPreKeys.map(({ id }) => id), [2])
+    })
+  })
+
+  describe('#sendInitMessage()', () => {
+    beforeEach(() => {
+      this.clock = sinon.useFakeTimers()
+      this.alice = new Client({ ca, host, port })
+
+      const { id, pubKey, sig, timestamp } = this.alice.rotateSignPreKey()
+
+      this.bundle = {
+        pubSignPreKey: pubKey.toString('hex'),
+        signPreKeyId: id,
+        preKeySig: Buffer.from(sig).toString('hex'),
+        timestamp
+      }
+    })
+
+    afterEach(() => {
+      sinon.restore()
+    })
+
+    it('sends initial message with bundle within maxBundleAge', async () => {
+      const bob = new Client({ ca, host, port, maxBundleAge: 1e3 })
+      const sid = uuid.v4()
+
+      bob.httpRequest = sinon.stub()
+        .onFirstCall().resolves({ statusCode: 200, data: JSON.stringify(this.bundle) })
+        .onSecondCall().resolves({ statusCode: 201, data: sid })
+
+      this.clock.tick(1e3)
+
+      assert.strictEqual(await bob.sendInitMessage(this.alice.pubKey, 'hello'), sid)
+    })
+
+    it('rejects bundle older than maxBundleAge', async () => {
+      const bob = new Client({ ca, host, port, maxBundleAge: 1e3 })
+
+      bob.httpRequest = sinon.stub().resolves({ statusCode: 200, data: JSON.stringify(this.bundle) })
+
+      this.clock.tick(1e3 + 1)
+
+      try {
+        await bob.sendInitMessage(this.alice.pubKey, 'hello')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Bundle expired')
+      }
+    })
+
+    it('rejects bundle with a timestamp that wasn\'t signed', async () => {
+      const bob = new Client({ ca, host, port })
+      const bundle = { ...this.bundle, timestamp: this.bundle.timestamp + 1 }
+
+      bob.httpRequest = sinon.stub().resolves({ statusCode: 200, data: JSON.stringify(bundle) })
+
+      try {
+        await bob.sendInitMessage(this.alice.pubKey, 'hello')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid signature')
+      }
+    })
+  })
+
+  describe('#publishBundle()', () => {
+    afterEach(() => {
+      sinon.restore()
+    })
+
+    it('republishes bundle on an interval', async () => {
+      const clock = sinon.useFakeTimers()
+      const client = new Client({ ca, host, port, signPreKeyInterval: 60e3 })
+
+      client.httpRequest = sinon.stub().resolves({ statusCode: 201 })
+
+      await client.publishBundle()
+
+      sinon.assert.calledOnce(client.httpRequest)
+
+      await clock.tickAsync(60e3)
+
+      sinon.assert.calledTwice(client.httpRequest)
+      assert.deepStrictEqual(client.signPreKeys.map(({ id }) => id), [0, 1])
+
+      await clock.tickAsync(60e3)
+
+      sinon.assert.calledThrice(client.httpRequest)
+      assert.deepStrictEqual(client.signPreKeys.map(({ id }) => id), [1, 2])
+      assert.strictEqual(client.oneTimeKeys.length, client.batchSize)
+    })
+
+    it('emits error and keeps republishing if republishing fails', async () => {
+      const clock = sinon.useFakeTimers()
+      const client = new Client({ ca, host, port, signPreKeyInterval: 60e3 })
+
+      client.httpRequest = sinon.stub().resolves({ statusCode: 201 })
+      client.httpRequest.onSecondCall().resolves({ statusCode: 500, data: 'Internal Server Error' })
+
+      await client.publishBundle()
+
+      const promise = once(client, 'error')
+
+      await clock.tickAsync(60e3)
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Code 500: Internal Server Error')
+
+      await clock.tickAsync(60e3)
+
+      sinon.assert.calledThrice(client.httpRequest)
+    })
+
+    it('keeps signed prekeys the server serves if publishing fails', async () => {
+      const client = new Client({ ca, host, port })
+
+      client.httpRequest = sinon.stub().resolves({ statusCode: 201 })
+
+      await client.publishBundle()
+
+      client.httpRequest = sinon.stub().resolves({ statusCode: 500, data: 'Internal Server Error' })
+
+      for (let i = 0; i < 2; i++) {
+        try {
+          await client.publishBundle()
+          assert.fail('Should reject')
+        } catch ({ message }) {
+          assert.strictEqual(message, 'Code 500: Internal Server Error')
+        }
+      }
+
+      assert.deepStrictEqual(client.signPreKeys.map(({ id }) => id), [0])
+      assert.strictEqual(client.signPreKey.retiredAt, null)
+    })
+
+    it('arms one rotation timer when publishing overlaps', async () => {
+      const clock = sinon.useFakeTimers()
+      const client = new Client({ ca, host, port, signPreKeyInterval: 60e3 })
+
+      client.httpRequest = sinon.stub().resolves({ statusCode: 201 })
+
+      await Promise.all([client.publishBundle(), client.publishBundle()])
+
+      assert.strictEqual(clock.countTimers(), 1)
+    })
+  })
+
+  describe('#recvInitMessage()', () => {
+    it('throws if contact isn\'t a non-empty string', async () => {
+      const client = new Client({ ca, host, port })
+
+      try {
+        await client.recvInitMessage(uuid.v4(), '')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected contact to be a non-empty string')
+      }
+    })
+
+    it('rejects if cipher suite doesn\'t match', async () => {
+      const client = new Client({ ca, host, port, suite: 'aes-256-gcm' })
+      const data = JSON.stringify({ suite: 'aes-256-cbc-hmac-sha256' })
+
+      client.httpRequest = sinon.stub().resolves({ statusCode: 200, data })
+
+      try {
+        await client.recvInitMessage('7c8b2a6e-5f1d-4c1b-9e3a-2d4f6a8b0c1e')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Cipher suite mismatch')
+      }
+    })
+  })
+
+  describe('#scheduleReconnect()', () => {
+    beforeEach(() => {
+      this.clock = sinon.useFakeTimers()
+      this.sid = uuid.v4()
+      this.client = new Client({ ca, host, port, reconnectDelay: 1e3, maxReconnectDelay: 3e3, maxReconnectAttempts: 4 })
+    })
+
+    afterEach(() => {
+      sinon.restore()
+    })
+
+    it('backs off exponentially and gives up', async () => {
+      const delays = []
+
+      this.client.connect = sinon.stub().rejects(new Error('Connection closed'))
+      this.client.on('reconnecting', ({ attempt, delay }) => delays.push([attempt, delay]))
+
+      const promise = once(this.client, 'error')
+
+      this.client.scheduleReconnect(this.sid)
+
+      await this.clock.tickAsync(10e3)
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Connection closed')
+      assert.deepStrictEqual(delays, [[1, 1e3], [2, 2e3], [3, 3e3], [4, 3e3]])
+      sinon.assert.callCount(this.client.connect, 4)
+    })
+
+    it('gives up if server doesn\'t recognize session', async () => {
+      this.client.connect = sinon.stub().rejects(new Error('Not found'))
+
+      const promise = once(this.client, 'error')
+
+      this.client.scheduleReconnect(this.sid)
+
+      await this.clock.tickAsync(1e3)
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Not found')
+      sinon.assert.calledOnce(this.client.connect)
+      assert.strictEqual(this.client.reconnectTimers.size, 0)
+    })
+
+    it('cancels reconnect on disconnect', async () => {
+      this.client.connect = sinon.stub().resolves()
+      this.client.sessions.set(this.sid, {})
+
+      this.client.scheduleReconnect(this.sid)
+      this.client.disconnect(this.sid)
+
+      await this.clock.tickAsync(10e3)
+
+      sinon.assert.notCalled(this.client.connect)
+      assert.strictEqual(this.client.reconnectTimers.size, 0)
+    })
+  })
+
+  describe('#handleFrame()', () => {
+    beforeEach(() => {
+      this.client = new Client({ ca, host, port, multiplex: true })
+      this.sid = uuid.v4()
+    })
+
+    it('emits error when frame isn\'t JSON', async () => {
+      const promise = once(this.client, 'error')
+
+      this.client.handleFrame('[')
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Invalid frame')
+    })
+
+    it('emits error frame that isn\'t for a pending join', async () => {
+      const promise = once(this.client, 'error')
+
+      this.client.handleFrame(JSON.stringify({ type: 'error', error: 'Invalid frame' }))
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Invalid frame')
+    })
+
+    it('emits error for unexpected frame', async () => {
+      const promise = once(this.client, 'error')
+
+      this.client.handleFrame(JSON.stringify({ type: 'message', sid: this.sid, msg: '' }))
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Unexpected frame')
+    })
+
+    it('emits error when binary frame isn\'t valid', async () => {
+      const promise = once(this.client, 'error')
+
+      this.client.handleFrame(Buffer.from('foo'))
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Invalid frame')
+    })
+
+    it('emits error for unexpected binary frame', async () => {
+      const promise = once(this.client, 'error')
+
+      this.client.handleFrame(util.encodeFrame(this.sid, Buffer.from('foo')))
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Unexpected frame')
+    })
+
+    it('ignores messages for session it left', () => {
+      const handleError = sinon.stub()
+
+      this.client.sessions.set(this.sid, {})
+      this.client.on('error', handleError)
+
+      this.client.handleFrame(JSON.stringify({ type: 'message', sid: this.sid, msg: '' }))
+      this.client.handleFrame(util.encodeFrame(this.sid, Buffer.from('foo')))
+
+      sinon.assert.notCalled(handleError)
+    })
+
+    it('disconnects session when server leaves it', async () => {
+      const conn = { send: sinon.stub(), close: sinon.stub() }
+
+      this.client.muxConn = conn
+      this.client.channels.set(this.sid, this.client.createChannel(this.sid, { conn, session: {} }))
+      this.client.conns.set(this.sid, this.client.channels.get(this.sid))
+
+      const promise = once(this.client, 'disconnect')
+
+      this.client.handleFrame(JSON.stringify({ type: 'leave', sid: this.sid }))
+
+      assert.deepStrictEqual(await promise, [this.sid, 'closed'])
+      assert.strictEqual(this.client.conns.size, 0)
+      assert.strictEqual(this.client.muxConn, null)
+      sinon.assert.calledOnce(conn.close)
+    })
+  })
+
+  describe('#openMux()', () => {
+    it('opens connection again after failing', async () => {
+      const client = new Client({ ca, host, port, multiplex: true })
+
+      client.openConn = sinon.stub().rejects(new Error('whoops'))
+
+      try {
+        await client.openMux()
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'whoops')
+      }
+
+      assert.strictEqual(client.muxReady, null)
+    })
+  })
+
+  describe('#handleMuxClose()', () => {
+    it('rejects pending joins', async () => {
+      const client = new Client({ ca, host, port, multiplex: true })
+      const conn = { send: sinon.stub() }
+
+      client.muxConn = conn
+      client.muxReady = Promise.resolve(conn)
+
+      const promise = client.join(uuid.v4(), {})
+
+      await new Promise(resolve => setImmediate(resolve))
+
+      client.handleMuxClose(conn)
+
+      try {
+        await promise
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Connection closed')
+      }
+
+      assert.strictEqual(client.joins.size, 0)
+      assert.strictEqual(client.muxReady, null)
+    })
+
+    it('leaves connections of sessions on a retired identity open', () => {
+      const client = new Client({ ca, host, port, multiplex: true })
+      const conn = { send: sinon.stub() }
+      const dedicated = { close: sinon.stub() }
+      const sid = uuid.v4()
+      const other = uuid.v4()
+      const handleDisconnect = sinon.stub()
+
+      client.muxConn = conn
+      client.channels.set(sid, client.createChannel(sid, { conn, session: {} }))
+      client.conns.set(sid, client.channels.get(sid))
+      client.conns.set(other, dedicated)
+      client.on('disconnect', handleDisconnect)
+      client.handleMuxClose(conn, 'closed')
+
+      sinon.assert.calledOnceWithExactly(handleDisconnect, sid, 'closed')
+      sinon.assert.notCalled(dedicated.close)
+      assert.strictEqual(client.channels.size, 0)
+      assert.deepStrictEqual([...client.conns.keys()], [other])
+    })
+  })
+
+  describe('#rotateIdentity()', () => {
+    it('closes multiplexed connection authenticated with old identity', async () => {
+      const client = new Client({ ca, host, port, multiplex: true })
+      const conn = { send: sinon.stub(), close: sinon.stub() }
+      const sid = uuid.v4()
+      const promise = once(client, 'disconnect')
+
+      client.httpRequest = sinon.stub().resolves({ statusCode: 201 })
+      client.muxConn = conn
+      client.muxReady = Promise.resolve(conn)
+      client.channels.set(sid, client.createChannel(sid, { conn, session: {} }))
+      client.conns.set(sid, client.channels.get(sid))
+
+      await client.rotateIdentity()
+
+      assert.deepStrictEqual(await promise, [sid, 'closed'])
+      sinon.assert.calledOnce(conn.close)
+      assert.strictEqual(client.muxConn, null)
+      assert.strictEqual(client.muxReady, null)
+      assert.strictEqual(client.conns.size, 0)
+    })
+  })
+
+  describe('#closeIdleMux()', () => {
+    it('closes multiplexed connection when only sessions on a retired identity are connected', () => {
+      const client = new Client({ ca, host, port, multiplex: true })
+      const conn = { close: sinon.stub() }
+
+      client.muxConn = conn
+      client.conns.set(uuid.v4(), {})
+      client.closeIdleMux()
+
+      sinon.assert.calledOnce(conn.close)
+      assert.strictEqual(client.muxConn, null)
+    })
+  })
+
+  describe('#watchConn()', () => {
+    beforeEach(() => {
+      this.clock = sinon.useFakeTimers()
+      this.client = new Client({ ca, host, port, heartbeatTimeout: 1e3 })
+      this.conn = new EventEmitter()
+      this.conn.terminate = sinon.stub()
+    })
+
+    afterEach(() => {
+      sinon.restore()
+    })
+
+    it('drops connection when server stops pinging', () => {
+      this.client.watchConn(this.conn)
+
+      this.clock.tick(500)
+      this.conn.emit('ping')
+      this.clock.tick(500)
+      this.conn.emit('message', 'foo')
+      this.clock.tick(999)
+
+      sinon.assert.notCalled(this.conn.terminate)
+
+      this.clock.tick(1)
+
+      sinon.assert.calledOnce(this.conn.terminate)
+      assert.strictEqual(this.client.closeReason(this.conn, 1006), 'timeout')
+    })
+
+    it('stops watching once connection closes', () => {
+      this.client.watchConn(this.conn)
+      this.conn.emit('close')
+      this.clock.tick(2e3)
+
+      sinon.assert.notCalled(this.conn.terminate)
+      assert.strictEqual(this.client.closeReason(this.conn, 1006), 'closed')
+    })
+  })
+
+  describe('#handleClose()', () => {
+    it('doesn\'t reconnect when server closes idle relay', async () => {
+      const client = new Client({ ca, host, port, autoReconnect: true })
+      const sid = uuid.v4()
+      const conn = {}
+
+      client.conns.set(sid, conn)
+
+      const promise = once(client, 'disconnect')
+
+      client.handleClose(sid, conn, client.closeReason(conn, util.IDLE_CLOSE_CODE))
+
+      assert.deepStrictEqual(await promise, [sid, 'idle'])
+      assert.strictEqual(client.conns.size, 0)
+      assert.strictEqual(client.reconnectTimers.size, 0)
+    })
+
+    it('only cancels requests in the session', () => {
+      const client = new Client({ ca, host, port })
+      const sid = uuid.v4()
+      const request = { sid: uuid.v4(), reject: sinon.stub() }
+
+      client.requests.set(uuid.v4(), request)
+      client.handleClose(sid, {}, 'closed')
+
+      sinon.assert.notCalled(request.reject)
+      assert.strictEqual(client.requests.size, 1)
+    })
+
+    it('destroys incoming streams in the session', async () => {
+      const client = new Client({ ca, host, port })
+      const sid = uuid.v4()
+      const other = uuid.v4()
+
+      client.cancelStream = sinon.stub()
+      client.handleStreamFrame(sid, util.encodeStreamFrame({ kind: 'start', id: uuid.v4(), body: '{}' }))
+      client.handleStreamFrame(other, util.encodeStreamFrame({ kind: 'start', id: uuid.v4(), body: '{}' }))
+
+      const [incoming] = client.streams.values()
+
+      client.handleClose(sid, {}, 'closed')
+
+      const [{ message }] = await once(incoming.stream, 'error')
+
+      assert.strictEqual(message, 'Disconnected')
+      assert.strictEqual(client.streams.size, 1)
+      sinon.assert.notCalled(client.cancelStream)
+    })
+
+    it('doesn\'t cancel requests when another connection replaced this one', () => {
+      const client = new Client({ ca, host, port })
+      const sid = uuid.v4()
+      const request = { sid, reject: sinon.stub() }
+
+      client.conns.set(sid, {})
+      client.requests.set(uuid.v4(), request)
+      client.handleClose(sid, {}, 'closed')
+
+      sinon.assert.notCalled(request.reject)
+      assert.strictEqual(client.requests.size, 1)
+    })
+  })
+
+  describe('#handleStreamFrame()', () => {
+    beforeEach(() => {
+      this.client = new Client({ ca, host, port })
+      this.client.cancelStream = sinon.stub()
+      this.sid = uuid.v4()
+      this.id = uuid.v4()
+    })
+
+    const start = async (client, sid, id) => {
+      const promise = once(client, 'stream')
+
+      client.handleStreamFrame(sid, util.encodeStreamFrame({ kind: 'start', id, body: '{}' }))
+
+      const [{ stream }] = await promise
+
+      return stream
+    }
+
+    const recv = async stream => {
+      stream.resume()
+
+      try {
+        await once(stream, 'end')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        return message
+      }
+    }
+
+    it('emits error when frame isn\'t valid', async () => {
+      const promise = once(this.client, 'error')
+
+      this.client.handleStreamFrame(this.sid, Buffer.from('foo'))
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Invalid stream frame')
+    })
+
+    it('emits error when metadata isn\'t JSON', async () => {
+      const promise = once(this.client, 'error')
+
+      this.client.handleStreamFrame(this.sid, util.encodeStreamFrame({ kind: 'start', id: this.id, body: '{' }))
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Invalid stream frame')
+      assert.strictEqual(this.client.streams.size, 0)
+    })
+
+    it('ignores chunks for unknown stream', () => {
+      this.client.handleStreamFrame(this.sid, util.encodeStreamFrame({ kind: 'data', id: this.id, seq: 1, body: 'foo' }))
+      this.client.handleStreamFrame(this.sid, util.encodeStreamFrame({ kind: 'cancel', id: this.id }))
+    })
+
+    it('ignores frames for stream in another session', async () => {
+      const stream = await start(this.client, this.sid, this.id)
+
+      this.client.handleStreamFrame(uuid.v4(), util.encodeStreamFrame({ kind: 'data', id: this.id, seq: 1, body: 'foo' }))
+      this.client.handleStreamFrame(uuid.v4(), util.encodeStreamFrame({ kind: 'cancel', id: this.id }))
+
+      assert.strictEqual(stream.readableLength, 0)
+      assert.strictEqual(stream.destroyed, false)
+    })
+
+    it('destroys stream and cancels it when chunk is missing', async () => {
+      const stream = await start(this.client, this.sid, this.id)
+
+      this.client.handleStreamFrame(this.sid, util.encodeStreamFrame({ kind: 'data', id: this.id, seq: 2, body: 'foo' }))
+
+      assert.strictEqual(await recv(stream), 'Missing chunk')
+      assert.strictEqual(this.client.streams.size, 0)
+      sinon.assert.calledOnceWithExactly(this.client.cancelStream, this.sid, this.id)
+    })
+
+    it('lets peer send a window of chunks ahead of what we read', async () => {
+      const client = new Client({ ca, host, port, streamWindow: 2 })
+      const window = seq => util.encodeStreamFrame({ kind: 'window', id: this.id, seq })
+
+      client.transmit = sinon.stub()
+
+      const stream = await start(client, this.sid, this.id)
+
+      sinon.assert.calledOnceWithExactly(client.transmit, this.sid, 'stream', window(2))
+
+      client.handleStreamFrame(this.sid, util.encodeStreamFrame({ kind: 'data', id: this.id, seq: 1, body: Buffer.alloc(20e3) }))
+      client.handleStreamFrame(this.sid, util.encodeStreamFrame({ kind: 'data', id: this.id, seq: 2, body: Buffer.alloc(20e3) }))
+
+      await new Promise(resolve => setImmediate(resolve))
+
+      sinon.assert.calledOnce(client.transmit)
+
+      stream.read()
+
+      await new Promise(resolve => setImmediate(resolve))
+
+      sinon.assert.calledTwice(client.transmit)
+      sinon.assert.calledWithExactly(client.transmit.secondCall, this.sid, 'stream', window(4))
+    })
+
+    it('destroys stream and cancels it when peer sends more than window', async () => {
+      const client = new Client({ ca, host, port, streamWindow: 1 })
+
+      client.cancelStream = sinon.stub()
+
+      const stream = await start(client, this.sid, this.id)
+
+      client.handleStreamFrame(this.sid, util.encodeStreamFrame({ kind: 'data', id: this.id, seq: 1, body: 'foo' }))
+      client.handleStreamFrame(this.sid, util.encodeStreamFrame({ kind: 'data', id: this.id, seq: 2, body: 'foo' }))
+
+      assert.strictEqual(await recv(stream), 'Window exceeded')
+      assert.strictEqual(client.streams.size, 0)
+      sinon.assert.calledOnceWithExactly(client.cancelStream, this.sid, this.id)
+    })
+
+    it('destroys stream when digest doesn\'t match', async () => {
+      const stream = await start(this.client, this.sid, this.id)
+
+      this.client.handleStreamFrame(this.sid, util.encodeStreamFrame({ kind: 'data', id: this.id, seq: 1, body: 'foo' }))
+      this.client.handleStreamFrame(this.sid, util.encodeStreamFrame({ kind: 'end', id: this.id, seq: 2, body: Buffer.alloc(32) }))
+
+      assert.strictEqual(await recv(stream), 'Digest mismatch')
+      assert.strictEqual(this.client.streams.size, 0)
+      sinon.assert.notCalled(this.client.cancelStream)
+    })
+  })
+
+  describe('#sendStream()', () => {
+    // The peer lets the transfer send this many chunks once it starts.
+    const grant = (client, seq) => {
+      client.sendStreamFrame.onCall(0).callsFake(async (sid, { id }) => {
+        setImmediate(() => client.handleStreamFrame(sid, util.encodeStreamFrame({ kind: 'window', id, seq })))
+      })
+    }
+
+    it('stops sending when peer cancels', async () => {
+      const client = new Client({ ca, host, port, chunkSize: 1000 })
+      const sid = uuid.v4()
+
+      client.sendStreamFrame = sinon.stub().resolves()
+      client.cancelStream = sinon.stub()
+      grant(client, 16)
+
+      client.sendStreamFrame.onCall(1).callsFake(async (sid, { id }) => {
+        client.handleStreamFrame(sid, util.encodeStreamFrame({ kind: 'cancel', id }))
+      })
+
+      try {
+        await client.sendStream(sid, Readable.from([Buffer.alloc(3000)]))
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Stream cancelled by peer')
+      }
+
+      sinon.assert.calledTwice(client.sendStreamFrame)
+      sinon.assert.notCalled(client.cancelStream)
+      assert.strictEqual(client.transfers.size, 0)
+    })
+
+    it('stops sending when session disconnects', async () => {
+      const client = new Client({ ca, host, port, chunkSize: 1000 })
+      const sid = uuid.v4()
+      const other = { sid: uuid.v4(), readable: Readable.from([]), error: null }
+
+      client.sendStreamFrame = sinon.stub().resolves()
+      client.cancelStream = sinon.stub()
+      client.transfers.set(uuid.v4(), other)
+      grant(client, 16)
+
+      client.sendStreamFrame.onCall(1).callsFake(async sid => {
+        client.handleClose(sid, {}, 'closed')
+      })
+
+      try {
+        await client.sendStream(sid, Readable.from([Buffer.alloc(3000)]))
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Disconnected')
+      }
+
+      sinon.assert.notCalled(client.cancelStream)
+      assert.strictEqual(client.transfers.size, 1)
+      assert.strictEqual(other.error, null)
+    })
+
+    it('waits for peer to let it send more', async () => {
+      const client = new Client({ ca, host, port, chunkSize: 1000 })
+      const sid = uuid.v4()
+
+      client.sendStreamFrame = sinon.stub().resolves()
+      grant(client, 1)
+
+      const promise = client.sendStream(sid, Readable.from([Buffer.alloc(3000)]))
+
+      await new Promise(resolve => setTimeout(resolve, 10))
+
+      sinon.assert.calledTwice(client.sendStreamFrame)
+
+      const [[, { id }]] = client.sendStreamFrame.args
+
+      client.handleStreamFrame(uuid.v4(), util.encodeStreamFrame({ kind: 'window', id, seq: 3 }))
+      client.handleStreamFrame(sid, util.encodeStreamFrame({ kind: 'window', id, seq: 1 }))
+      client.handleStreamFrame(uuid.v4(), util.encodeStreamFrame({ kind: 'window', id: uuid.v4(), seq: 3 }))
+
+      await new Promise(resolve => setTimeout(resolve, 10))
+
+      sinon.assert.calledTwice(client.sendStreamFrame)
+
+      client.handleStreamFrame(sid, util.encodeStreamFrame({ kind: 'window', id, seq: 3 }))
+
+      assert.strictEqual(await promise, id)
+      assert.strictEqual(client.sendStreamFrame.callCount, 5)
+    })
+
+    it('stops waiting for peer when session disconnects', async () => {
+      const client = new Client({ ca, host, port })
+      const sid = uuid.v4()
+
+      client.sendStreamFrame = sinon.stub().resolves()
+      client.cancelStream = sinon.stub()
+
+      const promise = client.sendStream(sid, Readable.from([Buffer.from('foo')]))
+
+      await new Promise(resolve => setTimeout(resolve, 10))
+
+      client.handleClose(sid, {}, 'closed')
+
+      try {
+        await promise
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Disconnected')
+      }
+
+      sinon.assert.calledOnce(client.sendStreamFrame)
+      sinon.assert.notCalled(client.cancelStream)
+    })
+
+    it('cancels when readable stops before it ends', async () => {
+      const client = new Client({ ca, host, port })
+      const sid = uuid.v4()
+      const readable = new Readable({ read () {} })
+
+      client.sendStreamFrame = sinon.stub().resolves()
+      client.cancelStream = sinon.stub()
+      readable[Symbol.asyncIterator] = () => ({ next: async () => ({ done: true }) })
+
+      try {
+        await client.sendStream(sid, readable)
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Stream cancelled')
+      }
+
+      sinon.assert.calledOnce(client.cancelStream)
+    })
+
+    it('cancels when readable closes prematurely', async () => {
+      const client = new Client({ ca, host, port })
+      const sid = uuid.v4()
+      const readable = new Readable({ read () {} })
+      const err = Object.assign(new Error('Premature close'), { code: 'ERR_STREAM_PREMATURE_CLOSE' })
+
+      client.sendStreamFrame = sinon.stub().resolves()
+      client.cancelStream = sinon.stub()
+      readable[Symbol.asyncIterator] = () => ({ next: sinon.stub().rejects(err) })
+
+      try {
+        await client.sendStream(sid, readable)
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Stream cancelled')
+      }
+
+      sinon.assert.calledOnce(client.cancelStream)
+    })
+  })
+
+  describe('#createStream()', () => {
+    beforeEach(() => {
+      this.client = new Client({ ca, host, port })
+      this.sid = uuid.v4()
+    })
+
+    it('validates session ID', () => {
+      assert.throws(() => this.client.createStream('foo'), { message: 'Expected sid to be a UUID' })
+    })
+
+    it('throws if session not found', () => {
+      assert.throws(() => this.client.createStream(this.sid), { message: 'Session not found' })
+    })
+
+    it('errors when writing while not connected', async () => {
+      this.client.sessions.set(this.sid, {})
+
+      const stream = this.client.createStream(this.sid)
+
+      stream.write('foo')
+
+      const [{ message }] = await once(stream, 'error')
+
+      assert.strictEqual(message, 'Not connected')
+      assert.strictEqual(this.client.duplexes.size, 0)
+    })
+
+    it('errors when ending while not connected', async () => {
+      this.client.sessions.set(this.sid, {})
+
+      const stream = this.client.createStream(this.sid)
+
+      stream.end()
+
+      const [{ message }] = await once(stream, 'error')
+
+      assert.strictEqual(message, 'Not connected')
+    })
+
+    it('waits for peer to let it write more', async () => {
+      const client = new Client({ ca, host, port, chunkSize: 3 })
+      const window = seq => client.handleDuplexFrame(this.sid, util.encodeDuplexFrame({ kind: 'window', seq }))
+
+      client.sessions.set(this.sid, {})
+      client.conns.set(this.sid, {})
+      client.transmit = sinon.stub()
+      client.sendFrame = sinon.stub().resolves()
+
+      const stream = client.createStream(this.sid)
+      const written = new Promise(resolve => stream.write('foobarbaz', resolve))
+
+      await new Promise(resolve => setImmediate(resolve))
+
+      sinon.assert.notCalled(client.sendFrame)
+
+      window(1)
+      await new Promise(resolve => setImmediate(resolve))
+      window(1)
+      await new Promise(resolve => setImmediate(resolve))
+
+      sinon.assert.calledOnce(client.sendFrame)
+
+      window(3)
+      await written
+
+      sinon.assert.calledThrice(client.sendFrame)
+    })
+
+    it('stops waiting for peer when destroyed', async () => {
+      this.client.sessions.set(this.sid, {})
+      this.client.conns.set(this.sid, {})
+      this.client.sendFrame = sinon.stub().resolves()
+
+      const stream = this.client.createStream(this.sid)
+
+      stream.write('foo')
+      await new Promise(resolve => setImmediate(resolve))
+      stream.destroy()
+      await once(stream, 'close')
+      await new Promise(resolve => setImmediate(resolve))
+
+      sinon.assert.notCalled(this.client.sendFrame)
+    })
+
+    it('lets peer write a window of chunks ahead of what we read', async () => {
+      const client = new Client({ ca, host, port, streamWindow: 2 })
+      const window = seq => util.encodeDuplexFrame({ kind: 'window', seq })
+
+      client.sessions.set(this.sid, {})
+      client.conns.set(this.sid, {})
+      client.transmit = sinon.stub()
+
+      const stream = client.createStream(this.sid)
+
+      sinon.assert.calledOnceWithExactly(client.transmit, this.sid, 'duplex', window(2))
+
+      client.handleDuplexFrame(this.sid, util.encodeDuplexFrame({ kind: 'data', seq: 1, body: Buffer.alloc(20e3) }))
+      client.handleDuplexFrame(this.sid, util.encodeDuplexFrame({ kind: 'data', seq: 2, body: Buffer.alloc(20e3) }))
+
+      await new Promise(resolve => setImmediate(resolve))
+
+      sinon.assert.calledOnce(client.transmit)
+
+      stream.read()
+
+      await new Promise(resolve => setImmediate(resolve))
+
+      sinon.assert.calledTwice(client.transmit)
+      sinon.assert.calledWithExactly(client.transmit.secondCall, this.sid, 'duplex', window(4))
+    })
+
+    it('lets peer write once connected', () => {
+      this.client.sessions.set(this.sid, {})
+      this.client.createStream(this.sid)
+      this.client.conns.set(this.sid, {})
+      this.client.transmit = sinon.stub()
+      this.client.extendDuplex(this.sid)
+
+      sinon.assert.calledOnceWithExactly(this.client.transmit, this.sid, 'duplex', util.encodeDuplexFrame({ kind: 'window', seq: 16 }))
+    })
+  })
+
+  describe('#handleDuplexFrame()', () => {
+    beforeEach(() => {
+      this.client = new Client({ ca, host, port })
+      this.sid = uuid.v4()
+      this.client.sessions.set(this.sid, {})
+      this.client.cancelDuplex = sinon.stub()
+    })
+
+    it('emits error when frame isn\'t valid', async () => {
+      const promise = once(this.client, 'error')
+
+      this.client.handleDuplexFrame(this.sid, Buffer.from('foo'))
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Invalid duplex frame')
+    })
+
+    it('ignores cancel for stream that isn\'t open', () => {
+      this.client.handleDuplexFrame(this.sid, util.encodeDuplexFrame({ kind: 'cancel' }))
+
+      sinon.assert.notCalled(this.client.cancelDuplex)
+    })
+
+    it('cancels when peer listens on stream that isn\'t open', () => {
+      this.client.handleDuplexFrame(this.sid, util.encodeDuplexFrame({ kind: 'window', seq: 1 }))
+
+      sinon.assert.calledOnceWithExactly(this.client.cancelDuplex, this.sid)
+    })
+
+    it('ignores cancel once both sides ended', async () => {
+      const stream = this.client.createStream(this.sid)
+      const duplex = this.client.duplexes.get(this.sid)
+
+      duplex.granted = 1
+      duplex.finished = true
+
+      this.client.handleDuplexFrame(this.sid, util.encodeDuplexFrame({ kind: 'data', seq: 1, body: 'foo' }))
+      this.client.handleDuplexFrame(this.sid, util.encodeDuplexFrame({ kind: 'end', seq: 2 }))
+      this.client.handleDuplexFrame(this.sid, util.encodeDuplexFrame({ kind: 'cancel' }))
+
+      assert.strictEqual(stream.destroyed, false)
+      assert.strictEqual(stream.read().toString(), 'foo')
+    })
+
+    it('destroys stream when peer writes more than window', async () => {
+      const stream = this.client.createStream(this.sid)
+
+      this.client.handleDuplexFrame(this.sid, util.encodeDuplexFrame({ kind: 'data', seq: 1, body: 'foo' }))
+
+      const [{ message }] = await once(stream, 'error')
+
+      assert.strictEqual(message, 'Window exceeded')
+      sinon.assert.calledOnce(this.client.cancelDuplex)
+    })
+
+    it('destroys stream when chunk is missing', async () => {
+      const stream = this.client.createStream(this.sid)
+
+      this.client.handleDuplexFrame(this.sid, util.encodeDuplexFrame({ kind: 'data', seq: 2, body: 'foo' }))
+
+      const [{ message }] = await once(stream, 'error')
+
+      assert.strictEqual(message, 'Missing chunk')
+      sinon.assert.calledOnce(this.client.cancelDuplex)
+    })
+  })
+
+  describe('#sendStreamFrame()', () => {
+    beforeEach(() => {
+      this.session = { encrypt: () => ({ header: Buffer.alloc(0), payload: Buffer.alloc(0) }) }
+    })
+
+    it('sends frame on multiplexed connection without waiting', async () => {
+      const client = new Client({ ca, host, port, multiplex: true })
+      const sid = uuid.v4()
+      const conn = { bufferedAmount: 0, send: sinon.stub() }
+
+      client.formats.set(conn, 'binary')
+      client.sessions.set(sid, this.session)
+      client.conns.set(sid, client.createChannel(sid, { conn, session: this.session }))
+
+      await client.sendStreamFrame(sid, { kind: 'cancel', id: uuid.v4() })
+
+      sinon.assert.calledOnce(conn.send)
+      assert.strictEqual(Buffer.isBuffer(conn.send.firstCall.args[0]), true)
+    })
+
+    it('waits for frame to be written out when connection is backed up', async () => {
+      const client = new Client({ ca, host, port, maxBufferedAmount: 10 })
+      const sid = uuid.v4()
+      const conn = { bufferedAmount: 11, send: sinon.stub().callsArgWithAsync(1, new Error('whoops')) }
+
+      client.sessions.set(sid, this.session)
+      client.conns.set(sid, conn)
+
+      try {
+        await client.sendStreamFrame(sid, { kind: 'cancel', id: uuid.v4() })
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'whoops')
+      }
+    })
+  })
+
+  describe('#cancelStream()', () => {
+    it('does nothing when not connected', () => {
+      const client = new Client({ ca, host, port })
+
+      client.cancelStream(uuid.v4(), uuid.v4())
+    })
+  })
+
   describe('#handleMessage()', () => {
     it('emits error when message isn\'t JSON', async () => {
       const client = new Client({ ca, host, port })
@@ -39,5 +1339,217 @@ describe('lib/client', () => {
         assert.strictEqual(message, 'Decryption failed')
       }
     })
+
+    it('emits error when server changes envelope type', async () => {
+      const client = new Client({ ca, host, port })
+      const alice = new Session()
+      const bob = new Session()
+      const sid = uuid.v4()
+      const conn = { send: sinon.stub() }
+      const secKeys = [randomBytes(32), randomBytes(32), randomBytes(32)]
+      const peerKey = alice.init({ ad: Buffer.alloc(64), info: Buffer.from('foo'), secKeys })
+
+      bob.init({ ad: Buffer.alloc(64), info: Buffer.from('foo'), peerKey, secKeys })
+      client.sessions.set(sid, bob)
+      client.conns.set(sid, conn)
+      client.formats.set(conn, 'binary')
+      client.transmit(sid, 'stream', Buffer.from('foo'))
+
+      const [msg] = conn.send.firstCall.args
+
+      msg.writeUInt8(1, 1)
+
+      const promise = once(client, 'anything')
+
+      client.handleMessage(alice, sid, msg)
+
+      try {
+        await promise
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Decryption failed')
+      }
+    })
+
+    it('emits error when message has no ID', async () => {
+      const client = new Client({ ca, host, port })
+      const promise = once(client, 'anything')
+      const session = { decrypt: sinon.stub().returns(Buffer.from('foo')) }
+
+      client.handleMessage(session, uuid.v4(), '{"header":"","payload":"","type":"identified"}')
+
+      try {
+        await promise
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid message')
+      }
+    })
+
+    it('emits message when it can\'t acknowledge it', async () => {
+      const client = new Client({ ca, host, port })
+      const id = uuid.v4()
+      const sid = uuid.v4()
+      const promise = once(client, 'message')
+      const session = { decrypt: sinon.stub().returns(Buffer.concat([Buffer.from(uuid.parse(id)), Buffer.from('foo')])) }
+
+      client.handleMessage(session, sid, '{"header":"","payload":"","type":"identified"}')
+
+      assert.deepStrictEqual(await promise, [{ sid, id, plaintext: Buffer.from('foo') }])
+    })
+
+    it('emits message without ID or receipt from peer that predates message IDs', async () => {
+      const client = new Client({ ca, host, port })
+      const sid = uuid.v4()
+      const promise = once(client, 'message')
+      const session = { decrypt: sinon.stub().returns(Buffer.from('foo')) }
+
+      client.transmit = sinon.stub()
+      client.handleMessage(session, sid, '{"header":"","payload":""}')
+
+      assert.deepStrictEqual(await promise, [{ sid, id: null, plaintext: Buffer.from('foo') }])
+      assert.strictEqual(client.transmit.callCount, 0)
+    })
+  })
+
+  describe('#send()', () => {
+    beforeEach(() => {
+      this.client = new Client({ ca, host, port })
+      this.sid = uuid.v4()
+      this.conn = { send: sinon.stub() }
+
+      this.client.sessions.set(this.sid, { encrypt: () => ({ header: Buffer.alloc(0), payload: Buffer.alloc(0) }) })
+      this.client.conns.set(this.sid, this.conn)
+      this.client.formats.set(this.conn, 'binary')
+    })
+
+    it('waits indefinitely for ack when timeout is 0', async () => {
+      const promise = this.client.send(this.sid, 'foo', { timeout: 0 })
+      const [[id, ack]] = this.client.acks
+
+      assert.strictEqual(ack.timer, null)
+
+      this.client.handleReceipt(this.sid, util.encodeReceipt({ kind: 'delivered', id }))
+
+      assert.strictEqual(await promise, id)
+      assert.strictEqual(this.client.acks.size, 0)
+    })
+
+    it('rejects when session disconnects', async () => {
+      const promise = this.client.send(this.sid, 'foo', { timeout: 0 })
+      const other = { sid: uuid.v4(), reject: sinon.stub() }
+
+      this.client.acks.set(uuid.v4(), other)
+      this.client.conns.delete(this.sid)
+      this.client.handleClose(this.sid, this.conn, 'closed')
+
+      try {
+        await promise
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Disconnected')
+      }
+
+      assert.strictEqual(this.client.acks.size, 1)
+      sinon.assert.notCalled(other.reject)
+    })
+
+    it('doesn\'t resolve on receipt from another session', async () => {
+      this.client.send(this.sid, 'foo')
+
+      const [[id, ack]] = this.client.acks
+
+      this.client.handleReceipt(uuid.v4(), util.encodeReceipt({ kind: 'delivered', id }))
+      this.client.handleReceipt(this.sid, util.encodeReceipt({ kind: 'read', id }))
+
+      assert.strictEqual(this.client.acks.get(id), ack)
+
+      clearTimeout(ack.timer)
+    })
+  })
+
+  describe('#handle()', () => {
+    it('validates session ID unless it\'s "*"', () => {
+      const client = new Client({ ca, host, port })
+      const handler = () => {}
+
+      client.handle('*', handler)
+
+      assert.strictEqual(client.handlers.get('*'), handler)
+      assert.throws(() => client.handle('foo', handler), { message: 'Expected sid to be a UUID' })
+      assert.throws(() => client.handle('*', 'foo'), { message: 'Expected handler to be a function' })
+    })
+  })
+
+  describe('#handleRpcFrame()', () => {
+    beforeEach(() => {
+      this.client = new Client({ ca, host, port })
+      this.sid = uuid.v4()
+      this.id = uuid.v4()
+    })
+
+    it('emits error when frame isn\'t valid', async () => {
+      const promise = once(this.client, 'error')
+
+      this.client.handleRpcFrame(this.sid, Buffer.from('foo'))
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Invalid RPC frame')
+    })
+
+    it('ignores response to request it isn\'t waiting for', () => {
+      const request = { sid: uuid.v4(), resolve: sinon.stub(), reject: sinon.stub() }
+
+      this.client.requests.set(this.id, request)
+      this.client.handleRpcFrame(this.sid, util.encodeRpcFrame({ kind: 'response', id: this.id, data: { body: 'foo' } }))
+      this.client.handleRpcFrame(this.sid, util.encodeRpcFrame({ kind: 'response', id: uuid.v4(), data: { body: 'foo' } }))
+
+      assert.strictEqual(this.client.requests.get(this.id), request)
+      sinon.assert.notCalled(request.resolve)
+    })
+
+    it('responds with error that isn\'t an Error', async () => {
+      this.client.transmit = sinon.stub()
+      this.client.handle(this.sid, () => Promise.reject('whoops')) // eslint-disable-line prefer-promise-reject-errors
+
+      await this.client.handleRequest(this.sid, this.id, 'foo')
+
+      const frame = util.decodeRpcFrame(this.client.transmit.firstCall.args[2])
+
+      assert.deepStrictEqual(frame, { kind: 'response', id: this.id, data: { error: 'whoops' } })
+    })
+
+    it('doesn\'t respond when not connected', async () => {
+      this.client.handle(this.sid, () => 'foo')
+
+      await this.client.handleRequest(this.sid, this.id, 'foo')
+    })
+  })
+
+  describe('#request()', () => {
+    it('doesn\'t time out when timeout is 0', () => {
+      const client = new Client({ ca, host, port })
+
+      client.transmit = sinon.stub()
+      client.request(uuid.v4(), 'foo', { timeout: 0 })
+
+      const [request] = client.requests.values()
+
+      assert.strictEqual(request.timer, null)
+    })
+  })
+
+  describe('#handleReceipt()', () => {
+    it('emits error when receipt isn\'t valid', async () => {
+      const client = new Client({ ca, host, port })
+      const promise = once(client, 'error')
+
+      client.handleReceipt(uuid.v4(), Buffer.from('foo'))
+
+      const [{ message }] = await promise
+
+      assert.strictEqual(message, 'Invalid receipt')
+    })
   })
 })
@@ -0,0 +1,118 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const sinon = require('sinon')
+const FileStore = require('../../lib/file-store')
+
+describe('lib/file-store', () => {
+  beforeEach(async () => {
+    this.dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'triple-double-'))
+    this.store = new FileStore(this.dir)
+  })
+
+  afterEach(async () => {
+    sinon.restore()
+    await fs.promises.rmdir(this.dir, { recursive: true })
+  })
+
+  describe('#put()', () => {
+    it('puts, gets, and deletes value', async () => {
+      await this.store.put('ns', 'some/key', { foo: 'bar' })
+
+      assert.deepStrictEqual(await this.store.get('ns', 'some/key'), { foo: 'bar' })
+      assert.strictEqual(await this.store.get('other', 'some/key'), undefined)
+      assert.strictEqual(await this.store.delete('ns', 'some/key'), true)
+      assert.strictEqual(await this.store.delete('ns', 'some/key'), false)
+      assert.strictEqual(await this.store.get('ns', 'some/key'), undefined)
+
+      await new Promise(resolve => setImmediate(resolve))
+
+      assert.strictEqual(this.store.locks.size, 0)
+    })
+
+    it('persists values across instances', async () => {
+      await this.store.put('ns', 'key', [1, 2, 3])
+
+      const store = new FileStore(this.dir)
+
+      assert.deepStrictEqual(await store.get('ns', 'key'), [1, 2, 3])
+    })
+
+    it('rejects if write fails and continues', async () => {
+      const { writeFile } = fs.promises
+
+      sinon.stub(fs.promises, 'writeFile').rejects(new Error('whoops'))
+
+      try {
+        await this.store.put('ns', 'key', 'value')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'whoops')
+      }
+
+      fs.promises.writeFile = writeFile
+
+      await this.store.put('ns', 'key', 'value')
+
+      assert.strictEqual(await this.store.get('ns', 'key'), 'value')
+    })
+  })
+
+  describe('#get()', () => {
+    it('rejects if read fails', async () => {
+      sinon.stub(fs.promises, 'readFile').rejects(new Error('whoops'))
+
+      try {
+        await this.store.get('ns', 'key')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'whoops')
+      }
+    })
+  })
+
+  describe('#delete()', () => {
+    it('rejects if unlink fails', async () => {
+      sinon.stub(fs.promises, 'unlink').rejects(new Error('whoops'))
+
+      try {
+        await this.store.delete('ns', 'key')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'whoops')
+      }
+    })
+  })
+
+  describe('#update()', () => {
+    it('serializes concurrent updates', async () => {
+      const increment = () => this.store.update('ns', 'key', value => (value || 0) + 1)
+
+      await Promise.all(Array.from({ length: 10 }).map(increment))
+
+      assert.strictEqual(await this.store.get('ns', 'key'), 10)
+
+      await this.store.update('ns', 'key', () => {})
+
+      assert.strictEqual(await this.store.get('ns', 'key'), undefined)
+    })
+  })
+
+  describe('#consumeOneTimeKey()', () => {
+    it('consumes one-time keys atomically', async () => {
+      await this.store.put('bundles', 'id', { oneTimeKeys: ['a', 'b'] })
+
+      const results = await Promise.all([
+        this.store.consumeOneTimeKey('id'),
+        this.store.consumeOneTimeKey('id'),
+        this.store.consumeOneTimeKey('id')
+      ])
+
+      assert.deepStrictEqual(results.map(({ oneTimeKey }) => oneTimeKey), ['a', 'b', undefined])
+      assert.deepStrictEqual(await this.store.get('bundles', 'id'), { oneTimeKeys: [] })
+    })
+  })
+})
@@ -0,0 +1,86 @@
+'use strict'
+
+const assert = require('assert')
+const fingerprint = require('../../lib/fingerprint')
+const util = require('../../lib/util')
+
+describe('lib/fingerprint', () => {
+  const alice = util.genKeyPair().pubKey
+  const bob = util.genKeyPair().pubKey
+  const eve = util.genKeyPair().pubKey
+
+  describe('#generate()', () => {
+    it('generates the same numeric and hex safety numbers for both peers', () => {
+      const a = fingerprint.generate({ localKey: alice, remoteKey: bob })
+      const b = fingerprint.generate({ localKey: bob, remoteKey: alice.toString('hex') })
+
+      assert(/^(\d{5} ){11}\d{5}$/.test(a.numeric))
+      assert(/^([0-9a-f]{4} ){15}[0-9a-f]{4}$/.test(a.hex))
+      assert.strictEqual(a.numeric, b.numeric)
+      assert.strictEqual(a.hex, b.hex)
+      assert.notStrictEqual(a.scannable, b.scannable)
+    })
+
+    it('generates different safety numbers for different keys', () => {
+      const a = fingerprint.generate({ localKey: alice, remoteKey: bob })
+      const b = fingerprint.generate({ localKey: alice, remoteKey: eve })
+
+      assert.notStrictEqual(a.numeric, b.numeric)
+      assert.notStrictEqual(a.hex, b.hex)
+    })
+
+    it('throws if remoteKey isn\'t a public key', () => {
+      try {
+        fingerprint.generate({ localKey: alice, remoteKey: Buffer.alloc(31) })
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected args.remoteKey to be a public key')
+      }
+    })
+  })
+
+  describe('#compare()', () => {
+    it('matches scannable safety numbers generated by either peer', () => {
+      const a = fingerprint.generate({ localKey: alice, remoteKey: bob })
+      const b = fingerprint.generate({ localKey: bob, remoteKey: alice })
+
+      assert.strictEqual(fingerprint.compare(a.scannable, b.scannable), true)
+      assert.strictEqual(fingerprint.compare(a.scannable, a.scannable), true)
+    })
+
+    it('doesn\'t match scannable safety numbers for different keys', () => {
+      const a = fingerprint.generate({ localKey: alice, remoteKey: bob })
+      const b = fingerprint.generate({ localKey: eve, remoteKey: alice })
+      const c = fingerprint.generate({ localKey: bob, remoteKey: eve })
+
+      assert.strictEqual(fingerprint.compare(a.scannable, b.scannable), false)
+      assert.strictEqual(fingerprint.compare(a.scannable, c.scannable), false)
+    })
+
+    it('ignores whitespace and case in numeric and hex safety numbers', () => {
+      const { numeric, hex } = fingerprint.generate({ localKey: alice, remoteKey: bob })
+
+      assert.strictEqual(fingerprint.compare(numeric, numeric.replace(/ /g, '')), true)
+      assert.strictEqual(fingerprint.compare(hex, hex.toUpperCase()), true)
+      assert.strictEqual(fingerprint.compare(numeric, hex), false)
+    })
+
+    it('doesn\'t match scannable safety number with unsupported version', () => {
+      const { scannable } = fingerprint.generate({ localKey: alice, remoteKey: bob })
+      const buf = Buffer.from(scannable, 'base64')
+
+      buf[0] = fingerprint.VERSION + 1
+
+      assert.strictEqual(fingerprint.compare(scannable, buf.toString('base64')), false)
+    })
+
+    it('throws if b isn\'t a non-empty string', () => {
+      try {
+        fingerprint.compare('abc', '')
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected b to be a non-empty string')
+      }
+    })
+  })
+})
@@ -0,0 +1,56 @@
+'use strict'
+
+const assert = require('assert')
+const keystore = require('../../lib/keystore')
+
+describe('lib/keystore', () => {
+  describe('#seal()', () => {
+    it('seals data and opens it with the same passphrase', async () => {
+      const data = Buffer.from('some secret data')
+      const passphrase = 'correct horse battery staple'
+      const blob = await keystore.seal({ data, passphrase })
+      const { version, kdf, cipher } = JSON.parse(blob)
+
+      assert.strictEqual(version, keystore.VERSION)
+      assert.strictEqual(kdf.name, 'scrypt')
+      assert.strictEqual(cipher, 'xsalsa20-poly1305')
+
+      const result = await keystore.open({ blob, passphrase })
+
+      assert(result.equals(data))
+    })
+  })
+
+  describe('#open()', () => {
+    it('throws if keystore isn\'t JSON', async () => {
+      try {
+        await keystore.open({ blob: 'not json"]', passphrase: 'abc' })
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid keystore')
+      }
+    })
+
+    it('throws if version is unsupported', async () => {
+      const blob = JSON.stringify({ version: keystore.VERSION + 1 })
+
+      try {
+        await keystore.open({ blob, passphrase: 'abc' })
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Unsupported keystore version')
+      }
+    })
+
+    it('throws if passphrase is wrong', async () => {
+      const blob = await keystore.seal({ data: 'some secret data', passphrase: 'abc' })
+
+      try {
+        await keystore.open({ blob, passphrase: 'abd' })
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid passphrase')
+      }
+    })
+  })
+})
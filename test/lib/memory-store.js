@@ -0,0 +1,55 @@
+'use strict'
+
+const assert = require('assert')
+const MemoryStore = require('../../lib/memory-store')
+
+describe('lib/memory-store', () => {
+  beforeEach(() => {
+    this.store = new MemoryStore()
+  })
+
+  describe('#put()', () => {
+    it('puts, gets, and deletes value', async () => {
+      await this.store.put('ns', 'key', { foo: 'bar' })
+
+      assert.deepStrictEqual(await this.store.get('ns', 'key'), { foo: 'bar' })
+      assert.strictEqual(await this.store.get('other', 'key'), undefined)
+      assert.strictEqual(await this.store.delete('ns', 'key'), true)
+      assert.strictEqual(await this.store.delete('ns', 'key'), false)
+      assert.strictEqual(await this.store.get('ns', 'key'), undefined)
+    })
+  })
+
+  describe('#update()', () => {
+    it('updates and deletes value', async () => {
+      await this.store.update('ns', 'key', value => (value || 0) + 1)
+      await this.store.update('ns', 'key', value => value + 1)
+
+      assert.strictEqual(await this.store.get('ns', 'key'), 2)
+
+      await this.store.update('ns', 'key', () => {})
+
+      assert.strictEqual(this.store.map('ns').size, 0)
+    })
+  })
+
+  describe('#consumeOneTimeKey()', () => {
+    it('returns nothing if bundle not found', async () => {
+      const result = await this.store.consumeOneTimeKey('id')
+
+      assert.strictEqual(result, undefined)
+    })
+
+    it('consumes one-time keys until there are none left', async () => {
+      await this.store.put('bundles', 'id', { oneTimeKeys: ['a', 'b'] })
+
+      const results = await Promise.all([
+        this.store.consumeOneTimeKey('id'),
+        this.store.consumeOneTimeKey('id'),
+        this.store.consumeOneTimeKey('id')
+      ])
+
+      assert.deepStrictEqual(results.map(({ oneTimeKey }) => oneTimeKey), ['a', 'b', undefined])
+    })
+  })
+})
@@ -1,9 +1,15 @@
 'use strict'
 
 const assert = require('assert')
+const axl = require('axl')
 const EventEmitter = require('events')
+const { once } = EventEmitter
 const sinon = require('sinon')
+const { randomBytes } = require('tweetnacl')
+const uuid = require('uuid')
+const Client = require('../../lib/client')
 const Server = require('../../lib/server')
+const util = require('../../lib/util')
 
 describe('lib/server', () => {
   describe('#validateBundle()', () => {
@@ -54,13 +60,92 @@ describe('lib/server', () => {
       }
     })
 
+    it('throws if signPreKeyId isn\'t non-negative integer', () => {
+      try {
+        Server.validateBundle({
+          pubKey: Buffer.alloc(32),
+          pubSignPreKey: Buffer.alloc(32),
+          preKeySig: Buffer.alloc(64),
+          oneTimeKeys: [],
+          signPreKeyId: -1
+        })
+
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected bundle.signPreKeyId to be a non-negative integer')
+      }
+    })
+
+    it('throws if timestamp isn\'t non-negative integer', () => {
+      try {
+        Server.validateBundle({
+          pubKey: Buffer.alloc(32),
+          pubSignPreKey: Buffer.alloc(32),
+          preKeySig: Buffer.alloc(64),
+          oneTimeKeys: [],
+          signPreKeyId: 0,
+          timestamp: '1'
+        })
+
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected bundle.timestamp to be a non-negative integer')
+      }
+    })
+
+    it('throws if preKeySig doesn\'t cover timestamp', () => {
+      const client = new Client({ ca: '<cert>', host: 'localhost', port: 8888 })
+      const { pubKey, sig, timestamp } = client.rotateSignPreKey()
+
+      const bundle = {
+        pubKey: client.id,
+        pubSignPreKey: pubKey.toString('hex'),
+        preKeySig: Buffer.from(sig).toString('hex'),
+        oneTimeKeys: [],
+        signPreKeyId: 0,
+        timestamp
+      }
+
+      Server.validateBundle(bundle)
+
+      try {
+        Server.validateBundle({ ...bundle, timestamp: timestamp + 1 })
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid signature: bundle.preKeySig')
+      }
+    })
+
+    it('throws if preKeySig signs one-time prekey batch', () => {
+      const client = new Client({ ca: '<cert>', host: 'localhost', port: 8888 })
+      const pubSignPreKey = Buffer.alloc(32, 1)
+      const timestamp = Date.now()
+      const data = util.canonicalKeys({ timestamp, oneTimeKeys: [pubSignPreKey] })
+      const sig = axl.sign(client.privKey, data, randomBytes(64))
+
+      try {
+        Server.validateBundle({
+          pubKey: client.id,
+          pubSignPreKey: pubSignPreKey.toString('hex'),
+          preKeySig: Buffer.from(sig).toString('hex'),
+          oneTimeKeys: [],
+          signPreKeyId: 0,
+          timestamp
+        })
+
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid signature: bundle.preKeySig')
+      }
+    })
+
     it('throws if preKeySig is invalid', () => {
       const pubKey = Buffer.alloc(32, 1).toString('hex')
       const pubSignPreKey = Buffer.alloc(32, 2).toString('hex')
       const preKeySig = Buffer.alloc(64, 3).toString('hex')
 
       try {
-        Server.validateBundle({ pubKey, pubSignPreKey, preKeySig, oneTimeKeys: [Buffer.alloc(32)] })
+        Server.validateBundle({ pubKey, pubSignPreKey, preKeySig, oneTimeKeys: [Buffer.alloc(32)], signPreKeyId: 0, timestamp: 1 })
         assert.fail('Should throw')
       } catch ({ message }) {
         assert.strictEqual(message, 'Invalid signature: bundle.preKeySig')
@@ -68,6 +153,92 @@ describe('lib/server', () => {
     })
   })
 
+  describe('#validateRevocation()', () => {
+    it('throws if timestamp isn\'t non-negative integer', () => {
+      try {
+        Server.validateRevocation('', { timestamp: -1 })
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected revocation.timestamp to be a non-negative integer')
+      }
+    })
+  })
+
+  describe('#validateHandover()', () => {
+    beforeEach(() => {
+      this.oldKeyPair = axl.generateKeyPair(randomBytes(32))
+      this.newKeyPair = axl.generateKeyPair(randomBytes(32))
+      this.id = Client.id(this.oldKeyPair.public)
+      this.newKey = Client.id(this.newKeyPair.public)
+
+      const data = util.canonicalHandover({ oldKey: this.oldKeyPair.public, newKey: this.newKeyPair.public, timestamp: 1 })
+
+      this.oldSig = Buffer.from(axl.sign(this.oldKeyPair.private, data, randomBytes(64))).toString('hex')
+      this.newSig = Buffer.from(axl.sign(this.newKeyPair.private, data, randomBytes(64))).toString('hex')
+    })
+
+    it('throws if newKey isn\'t public key', () => {
+      try {
+        Server.validateHandover(this.id, { newKey: 'foo' })
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected handover.newKey to be a public key')
+      }
+    })
+
+    it('throws if oldSig is invalid', () => {
+      const { newKey, newSig } = this
+
+      try {
+        Server.validateHandover(this.id, { newKey, timestamp: 1, oldSig: newSig, newSig })
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid signature: handover.oldSig')
+      }
+    })
+
+    it('throws if newSig is invalid', () => {
+      const { newKey, oldSig } = this
+
+      try {
+        Server.validateHandover(this.id, { newKey, timestamp: 1, oldSig, newSig: oldSig })
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid signature: handover.newSig')
+      }
+    })
+
+    it('accepts handover signed by both keys', () => {
+      const { newKey, oldSig, newSig } = this
+
+      Server.validateHandover(this.id, { newKey, timestamp: 1, oldSig, newSig })
+    })
+  })
+
+  describe('#validateKeys()', () => {
+    it('throws if timestamp isn\'t integer', () => {
+      try {
+        Server.validateKeys('', { oneTimeKeys: [], timestamp: '1' })
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected keys.timestamp to be an integer')
+      }
+    })
+
+    it('throws if sig is invalid', () => {
+      const id = Buffer.alloc(32, 1).toString('hex')
+      const oneTimeKeys = [Buffer.alloc(32, 2).toString('hex')]
+      const sig = Buffer.alloc(64, 3).toString('hex')
+
+      try {
+        Server.validateKeys(id, { oneTimeKeys, timestamp: 1, sig })
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid signature: keys.sig')
+      }
+    })
+  })
+
   describe('#validateMessage()', () => {
     it('throws if peerKey isn\'t public key', () => {
       try {
@@ -132,6 +303,23 @@ describe('lib/server', () => {
       }
     })
 
+    it('throws if suite isn\'t non-empty string', () => {
+      try {
+        Server.validateMessage({
+          peerKey: Buffer.alloc(32),
+          pubKey: Buffer.alloc(32),
+          pubSignPreKey: Buffer.alloc(32),
+          ephemeralKey: Buffer.alloc(32),
+          oneTimeKey: Buffer.alloc(32),
+          suite: ''
+        })
+
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected msg.suite to be a non-empty string')
+      }
+    })
+
     it('throws if header isn\'t non-empty string', () => {
       try {
         Server.validateMessage({
@@ -140,6 +328,7 @@ describe('lib/server', () => {
           pubSignPreKey: Buffer.alloc(32),
           ephemeralKey: Buffer.alloc(32),
           oneTimeKey: Buffer.alloc(32),
+          suite: 'aes-256-gcm',
           header: ''
         })
 
@@ -157,6 +346,7 @@ describe('lib/server', () => {
           pubSignPreKey: Buffer.alloc(32),
           ephemeralKey: Buffer.alloc(32),
           oneTimeKey: Buffer.alloc(32),
+          suite: 'aes-256-gcm',
           header: 'abc',
           payload: ''
         })
@@ -166,6 +356,120 @@ describe('lib/server', () => {
         assert.strictEqual(message, 'Expected msg.payload to be a non-empty string')
       }
     })
+
+    it('throws if signPreKeyId isn\'t non-negative integer', () => {
+      try {
+        Server.validateMessage({
+          peerKey: Buffer.alloc(32),
+          pubKey: Buffer.alloc(32),
+          pubSignPreKey: Buffer.alloc(32),
+          ephemeralKey: Buffer.alloc(32),
+          suite: 'aes-256-gcm',
+          header: 'abc',
+          payload: 'def',
+          signPreKeyId: '0'
+        })
+
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected msg.signPreKeyId to be a non-negative integer')
+      }
+    })
+  })
+
+  describe('#authenticate()', () => {
+    beforeEach(() => {
+      this.client = new Client({ ca: '<cert>', host: 'localhost', port: 8888 })
+    })
+
+    afterEach(() => {
+      sinon.restore()
+    })
+
+    const toReq = ({ method, path, headers }) => ({
+      method,
+      url: path,
+      headers: {
+        'x-identity': headers['X-Identity'],
+        'x-timestamp': String(headers['X-Timestamp']),
+        'x-nonce': headers['X-Nonce'],
+        'x-signature': headers['X-Signature']
+      }
+    })
+
+    it('authenticates signed request', () => {
+      const opts = this.client.signRequest({ method: 'POST', path: '/messages', data: 'abc' })
+      const server = new Server()
+
+      assert.strictEqual(server.authenticate(toReq(opts), opts.data), this.client.id)
+    })
+
+    it('throws if request is replayed', () => {
+      const opts = this.client.signRequest({ path: '/messages' })
+      const server = new Server()
+
+      server.authenticate(toReq(opts), '')
+
+      try {
+        server.authenticate(toReq(opts), '')
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Replayed request')
+      }
+    })
+
+    it('forgets nonces after authentication window', () => {
+      const clock = sinon.useFakeTimers()
+      const server = new Server({ authWindow: 1e3 })
+
+      server.authenticate(toReq(this.client.signRequest({ path: '/messages' })), '')
+      clock.tick(500)
+      server.authenticate(toReq(this.client.signRequest({ path: '/messages' })), '')
+      clock.tick(600)
+      server.authenticate(toReq(this.client.signRequest({ path: '/messages' })), '')
+
+      assert.strictEqual(server.nonces.size, 2)
+    })
+
+    it('throws if X-Timestamp isn\'t an integer', () => {
+      const req = toReq(this.client.signRequest({ path: '/messages' }))
+
+      req.headers['x-timestamp'] = 'abc'
+
+      try {
+        new Server().authenticate(req, '')
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected X-Timestamp to be an integer')
+      }
+    })
+
+    it('throws if request expired', () => {
+      const clock = sinon.useFakeTimers()
+      const req = toReq(this.client.signRequest({ path: '/messages' }))
+
+      clock.tick(5 * 60e3 + 1)
+
+      try {
+        new Server().authenticate(req, '')
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Request expired')
+      }
+    })
+
+    it('throws if signature is invalid', () => {
+      const req = toReq(this.client.signRequest({ path: '/messages' }))
+
+      req.url = '/messages?foo'
+
+      try {
+        new Server().authenticate(req, '')
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid signature: X-Signature')
+      }
+    })
   })
 
   describe('#handleRequest()', () => {
@@ -215,7 +519,7 @@ describe('lib/server', () => {
 
   describe('#handleBundleRequest()', () => {
     it('405s when method isn\'t PUT or GET', async () => {
-      const req = { method: 'POST' }
+      const req = { method: 'POST', url: '/bundle' }
 
       const resp = {
         writeHead: sinon.stub(),
@@ -235,9 +539,9 @@ describe('lib/server', () => {
     })
   })
 
-  describe('#handleMessageRequest()', () => {
-    it('405s when method isn\'t POST or GET', async () => {
-      const req = { method: 'HEAD' }
+  describe('#handleBundleCountRequest()', () => {
+    it('405s when method isn\'t GET', async () => {
+      const req = { method: 'POST', url: '/bundle/abc/count' }
 
       const resp = {
         writeHead: sinon.stub(),
@@ -245,9 +549,8 @@ describe('lib/server', () => {
       }
 
       const server = new Server()
-      const promise = server.handleMessageRequest(req, resp)
 
-      await promise
+      await server.handleBundleRequest(req, resp)
 
       sinon.assert.calledOnce(resp.writeHead)
       sinon.assert.calledOnce(resp.end)
@@ -257,101 +560,108 @@ describe('lib/server', () => {
     })
   })
 
-  describe('#handlePutBundleRequest()', () => {
-    it('400s if bundle isn\'t valid JSON', async () => {
-      const req = new EventEmitter()
-      const resp = new EventEmitter()
+  describe('#handleBundleKeysRequest()', () => {
+    it('405s when method isn\'t POST', async () => {
+      const req = { method: 'GET', url: '/bundle/abc/keys' }
 
-      resp.writeHead = sinon.stub()
-      resp.end = sinon.stub()
+      const resp = {
+        writeHead: sinon.stub(),
+        end: sinon.stub()
+      }
 
       const server = new Server()
-      const promise = server.handlePutBundleRequest(req, resp)
-
-      req.emit('data', 'not json"]')
-      req.emit('end')
 
-      await promise
+      await server.handleBundleRequest(req, resp)
 
       sinon.assert.calledOnce(resp.writeHead)
       sinon.assert.calledOnce(resp.end)
 
-      sinon.assert.calledWithExactly(resp.writeHead, 400)
-      sinon.assert.calledWithExactly(resp.end, 'Invalid bundle')
+      sinon.assert.calledWithExactly(resp.writeHead, 405)
+      sinon.assert.calledWithExactly(resp.end, 'Method Not Allowed')
     })
 
-    it('400s if bundle doesn\'t pass validation', async () => {
+    it('400s if keys aren\'t valid JSON', async () => {
       const req = new EventEmitter()
       const resp = new EventEmitter()
 
+      req.method = 'POST'
+      req.url = '/bundle/abc/keys'
       resp.writeHead = sinon.stub()
       resp.end = sinon.stub()
 
       const server = new Server()
-      const promise = server.handlePutBundleRequest(req, resp)
+      const promise = server.handleBundleKeysRequest(req, resp)
 
-      req.emit('data', '{"pubKey":""}')
+      req.emit('data', 'not json"]')
       req.emit('end')
 
       await promise
 
-      sinon.assert.calledOnce(resp.writeHead)
-      sinon.assert.calledOnce(resp.end)
-
       sinon.assert.calledWithExactly(resp.writeHead, 400)
-      sinon.assert.calledWithExactly(resp.end, 'Expected bundle.pubKey to be a public key')
+      sinon.assert.calledWithExactly(resp.end, 'Invalid keys')
     })
-  })
 
-  describe('#handlePostMessageRequest()', () => {
-    it('400s if bundle isn\'t valid JSON', async () => {
+    it('400s if keys don\'t pass validation', async () => {
       const req = new EventEmitter()
       const resp = new EventEmitter()
 
+      req.method = 'POST'
+      req.url = '/bundle/abc/keys'
       resp.writeHead = sinon.stub()
       resp.end = sinon.stub()
 
       const server = new Server()
-      const promise = server.handlePostMessageRequest(req, resp)
+      const promise = server.handleBundleKeysRequest(req, resp)
 
-      req.emit('data', 'not json"]')
+      req.emit('data', '{"oneTimeKeys":["abc"]}')
       req.emit('end')
 
       await promise
 
-      sinon.assert.calledOnce(resp.writeHead)
-      sinon.assert.calledOnce(resp.end)
-
       sinon.assert.calledWithExactly(resp.writeHead, 400)
-      sinon.assert.calledWithExactly(resp.end, 'Invalid message')
+      sinon.assert.calledWithExactly(resp.end, 'Expected keys.oneTimeKeys to be an array of public keys')
     })
+  })
 
-    it('400s if message doesn\'t pass validation', async () => {
-      const req = new EventEmitter()
-      const resp = new EventEmitter()
+  describe('#handleInboxRequest()', () => {
+    it('405s when method isn\'t GET', async () => {
+      const req = { method: 'POST', url: '/messages' }
 
-      resp.writeHead = sinon.stub()
-      resp.end = sinon.stub()
+      const resp = {
+        writeHead: sinon.stub(),
+        end: sinon.stub()
+      }
 
       const server = new Server()
-      const promise = server.handlePostMessageRequest(req, resp)
 
-      req.emit('data', '{"peerKey":""}')
-      req.emit('end')
+      await server.handleRequest(req, resp)
 
-      await promise
+      sinon.assert.calledWithExactly(resp.writeHead, 405)
+      sinon.assert.calledWithExactly(resp.end, 'Method Not Allowed')
+    })
+  })
 
-      sinon.assert.calledOnce(resp.writeHead)
-      sinon.assert.calledOnce(resp.end)
+  describe('#handleBundleHandoverRequest()', () => {
+    it('405s when method isn\'t POST', async () => {
+      const req = { method: 'GET', url: '/bundle/' + 'a'.repeat(64) + '/handover' }
 
-      sinon.assert.calledWithExactly(resp.writeHead, 400)
-      sinon.assert.calledWithExactly(resp.end, 'Expected msg.peerKey to be a public key')
+      const resp = {
+        writeHead: sinon.stub(),
+        end: sinon.stub()
+      }
+
+      const server = new Server()
+
+      await server.handleRequest(req, resp)
+
+      sinon.assert.calledWithExactly(resp.writeHead, 405)
+      sinon.assert.calledWithExactly(resp.end, 'Method Not Allowed')
     })
   })
 
-  describe('#handleGetMessageRequest()', () => {
-    it('400s when session ID isn\'t UUID', async () => {
-      const req = { url: '/123-456-789-0' }
+  describe('#handleMessageRequest()', () => {
+    it('405s when method isn\'t POST or GET', async () => {
+      const req = { method: 'HEAD' }
 
       const resp = {
         writeHead: sinon.stub(),
@@ -359,37 +669,921 @@ describe('lib/server', () => {
       }
 
       const server = new Server()
-      const promise = server.handleGetMessageRequest(req, resp)
+      const promise = server.handleMessageRequest(req, resp)
 
       await promise
 
       sinon.assert.calledOnce(resp.writeHead)
       sinon.assert.calledOnce(resp.end)
 
-      sinon.assert.calledWithExactly(resp.writeHead, 400)
-      sinon.assert.calledWithExactly(resp.end, 'Session ID must be valid UUID')
+      sinon.assert.calledWithExactly(resp.writeHead, 405)
+      sinon.assert.calledWithExactly(resp.end, 'Method Not Allowed')
+    })
+  })
+
+  describe('#handlePutBundleRequest()', () => {
+    it('400s if bundle isn\'t valid JSON', async () => {
+      const req = new EventEmitter()
+      const resp = new EventEmitter()
+
+      resp.writeHead = sinon.stub()
+      resp.end = sinon.stub()
+
+      const server = new Server()
+      const promise = server.handlePutBundleRequest(req, resp)
+
+      req.emit('data', 'not json"]')
+      req.emit('end')
+
+      await promise
+
+      sinon.assert.calledOnce(resp.writeHead)
+      sinon.assert.calledOnce(resp.end)
+
+      sinon.assert.calledWithExactly(resp.writeHead, 400)
+      sinon.assert.calledWithExactly(resp.end, 'Invalid bundle')
+    })
+
+    it('400s if bundle doesn\'t pass validation', async () => {
+      const req = new EventEmitter()
+      const resp = new EventEmitter()
+
+      resp.writeHead = sinon.stub()
+      resp.end = sinon.stub()
+
+      const server = new Server()
+      const promise = server.handlePutBundleRequest(req, resp)
+
+      req.emit('data', '{"pubKey":""}')
+      req.emit('end')
+
+      await promise
+
+      sinon.assert.calledOnce(resp.writeHead)
+      sinon.assert.calledOnce(resp.end)
+
+      sinon.assert.calledWithExactly(resp.writeHead, 400)
+      sinon.assert.calledWithExactly(resp.end, 'Expected bundle.pubKey to be a public key')
+    })
+
+    it('stores bundle without one-time prekeys', async () => {
+      const req = new EventEmitter()
+      const resp = new EventEmitter()
+
+      resp.writeHead = sinon.stub()
+      resp.end = sinon.stub()
+
+      const client = new Client({ ca: '<cert>', host: 'localhost', port: 8888 })
+      const { id: signPreKeyId, pubKey, sig, timestamp } = client.rotateSignPreKey()
+      const server = new Server()
+
+      server.authorize = sinon.stub().returns(true)
+
+      const promise = server.handlePutBundleRequest(req, resp)
+
+      req.emit('data', JSON.stringify({
+        pubKey: client.id,
+        pubSignPreKey: pubKey.toString('hex'),
+        preKeySig: Buffer.from(sig).toString('hex'),
+        signPreKeyId,
+        timestamp
+      }))
+
+      req.emit('end')
+
+      await promise
+
+      sinon.assert.calledWithExactly(resp.writeHead, 201)
+      assert.deepStrictEqual((await server.store.get('bundles', client.id)).oneTimeKeys, [])
+    })
+  })
+
+  describe('#handlePostMessageRequest()', () => {
+    it('400s if bundle isn\'t valid JSON', async () => {
+      const req = new EventEmitter()
+      const resp = new EventEmitter()
+
+      resp.writeHead = sinon.stub()
+      resp.end = sinon.stub()
+
+      const server = new Server()
+      const promise = server.handlePostMessageRequest(req, resp)
+
+      req.emit('data', 'not json"]')
+      req.emit('end')
+
+      await promise
+
+      sinon.assert.calledOnce(resp.writeHead)
+      sinon.assert.calledOnce(resp.end)
+
+      sinon.assert.calledWithExactly(resp.writeHead, 400)
+      sinon.assert.calledWithExactly(resp.end, 'Invalid message')
+    })
+
+    it('emits error if store fails to delete expired message', async () => {
+      const clock = sinon.useFakeTimers()
+      const req = new EventEmitter()
+      const resp = new EventEmitter()
+
+      resp.writeHead = sinon.stub()
+      resp.end = sinon.stub()
+
+      const server = new Server({ initMessageTTL: 60e3 })
+      const promise = server.handlePostMessageRequest(req, resp)
+      const key = Buffer.alloc(32).toString('hex')
+
+      const msg = {
+        peerKey: key,
+        pubKey: key,
+        pubSignPreKey: key,
+        ephemeralKey: key,
+        oneTimeKey: key,
+        suite: 'aes-256-gcm',
+        header: 'abc',
+        payload: 'def',
+        signPreKeyId: 0
+      }
+
+      req.emit('data', JSON.stringify(msg))
+      req.emit('end')
+
+      await promise
+
+      server.store.delete = sinon.stub().rejects(new Error('whoops'))
+
+      const errPromise = EventEmitter.once(server, 'error')
+
+      clock.tick(60e3)
+      clock.restore()
+
+      const [{ message }] = await errPromise
+
+      assert.strictEqual(message, 'whoops')
+      assert.strictEqual(server.timeouts.size, 0)
+    })
+
+    it('400s if message doesn\'t pass validation', async () => {
+      const req = new EventEmitter()
+      const resp = new EventEmitter()
+
+      resp.writeHead = sinon.stub()
+      resp.end = sinon.stub()
+
+      const server = new Server()
+      const promise = server.handlePostMessageRequest(req, resp)
+
+      req.emit('data', '{"peerKey":""}')
+      req.emit('end')
+
+      await promise
+
+      sinon.assert.calledOnce(resp.writeHead)
+      sinon.assert.calledOnce(resp.end)
+
+      sinon.assert.calledWithExactly(resp.writeHead, 400)
+      sinon.assert.calledWithExactly(resp.end, 'Expected msg.peerKey to be a public key')
+    })
+  })
+
+  describe('#handleGetMessageRequest()', () => {
+    it('400s when session ID isn\'t UUID', async () => {
+      const req = { url: '/123-456-789-0' }
+
+      const resp = {
+        writeHead: sinon.stub(),
+        end: sinon.stub()
+      }
+
+      const server = new Server()
+      const promise = server.handleGetMessageRequest(req, resp)
+
+      await promise
+
+      sinon.assert.calledOnce(resp.writeHead)
+      sinon.assert.calledOnce(resp.end)
+
+      sinon.assert.calledWithExactly(resp.writeHead, 400)
+      sinon.assert.calledWithExactly(resp.end, 'Session ID must be valid UUID')
+    })
+
+    it('starts session TTL once recipient picks up initial message', async () => {
+      const clock = sinon.useFakeTimers()
+      const server = new Server()
+      const sid = uuid.v4()
+      const req = new EventEmitter()
+      const resp = { writeHead: sinon.stub(), end: sinon.stub() }
+
+      req.url = '/message/' + sid
+      server.authorize = sinon.stub().returns('abc')
+
+      try {
+        await server.store.put('msgs', sid, { peerKey: 'abc', pubKey: 'def', expires: server.initMessageTTL })
+        await server.store.put('sessions', sid, ['abc', 'def'])
+        server.expire(sid, server.initMessageTTL)
+
+        const promise = server.handleGetMessageRequest(req, resp)
+
+        req.emit('end')
+        await promise
+
+        sinon.assert.calledOnceWithExactly(resp.end, JSON.stringify({ peerKey: 'abc', pubKey: 'def' }))
+
+        await clock.tickAsync(server.sessionTTL)
+
+        assert.strictEqual(await server.store.get('sessions', sid), undefined)
+        assert.strictEqual(server.timeouts.size, 0)
+      } finally {
+        clock.restore()
+      }
+    })
+
+    it('doesn\'t start session TTL while a peer is connected', async () => {
+      const server = new Server()
+      const sid = uuid.v4()
+      const req = new EventEmitter()
+      const resp = { writeHead: sinon.stub(), end: sinon.stub() }
+
+      req.url = '/message/' + sid
+      server.authorize = sinon.stub().returns('abc')
+      server.conns.set(sid, new Map())
+
+      await server.store.put('msgs', sid, { peerKey: 'abc', pubKey: 'def', expires: Date.now() + 60e3 })
+
+      const promise = server.handleGetMessageRequest(req, resp)
+
+      req.emit('end')
+      await promise
+
+      sinon.assert.calledOnceWithExactly(resp.end, JSON.stringify({ peerKey: 'abc', pubKey: 'def' }))
+      assert.strictEqual(server.timeouts.size, 0)
+    })
+  })
+
+  describe('#expire()', () => {
+    beforeEach(async () => {
+      this.clock = sinon.useFakeTimers()
+      this.server = new Server()
+      this.sid = uuid.v4()
+
+      await this.server.store.put('sessions', this.sid, ['abc', 'def'])
+    })
+
+    afterEach(() => {
+      this.clock.restore()
+    })
+
+    it('keeps session while initial message waits to be picked up', async () => {
+      await this.server.store.put('msgs', this.sid, { peerKey: 'abc', expires: 2 * this.server.sessionTTL })
+
+      this.server.expire(this.sid)
+
+      await this.clock.tickAsync(this.server.sessionTTL)
+
+      assert.deepStrictEqual(await this.server.store.get('sessions', this.sid), ['abc', 'def'])
+      assert.strictEqual(this.server.timeouts.size, 1)
+
+      await this.clock.tickAsync(this.server.sessionTTL)
+
+      assert.strictEqual(await this.server.store.get('sessions', this.sid), undefined)
+      assert.strictEqual(await this.server.store.get('msgs', this.sid), undefined)
+      assert.strictEqual(this.server.timeouts.size, 0)
+    })
+
+    it('doesn\'t expire session a peer connected to while looking up its initial message', async () => {
+      const { get } = this.server.store
+
+      await this.server.store.put('msgs', this.sid, { peerKey: 'abc', expires: 2 * this.server.sessionTTL })
+
+      this.server.store.get = async (...args) => {
+        this.server.conns.set(this.sid, new Map())
+        return get.apply(this.server.store, args)
+      }
+
+      this.server.expire(this.sid)
+
+      await this.clock.tickAsync(this.server.sessionTTL)
+
+      assert.strictEqual(this.server.timeouts.size, 0)
+      assert.strictEqual(this.clock.countTimers(), 0)
+    })
+
+    it('waits out TTL longer than a timer can', async () => {
+      const ttl = 2 ** 31 + 1e3
+
+      this.server.expire(this.sid, ttl)
+
+      await this.clock.tickAsync(ttl - 1)
+
+      assert.deepStrictEqual(await this.server.store.get('sessions', this.sid), ['abc', 'def'])
+
+      await this.clock.tickAsync(1)
+
+      assert.strictEqual(await this.server.store.get('sessions', this.sid), undefined)
+    })
+  })
+
+  describe('#enqueue()', () => {
+    it('drops oldest messages beyond maxQueueLength', async () => {
+      const server = new Server({ maxQueueLength: 2 })
+      const sid = uuid.v4()
+
+      await server.enqueue(sid, 'abc', 'foo')
+      await server.enqueue(sid, 'abc', 'bar')
+      await server.enqueue(sid, 'abc', 'baz')
+
+      assert.deepStrictEqual(await server.dequeue(sid, 'abc'), ['bar', 'baz'])
+    })
+
+    it('drops oldest messages beyond maxQueueBytes', async () => {
+      const server = new Server({ maxQueueBytes: 6 })
+      const sid = uuid.v4()
+
+      await server.enqueue(sid, 'abc', 'foo')
+      await server.enqueue(sid, 'abc', 'bar')
+      await server.enqueue(sid, 'abc', 'ba')
+
+      assert.deepStrictEqual(await server.dequeue(sid, 'abc'), ['bar', 'ba'])
+
+      await server.enqueue(sid, 'abc', 'too long')
+
+      assert.strictEqual(await server.store.get('queues', sid + '/abc'), undefined)
+    })
+
+    it('drops expired messages', async () => {
+      const clock = sinon.useFakeTimers()
+      const server = new Server({ queueTTL: 1e3 })
+      const sid = uuid.v4()
+
+      try {
+        await server.enqueue(sid, 'abc', 'foo')
+        clock.tick(500)
+        await server.enqueue(sid, 'abc', 'bar')
+        clock.tick(500)
+        await server.enqueue(sid, 'abc', 'baz')
+
+        assert.strictEqual((await server.store.get('queues', sid + '/abc')).length, 2)
+
+        clock.tick(500)
+
+        assert.deepStrictEqual(await server.dequeue(sid, 'abc'), ['baz'])
+        assert.deepStrictEqual(await server.dequeue(sid, 'abc'), [])
+      } finally {
+        clock.restore()
+      }
+    })
+  })
+
+  describe('#start()', () => {
+    it('doesn\'t ping connections when heartbeat disabled', async () => {
+      const server = new Server({ heartbeatInterval: 0 })
+
+      server.https.listen = sinon.stub().callsFake((...args) => args.pop()())
+
+      await server.start(8888)
+
+      sinon.assert.calledOnce(server.https.listen)
+      assert.strictEqual(server.heartbeatTimer, null)
+    })
+  })
+
+  describe('#stop()', () => {
+    it('clears session expiry and idle relay timers', () => {
+      const clock = sinon.useFakeTimers()
+      const server = new Server({ idleTimeout: 60e3 })
+      const sid = uuid.v4()
+
+      server.conns.set(sid, new Map())
+
+      try {
+        server.expire(sid)
+        server.touch(sid)
+        server.stop()
+
+        assert.strictEqual(server.timeouts.size, 0)
+        assert.strictEqual(server.idleTimers.size, 0)
+        assert.strictEqual(clock.countTimers(), 0)
+      } finally {
+        clock.restore()
+      }
+    })
+  })
+
+  describe('#heartbeat()', () => {
+    it('drops connections that didn\'t answer last ping and pings the rest', () => {
+      const server = new Server()
+      const conns = [new EventEmitter(), new EventEmitter()]
+
+      conns.forEach(conn => {
+        conn.ping = sinon.stub()
+        conn.terminate = sinon.stub()
+      })
+
+      server.ws.clients = new Set(conns)
+      server.alive.add(conns[0])
+      server.heartbeat()
+
+      sinon.assert.calledOnce(conns[0].ping)
+      sinon.assert.notCalled(conns[0].terminate)
+      sinon.assert.calledOnce(conns[1].terminate)
+      sinon.assert.notCalled(conns[1].ping)
+
+      server.alive.add(conns[0])
+      server.heartbeat()
+
+      sinon.assert.notCalled(conns[0].terminate)
+      sinon.assert.calledTwice(conns[0].ping)
+
+      server.heartbeat()
+
+      sinon.assert.calledOnce(conns[0].terminate)
     })
   })
 
   describe('#handleConn()', () => {
+    beforeEach(() => {
+      this.server = new Server()
+      this.client = new Client({ ca: '<cert>', host: 'localhost', port: 8888 })
+      this.sid = uuid.v4()
+
+      this.conn = new EventEmitter()
+      this.conn.send = sinon.stub()
+      this.conn.close = sinon.stub()
+    })
+
+    const handshake = (client, conn, sid, format) => {
+      const { challenge } = JSON.parse(conn.send.firstCall.args[0])
+      const data = util.canonicalHandshake({ challenge, sid })
+      const sig = Buffer.from(axl.sign(client.privKey, data, randomBytes(64))).toString('hex')
+
+      return JSON.stringify({ id: client.id, sid, sig, format })
+    }
+
+    it('sends challenge', () => {
+      this.server.handleConn(this.conn)
+
+      const { challenge, formats } = JSON.parse(this.conn.send.firstCall.args[0])
+
+      assert.strictEqual(Buffer.from(challenge, 'hex').byteLength, 32)
+      assert.deepStrictEqual(formats, ['binary', 'json'])
+    })
+
+    it('marks connection alive when it answers ping', () => {
+      this.server.handleConn(this.conn)
+      this.server.alive.delete(this.conn)
+      this.conn.emit('pong')
+
+      assert.strictEqual(this.server.alive.has(this.conn), true)
+    })
+
+    it('emits error and rejects connection when store fails', async () => {
+      this.server.store.get = sinon.stub().rejects(new Error('whoops'))
+
+      const promise = this.server.handleConn(this.conn)
+      const errPromise = once(this.server, 'error')
+
+      this.conn.emit('message', handshake(this.client, this.conn, this.sid))
+
+      await promise
+
+      const [{ message }] = await errPromise
+
+      assert.strictEqual(message, 'whoops')
+      sinon.assert.calledWithExactly(this.conn.send.secondCall, 'Internal Server Error')
+      sinon.assert.calledOnce(this.conn.close)
+      assert.strictEqual(this.conn.listenerCount('close'), 0)
+    })
+
+    it('doesn\'t join session if connection closes while looking it up', async () => {
+      await this.server.store.put('sessions', this.sid, [this.client.id, 'xyz'])
+
+      const { get } = this.server.store
+
+      this.server.store.get = async (...args) => {
+        this.conn.emit('close')
+        return get.apply(this.server.store, args)
+      }
+
+      const promise = this.server.handleConn(this.conn)
+
+      this.conn.emit('message', handshake(this.client, this.conn, this.sid))
+
+      await promise
+
+      sinon.assert.calledOnce(this.conn.send)
+      assert.strictEqual(this.server.conns.size, 0)
+      assert.strictEqual(this.server.timeouts.size, 0)
+    })
+
     it('404s when client id not recognized', async () => {
-      const server = new Server()
-      server.sessions.set('abc', ['def', 'xyz'])
+      await this.server.store.put('sessions', this.sid, ['def', 'xyz'])
+
+      const promise = this.server.handleConn(this.conn)
+
+      this.conn.emit('message', handshake(this.client, this.conn, this.sid))
+
+      await promise
+
+      sinon.assert.calledTwice(this.conn.send)
+      sinon.assert.calledOnce(this.conn.close)
+      sinon.assert.calledWithExactly(this.conn.send.secondCall, 'Not found')
+    })
+
+    it('rejects handshake that isn\'t JSON', async () => {
+      const promise = this.server.handleConn(this.conn)
+
+      this.conn.emit('message', 'not json"]')
+
+      await promise
+
+      sinon.assert.calledWithExactly(this.conn.send.secondCall, 'Invalid handshake')
+      sinon.assert.calledOnce(this.conn.close)
+    })
+
+    it('rejects handshake with invalid sid', async () => {
+      const promise = this.server.handleConn(this.conn)
+
+      this.conn.emit('message', handshake(this.client, this.conn, 'abc'))
+
+      await promise
+
+      sinon.assert.calledWithExactly(this.conn.send.secondCall, 'Expected sid to be a UUID')
+      sinon.assert.calledOnce(this.conn.close)
+    })
+
+    it('rejects handshake with unsupported format', async () => {
+      const promise = this.server.handleConn(this.conn)
+
+      this.conn.emit('message', handshake(this.client, this.conn, this.sid, 'xml'))
+
+      await promise
+
+      sinon.assert.calledWithExactly(this.conn.send.secondCall, 'Expected format to be a wire format')
+      sinon.assert.calledOnce(this.conn.close)
+    })
+
+    it('rejects handshake signed by someone else', async () => {
+      await this.server.store.put('sessions', this.sid, [this.client.id, 'xyz'])
+
+      const promise = this.server.handleConn(this.conn)
+      const eve = new Client({ ca: '<cert>', host: 'localhost', port: 8888 })
+      const msg = JSON.parse(handshake(eve, this.conn, this.sid))
+
+      msg.id = this.client.id
+
+      this.conn.emit('message', JSON.stringify(msg))
+
+      await promise
+
+      sinon.assert.calledWithExactly(this.conn.send.secondCall, 'Invalid signature')
+      sinon.assert.calledOnce(this.conn.close)
+
+      assert.deepStrictEqual(await this.server.store.get('sessions', this.sid), [this.client.id, 'xyz'])
+    })
+
+    it('holds messages until peer connects and delivers them first', async () => {
+      const bob = new Client({ ca: '<cert>', host: 'localhost', port: 8888 })
+      const bobConn = new EventEmitter()
+
+      bobConn.send = sinon.stub()
+      bobConn.close = sinon.stub()
+
+      await this.server.store.put('sessions', this.sid, [this.client.id, bob.id])
+
+      let promise = this.server.handleConn(this.conn)
+      this.conn.emit('message', handshake(this.client, this.conn, this.sid))
+      await promise
+
+      sinon.assert.calledWithExactly(this.conn.send.secondCall, 'OK')
+
+      this.conn.emit('message', 'foo')
+      this.conn.emit('message', 'bar')
+
+      promise = this.server.handleConn(bobConn)
+      bobConn.emit('message', handshake(bob, bobConn, this.sid))
+      await promise
+
+      this.conn.emit('message', 'baz')
+      bobConn.emit('message', 'qux')
+
+      await new Promise(resolve => setImmediate(resolve))
+
+      assert.deepStrictEqual(bobConn.send.args.slice(1), [['OK'], ['foo'], ['bar'], ['baz']])
+      sinon.assert.calledWithExactly(this.conn.send.lastCall, 'qux')
+      assert.strictEqual(await this.server.store.get('queues', this.sid + '/' + bob.id), undefined)
+    })
+
+    it('delivers held messages when peer reconnects', async () => {
+      const bob = new Client({ ca: '<cert>', host: 'localhost', port: 8888 })
+      const bobConn = new EventEmitter()
+
+      bobConn.send = sinon.stub()
+      bobConn.close = sinon.stub()
+
+      await this.server.store.put('sessions', this.sid, [this.client.id, bob.id])
+
+      let promise = this.server.handleConn(this.conn)
+      this.conn.emit('message', handshake(this.client, this.conn, this.sid))
+      await promise
 
+      this.conn.emit('message', 'foo')
+      this.conn.emit('close')
+
+      assert.strictEqual(this.server.conns.has(this.sid), false)
+      assert.strictEqual(this.server.timeouts.has(this.sid), true)
+
+      // Messages that arrive after the connection closes are held too.
+      this.conn.emit('message', 'bar')
+
+      promise = this.server.handleConn(bobConn)
+      bobConn.emit('message', handshake(bob, bobConn, this.sid))
+      await promise
+
+      await new Promise(resolve => setImmediate(resolve))
+
+      assert.deepStrictEqual(bobConn.send.args.slice(1), [['OK'], ['foo'], ['bar']])
+      assert.strictEqual(this.server.timeouts.has(this.sid), false)
+      sinon.assert.notCalled(bobConn.close)
+    })
+
+    it('converts messages to each peer\'s wire format', async () => {
+      const bob = new Client({ ca: '<cert>', host: 'localhost', port: 8888 })
+      const bobConn = new EventEmitter()
+      const msg = { header: Buffer.from('foo'), payload: Buffer.from('bar') }
+      const binary = util.encodeMessage(msg, 'binary')
+      const json = util.encodeMessage(msg, 'json')
+
+      bobConn.send = sinon.stub()
+      bobConn.close = sinon.stub()
+
+      await this.server.store.put('sessions', this.sid, [this.client.id, bob.id])
+
+      let promise = this.server.handleConn(bobConn)
+      bobConn.emit('message', handshake(bob, bobConn, this.sid, 'binary'))
+      await promise
+
+      // Held messages are converted when they're delivered.
+      bobConn.emit('message', binary)
+
+      const [{ msg: held, binary: isBinary }] = await this.server.store.get('queues', this.sid + '/' + this.client.id)
+
+      assert.strictEqual(held, binary.toString('base64'))
+      assert.strictEqual(isBinary, true)
+
+      promise = this.server.handleConn(this.conn)
+      this.conn.emit('message', handshake(this.client, this.conn, this.sid))
+      await promise
+
+      this.conn.emit('message', json)
+      this.conn.emit('message', 'foo')
+      bobConn.emit('message', binary)
+
+      await new Promise(resolve => setImmediate(resolve))
+
+      assert.deepStrictEqual(this.conn.send.args.slice(1), [['OK'], [json], [json]])
+      assert.deepStrictEqual(bobConn.send.args.slice(1), [['OK'], [binary]])
+    })
+
+    it('replaces previous connection for same peer', async () => {
       const conn = new EventEmitter()
+
       conn.send = sinon.stub()
       conn.close = sinon.stub()
 
-      const data = JSON.stringify({ sid: 'abc', id: '123' })
-      const promise = server.handleConn(conn)
+      await this.server.store.put('sessions', this.sid, [this.client.id, 'xyz'])
+
+      let promise = this.server.handleConn(this.conn)
+      this.conn.emit('message', handshake(this.client, this.conn, this.sid))
+      await promise
+
+      promise = this.server.handleConn(conn)
+      conn.emit('message', handshake(this.client, conn, this.sid))
+      await promise
+
+      sinon.assert.calledOnce(this.conn.close)
+      assert.strictEqual(this.server.conns.get(this.sid).get(this.client.id).conn, conn)
+
+      conn.emit('close')
+      this.conn.emit('close')
+
+      assert.strictEqual(this.server.conns.has(this.sid), false)
+      assert.strictEqual(this.server.timeouts.size, 1)
+
+      clearTimeout(this.server.timeouts.get(this.sid))
+    })
+
+    it('emits error when holding message fails', async () => {
+      await this.server.store.put('sessions', this.sid, [this.client.id, 'xyz'])
+
+      const promise = this.server.handleConn(this.conn)
+      this.conn.emit('message', handshake(this.client, this.conn, this.sid))
+      await promise
+
+      this.server.store.update = sinon.stub().rejects(new Error('whoops'))
+
+      const errPromise = EventEmitter.once(this.server, 'error')
+
+      this.conn.emit('message', 'foo')
+
+      const [{ message }] = await errPromise
+
+      assert.strictEqual(message, 'whoops')
+    })
+
+    it('emits error when delivering held messages fails', async () => {
+      const bob = new Client({ ca: '<cert>', host: 'localhost', port: 8888 })
+      const bobConn = new EventEmitter()
+
+      bobConn.send = sinon.stub()
+      bobConn.close = sinon.stub()
+
+      await this.server.store.put('sessions', this.sid, [this.client.id, bob.id])
+
+      let promise = this.server.handleConn(this.conn)
+      this.conn.emit('message', handshake(this.client, this.conn, this.sid))
+      await promise
+
+      const { update } = this.server.store
+      const errPromise = EventEmitter.once(this.server, 'error')
+
+      this.server.store.update = sinon.stub().callsFake(update.bind(this.server.store))
+      this.server.store.update.withArgs('queues').rejects(new Error('whoops'))
+
+      promise = this.server.handleConn(bobConn)
+      bobConn.emit('message', handshake(bob, bobConn, this.sid))
+      await promise
+
+      const [{ message }] = await errPromise
+
+      assert.strictEqual(message, 'whoops')
+      assert.deepStrictEqual(bobConn.send.args.slice(1), [['OK']])
+    })
+
+    it('closes relay once it\'s idle', async () => {
+      const clock = sinon.useFakeTimers({ toFake: ['setTimeout', 'clearTimeout'] })
+      const server = new Server({ idleTimeout: 1e3 })
+
+      try {
+        await server.store.put('sessions', this.sid, [this.client.id, 'xyz'])
+
+        const promise = server.handleConn(this.conn)
+        this.conn.emit('message', handshake(this.client, this.conn, this.sid))
+        await promise
+
+        clock.tick(500)
+        this.conn.emit('message', 'foo')
+        clock.tick(999)
+
+        sinon.assert.notCalled(this.conn.close)
+
+        clock.tick(1)
+
+        sinon.assert.calledOnceWithExactly(this.conn.close, util.IDLE_CLOSE_CODE, 'Idle timeout')
+        assert.strictEqual(server.idleTimers.size, 0)
+
+        this.conn.emit('close')
+
+        assert.strictEqual(server.conns.has(this.sid), false)
+      } finally {
+        clock.restore()
+      }
+    })
+
+    describe('multiplexed', () => {
+      beforeEach(async () => {
+        await this.server.store.put('sessions', this.sid, [this.client.id, 'xyz'])
+
+        const promise = this.server.handleConn(this.conn)
+        const { challenge } = JSON.parse(this.conn.send.firstCall.args[0])
+        const data = util.canonicalHandshake({ challenge, sid: '' })
+        const sig = Buffer.from(axl.sign(this.client.privKey, data, randomBytes(64))).toString('hex')
+
+        this.conn.emit('message', JSON.stringify({ id: this.client.id, sig, mux: true }))
+
+        await promise
+
+        sinon.assert.calledWithExactly(this.conn.send.secondCall, 'OK')
+      })
+
+      const sendFrame = async (conn, frame) => {
+        conn.emit('message', typeof frame === 'string' || Buffer.isBuffer(frame) ? frame : JSON.stringify(frame))
+        await new Promise(resolve => setImmediate(resolve))
+        return JSON.parse(conn.send.lastCall.args[0])
+      }
+
+      it('rejects frame that isn\'t valid', async () => {
+        assert.deepStrictEqual(await sendFrame(this.conn, 'not json"]'), { type: 'error', error: 'Invalid frame' })
+        assert.deepStrictEqual(await sendFrame(this.conn, { type: 'join', sid: 'abc' }), { type: 'error', error: 'Invalid frame' })
+      })
+
+      it('rejects message for session that wasn\'t joined', async () => {
+        const frame = { type: 'message', sid: this.sid, msg: 'foo' }
+
+        assert.deepStrictEqual(await sendFrame(this.conn, frame), { type: 'error', sid: this.sid, error: 'Not joined' })
+      })
+
+      it('rejects binary frame that isn\'t valid or for session that wasn\'t joined', async () => {
+        const frame = util.encodeFrame(this.sid, Buffer.from('foo'))
+
+        assert.deepStrictEqual(await sendFrame(this.conn, Buffer.from('foo')), { type: 'error', error: 'Invalid frame' })
+        assert.deepStrictEqual(await sendFrame(this.conn, frame), { type: 'error', sid: this.sid, error: 'Not joined' })
+      })
+
+      it('relays binary frames', async () => {
+        const { sid } = this
+        const envelope = util.encodeMessage({ header: Buffer.from('foo'), payload: Buffer.from('bar') }, 'binary')
+
+        await sendFrame(this.conn, { type: 'join', sid })
+        await sendFrame(this.conn, util.encodeFrame(sid, envelope))
+
+        assert.deepStrictEqual(await this.server.dequeue(sid, 'xyz'), [envelope])
+
+        this.server.conns.get(sid).get(this.client.id).conn.send(envelope)
+
+        sinon.assert.calledWithExactly(this.conn.send.lastCall, util.encodeFrame(sid, envelope))
+
+        this.conn.emit('message', JSON.stringify({ type: 'leave', sid }))
+        clearTimeout(this.server.timeouts.get(sid))
+      })
+
+      it('rejects join for session that isn\'t found', async () => {
+        const sid = uuid.v4()
+
+        assert.deepStrictEqual(await sendFrame(this.conn, { type: 'join', sid }), { type: 'error', sid, error: 'Not found' })
+      })
+
+      it('joins session, relays messages, and leaves', async () => {
+        const { sid } = this
+
+        assert.deepStrictEqual(await sendFrame(this.conn, { type: 'join', sid }), { type: 'joined', sid })
+        assert.deepStrictEqual(await sendFrame(this.conn, { type: 'join', sid }), { type: 'error', sid, error: 'Already joined' })
+        assert.deepStrictEqual(await sendFrame(this.conn, { type: 'message', sid, msg: 1 }), { type: 'error', sid, error: 'Invalid frame' })
+
+        await sendFrame(this.conn, { type: 'message', sid, msg: 'foo' })
+
+        assert.deepStrictEqual(await this.server.dequeue(sid, 'xyz'), ['foo'])
+
+        this.server.conns.get(sid).get(this.client.id).conn.send('bar')
+
+        assert.deepStrictEqual(JSON.parse(this.conn.send.lastCall.args[0]), { type: 'message', sid, msg: 'bar' })
+
+        await sendFrame(this.conn, { type: 'leave', sid })
+        await sendFrame(this.conn, { type: 'leave', sid })
+
+        assert.strictEqual(this.server.conns.has(sid), false)
+
+        clearTimeout(this.server.timeouts.get(sid))
+      })
+
+      it('leaves sessions when replaced or closed', async () => {
+        const { sid } = this
+        const sid2 = uuid.v4()
+
+        await this.server.store.put('sessions', sid2, [this.client.id, 'xyz'])
+        await sendFrame(this.conn, { type: 'join', sid })
+        await sendFrame(this.conn, { type: 'join', sid: sid2 })
+
+        const conn = new EventEmitter()
+
+        conn.send = sinon.stub()
+        conn.close = sinon.stub()
+
+        const promise = this.server.handleConn(conn)
+        conn.emit('message', handshake(this.client, conn, sid))
+        await promise
+
+        assert.deepStrictEqual(JSON.parse(this.conn.send.lastCall.args[0]), { type: 'leave', sid })
+        assert.strictEqual(this.server.conns.get(sid).get(this.client.id).conn, conn)
+
+        this.conn.emit('close')
+
+        assert.strictEqual(this.server.conns.has(sid2), false)
+
+        this.server.timeouts.forEach(clearTimeout)
+      })
+
+      it('emits error when joining fails', async () => {
+        this.server.store.get = sinon.stub().rejects(new Error('whoops'))
+
+        const promise = EventEmitter.once(this.server, 'error')
+
+        this.conn.emit('message', JSON.stringify({ type: 'join', sid: this.sid }))
+
+        const [{ message }] = await promise
+
+        assert.strictEqual(message, 'whoops')
+      })
+    })
+
+    it('gives up if connection closes before handshake', async () => {
+      const promise = this.server.handleConn(this.conn)
 
-      conn.emit('message', { data })
+      this.conn.emit('close')
 
       await promise
 
-      sinon.assert.calledOnce(conn.send)
-      sinon.assert.calledOnce(conn.close)
-      sinon.assert.calledWithExactly(conn.send, 'Not found')
+      sinon.assert.calledOnce(this.conn.send)
+      sinon.assert.notCalled(this.conn.close)
     })
   })
 })
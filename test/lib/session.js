@@ -131,6 +131,56 @@ describe('lib/session', () => {
       }
     })
 
+    it('throws if ciphertext tampered with', () => {
+      ++this.payload[1]
+
+      try {
+        this.alice.decrypt(this)
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid HMAC')
+      }
+    })
+
+    it('throws if extra associated data doesn\'t match', () => {
+      const { header, payload } = this.bob.encrypt(this.plaintext, Buffer.from('foo'))
+
+      try {
+        this.alice.decrypt({ header, payload }, Buffer.from('bar'))
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Invalid HMAC')
+      }
+    })
+
+    it('decrypts with extra associated data', () => {
+      const { header, payload } = this.bob.encrypt(this.plaintext, Buffer.from('foo'))
+
+      assert(this.alice.decrypt({ header, payload }, Buffer.from('foo')).equals(this.plaintext))
+    })
+
+    it('throws if header version unsupported', () => {
+      this.header[0] = 0
+
+      try {
+        this.alice.decrypt(this)
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Unsupported version')
+      }
+    })
+
+    it('throws if payload version unsupported', () => {
+      this.payload[0] = Session.VERSION + 1
+
+      try {
+        this.alice.decrypt(this)
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Unsupported version')
+      }
+    })
+
     it('throws when MAX_SKIP exceeded', () => {
       for (let i = 0; i < Session.MAX_SKIP; i++) {
         this.bob.encrypt(this.plaintext)
@@ -418,4 +468,128 @@ describe('lib/session', () => {
       ], Array.from({ length: 5 }).map(() => this.plaintext))
     })
   })
+
+  describe('#toJSON()', () => {
+    beforeEach(() => {
+      this.alice = new Session()
+      this.bob = new Session()
+      this.info = Buffer.from('some info')
+      this.ad = Buffer.from('some additional data')
+      this.plaintext = Buffer.from('just some plaintext')
+
+      this.secKeys = [
+        randomBytes(32),
+        randomBytes(32),
+        randomBytes(32)
+      ]
+
+      const peerKey = this.alice.init(this)
+
+      this.bob.init({ ...this, peerKey })
+    })
+
+    it('restores session and continues exchanging messages', () => {
+      this.bob.encrypt(this.plaintext)
+
+      const msg1 = this.bob.encrypt(this.plaintext)
+
+      this.alice.decrypt(msg1)
+
+      const state = JSON.parse(JSON.stringify(this.alice))
+      const alice = Session.fromJSON(state)
+
+      assert.deepStrictEqual(alice.toJSON(), this.alice.toJSON())
+      assert.strictEqual(alice.skippedMsgs.length, 1)
+
+      const msg2 = alice.encrypt(this.plaintext)
+      const plaintext1 = this.bob.decrypt(msg2)
+
+      const msg3 = this.bob.encrypt(this.plaintext)
+      const plaintext2 = alice.decrypt(msg3)
+
+      assert(plaintext1.equals(this.plaintext))
+      assert(plaintext2.equals(this.plaintext))
+    })
+
+    it('restores session from JSON string', () => {
+      const session = Session.fromJSON(JSON.stringify(this.alice))
+
+      assert.deepStrictEqual(session.toJSON(), this.alice.toJSON())
+      assert.strictEqual(session.sendChainKey, null)
+    })
+
+    it('restores session with trust state', () => {
+      this.alice.trust = { contact: 'bob', pubKey: 'abc', verified: true, changed: false }
+
+      const session = Session.fromJSON(JSON.stringify(this.alice))
+
+      assert.deepStrictEqual(session.trust, this.alice.trust)
+    })
+
+    it('restores session with default suite', () => {
+      const state = this.alice.toJSON()
+      delete state.suite
+
+      const session = Session.fromJSON(state)
+
+      assert.strictEqual(session.suite, 'aes-256-cbc-hmac-sha256')
+    })
+
+    it('throws if state version is unsupported', () => {
+      const state = this.alice.toJSON()
+      state.version++
+
+      try {
+        Session.fromJSON(state)
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Unsupported session state version')
+      }
+    })
+  })
+
+  ;['aes-256-gcm', 'xsalsa20-poly1305'].forEach(suite => {
+    describe(suite, () => {
+      beforeEach(() => {
+        this.alice = new Session()
+        this.bob = new Session()
+        this.info = Buffer.from('some info')
+        this.ad = Buffer.from('some additional data')
+        this.plaintext = Buffer.from('just some plaintext')
+        this.suite = suite
+
+        this.secKeys = [
+          randomBytes(32),
+          randomBytes(32),
+          randomBytes(32)
+        ]
+
+        const peerKey = this.alice.init(this)
+
+        this.bob.init({ ...this, peerKey })
+      })
+
+      it('exchanges messages', () => {
+        const plaintext1 = this.alice.decrypt(this.bob.encrypt(this.plaintext))
+        const plaintext2 = this.bob.decrypt(this.alice.encrypt(this.plaintext))
+
+        assert(plaintext1.equals(this.plaintext))
+        assert(plaintext2.equals(this.plaintext))
+        assert.strictEqual(Session.fromJSON(this.alice.toJSON()).suite, suite)
+      })
+
+      it('fails to decrypt message with different suite', () => {
+        const msg = this.bob.encrypt(this.plaintext)
+
+        this.alice.suite = 'aes-256-cbc-hmac-sha256'
+
+        try {
+          this.alice.decrypt(msg)
+          assert.fail('Should throw')
+        } catch ({ message }) {
+          assert.strictEqual(message, 'Failed to decrypt header')
+        }
+      })
+    })
+  })
 })
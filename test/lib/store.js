@@ -0,0 +1,21 @@
+'use strict'
+
+const assert = require('assert')
+const Store = require('../../lib/store')
+
+describe('lib/store', () => {
+  ['get', 'put', 'delete', 'update'].forEach(method => {
+    describe(`#${method}()`, () => {
+      it('isn\'t implemented', async () => {
+        const store = new Store()
+
+        try {
+          await store[method]('ns', 'key')
+          assert.fail('Should reject')
+        } catch ({ message }) {
+          assert.strictEqual(message, 'Not implemented')
+        }
+      })
+    })
+  })
+})
@@ -0,0 +1,72 @@
+'use strict'
+
+const assert = require('assert')
+const { randomBytes } = require('tweetnacl')
+const suites = require('../../lib/suites')
+
+describe('lib/suites', () => {
+  describe('#get()', () => {
+    it('throws if suite unknown', () => {
+      try {
+        suites.get('rot13')
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Unknown cipher suite: rot13')
+      }
+    })
+  })
+
+  describe('#register()', () => {
+    it('throws if suite missing seal()', () => {
+      try {
+        suites.register({ name: 'rot13', keyLength: 0 })
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected suite.seal to be a function')
+      }
+    })
+
+    it('registers suite', () => {
+      const suite = {
+        name: 'identity',
+        keyLength: 0,
+        seal: ({ plaintext }) => Buffer.from(plaintext),
+        open: ({ ciphertext }) => ciphertext
+      }
+
+      suites.register(suite)
+
+      assert.strictEqual(suites.get('identity'), suite)
+    })
+  })
+
+  ;['aes-256-cbc-hmac-sha256', 'aes-256-gcm', 'xsalsa20-poly1305'].forEach(name => {
+    describe(name, () => {
+      beforeEach(() => {
+        this.suite = suites.get(name)
+        this.key = Buffer.from(randomBytes(this.suite.keyLength))
+        this.ad = Buffer.from('some additional data')
+        this.plaintext = Buffer.from('just some plaintext')
+        this.ciphertext = this.suite.seal(this)
+      })
+
+      it('seals and opens plaintext', () => {
+        const plaintext = this.suite.open(this)
+
+        assert(plaintext.equals(this.plaintext))
+      })
+
+      it('fails to open tampered ciphertext', () => {
+        this.ciphertext[0]++
+
+        assert.throws(() => this.suite.open(this))
+      })
+
+      it('fails to open with different additional data', () => {
+        this.ad = Buffer.from('other additional data')
+
+        assert.throws(() => this.suite.open(this))
+      })
+    })
+  })
+})
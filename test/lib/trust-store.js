@@ -0,0 +1,152 @@
+'use strict'
+
+const assert = require('assert')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const FileStore = require('../../lib/file-store')
+const TrustStore = require('../../lib/trust-store')
+const util = require('../../lib/util')
+
+describe('lib/trust-store', () => {
+  beforeEach(() => {
+    this.trustStore = new TrustStore()
+    this.pubKey = util.genKeyPair().pubKey
+  })
+
+  describe('#get()', () => {
+    it('returns undefined for unknown contact', async () => {
+      assert.strictEqual(await this.trustStore.get('bob'), undefined)
+    })
+
+    it('throws if contact isn\'t a non-empty string', () => {
+      try {
+        this.trustStore.get('')
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected contact to be a non-empty string')
+      }
+    })
+  })
+
+  describe('#check()', () => {
+    it('records key for new contact', async () => {
+      const { status, record } = await this.trustStore.check('bob', this.pubKey)
+
+      assert.strictEqual(status, 'new')
+      assert.strictEqual(record.pubKey, this.pubKey.toString('hex'))
+      assert.strictEqual(record.verified, false)
+      assert.deepStrictEqual(await this.trustStore.get('bob'), record)
+    })
+
+    it('trusts same key in hex', async () => {
+      await this.trustStore.check('bob', this.pubKey)
+
+      const { status } = await this.trustStore.check('bob', this.pubKey.toString('hex'))
+
+      assert.strictEqual(status, 'trusted')
+    })
+
+    it('detects changed key without replacing it', async () => {
+      await this.trustStore.check('bob', this.pubKey)
+
+      const { status, record } = await this.trustStore.check('bob', util.genKeyPair().pubKey)
+
+      assert.strictEqual(status, 'changed')
+      assert.strictEqual(record.pubKey, this.pubKey.toString('hex'))
+    })
+
+    it('throws if pubKey isn\'t a public key', async () => {
+      try {
+        await this.trustStore.check('bob', Buffer.alloc(16))
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected pubKey to be a public key')
+      }
+    })
+  })
+
+  describe('#trust()', () => {
+    it('replaces key with unverified key', async () => {
+      await this.trustStore.check('bob', this.pubKey)
+      await this.trustStore.verify('bob')
+
+      const pubKey = util.genKeyPair().pubKey
+      const record = await this.trustStore.trust('bob', pubKey)
+
+      assert.strictEqual(record.pubKey, pubKey.toString('hex'))
+      assert.strictEqual(record.verified, false)
+      assert.deepStrictEqual(await this.trustStore.get('bob'), record)
+    })
+  })
+
+  describe('#verify()', () => {
+    it('marks contact verified and unverified', async () => {
+      await this.trustStore.check('bob', this.pubKey)
+
+      assert.strictEqual((await this.trustStore.verify('bob')).verified, true)
+      assert.strictEqual((await this.trustStore.verify('bob', false)).verified, false)
+    })
+
+    it('throws if contact is unknown', async () => {
+      try {
+        await this.trustStore.verify('bob')
+        assert.fail('Should reject')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Unknown contact: bob')
+      }
+    })
+  })
+
+  describe('#handover()', () => {
+    it('moves verified contact to new key', async () => {
+      await this.trustStore.check('bob', this.pubKey)
+      await this.trustStore.verify('bob')
+
+      const pubKey = util.genKeyPair().pubKey
+      const record = await this.trustStore.handover('bob', this.pubKey, pubKey)
+
+      assert.strictEqual(record.pubKey, pubKey.toString('hex'))
+      assert.strictEqual(record.verified, true)
+    })
+
+    it('doesn\'t move contact with different key', async () => {
+      const { pubKey } = util.genKeyPair()
+
+      await this.trustStore.check('bob', pubKey)
+
+      const record = await this.trustStore.handover('bob', this.pubKey, util.genKeyPair().pubKey)
+
+      assert.strictEqual(record.pubKey, pubKey.toString('hex'))
+    })
+
+    it('doesn\'t record unknown contact', async () => {
+      const record = await this.trustStore.handover('bob', this.pubKey, util.genKeyPair().pubKey)
+
+      assert.strictEqual(record, undefined)
+    })
+
+    it('throws if newKey isn\'t a public key', () => {
+      try {
+        this.trustStore.handover('bob', this.pubKey, 'foo')
+        assert.fail('Should throw')
+      } catch ({ message }) {
+        assert.strictEqual(message, 'Expected newKey to be a public key')
+      }
+    })
+  })
+
+  it('persists records with FileStore', async () => {
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'triple-double-'))
+
+    try {
+      await new TrustStore(new FileStore(dir)).check('bob', this.pubKey)
+
+      const record = await new TrustStore(new FileStore(dir)).get('bob')
+
+      assert.strictEqual(record.pubKey, this.pubKey.toString('hex'))
+    } finally {
+      await fs.promises.rmdir(dir, { recursive: true })
+    }
+  })
+})
@@ -1,6 +1,7 @@
 'use strict'
 
 const assert = require('assert')
+const uuid = require('uuid')
 const util = require('../../lib/util')
 
 describe('lib/util', () => {
@@ -34,4 +35,272 @@ describe('lib/util', () => {
       assert.strictEqual(okm, '8da4e775a563c18f715f802a063c5a31b8a11f5c5ee1879ec3454e5f3c738d2d9d201395faa4b61a96c8')
     })
   })
+
+  describe('#safeEqual()', () => {
+    it('returns true for equal buffers', () => {
+      assert.strictEqual(util.safeEqual(Buffer.from('abc'), Buffer.from('abc')), true)
+    })
+
+    it('returns false for different buffers', () => {
+      assert.strictEqual(util.safeEqual(Buffer.from('abc'), Buffer.from('abd')), false)
+    })
+
+    it('returns false for buffers of different lengths', () => {
+      assert.strictEqual(util.safeEqual(Buffer.from('abc'), Buffer.from('abcd')), false)
+    })
+  })
+
+  describe('#uint64()', () => {
+    it('encodes integer as 8 bytes', () => {
+      assert.strictEqual(util.uint64(1).toString('hex'), '0000000000000001')
+      assert.strictEqual(util.uint64(2 ** 40 + 2).toString('hex'), '0000010000000002')
+    })
+  })
+
+  describe('#canonicalSignPreKey()', () => {
+    it('doesn\'t match batch of one one-time prekey', () => {
+      const timestamp = Date.now()
+      const key = Buffer.alloc(32, 1)
+
+      const signPreKey = util.canonicalSignPreKey({ timestamp, pubSignPreKey: key })
+      const keys = util.canonicalKeys({ timestamp, oneTimeKeys: [key] })
+
+      assert.strictEqual(signPreKey.equals(keys), false)
+      assert.strictEqual(signPreKey.slice(0, 28).toString(), 'triple-double signed prekey\n')
+      assert.strictEqual(keys.slice(0, 31).toString(), 'triple-double one-time prekeys\n')
+    })
+  })
+
+  describe('#decodeEnvelope()', () => {
+    it('decodes envelope', () => {
+      const header = Buffer.from('foo')
+      const payload = Buffer.from('barbaz')
+      const buf = util.encodeEnvelope({ type: 'message', header, payload })
+
+      assert.strictEqual(buf.toString('hex'), '010100000003666f6f0000000662617262617a')
+      assert.deepStrictEqual(util.decodeEnvelope(buf), { type: 'message', header, payload })
+    })
+
+    it('rejects unsupported version', () => {
+      const buf = util.encodeEnvelope({ header: Buffer.from('foo'), payload: Buffer.from('bar') })
+
+      buf[0] = 2
+
+      assert.throws(() => util.decodeEnvelope(buf), { message: 'Invalid envelope' })
+    })
+
+    it('rejects unknown type', () => {
+      const buf = util.encodeEnvelope({ header: Buffer.from('foo'), payload: Buffer.from('bar') })
+
+      buf[1] = 0
+
+      assert.throws(() => util.decodeEnvelope(buf), { message: 'Invalid envelope' })
+    })
+
+    it('rejects envelope that\'s too short', () => {
+      assert.throws(() => util.decodeEnvelope(Buffer.from('0101', 'hex')), { message: 'Invalid envelope' })
+    })
+
+    it('rejects header length past end', () => {
+      const buf = util.encodeEnvelope({ header: Buffer.from('foo'), payload: Buffer.from('bar') })
+
+      buf.writeUInt32BE(100, 2)
+
+      assert.throws(() => util.decodeEnvelope(buf), { message: 'Invalid envelope' })
+    })
+
+    it('rejects payload length that doesn\'t match', () => {
+      const buf = util.encodeEnvelope({ header: Buffer.from('foo'), payload: Buffer.from('bar') })
+
+      assert.throws(() => util.decodeEnvelope(buf.slice(0, -1)), { message: 'Invalid envelope' })
+    })
+  })
+
+  describe('#decodeMessage()', () => {
+    it('decodes message in either format', () => {
+      const msg = { type: 'message', header: Buffer.from('foo'), payload: Buffer.from('bar') }
+
+      assert.deepStrictEqual(util.decodeMessage(util.encodeMessage(msg, 'binary')), msg)
+      assert.deepStrictEqual(util.decodeMessage(util.encodeMessage(msg, 'json')), msg)
+    })
+
+    it('rejects invalid envelope', () => {
+      assert.throws(() => util.decodeMessage(Buffer.from('foo')), { message: 'Invalid message' })
+    })
+
+    it('rejects invalid JSON', () => {
+      assert.throws(() => util.decodeMessage('{'), { message: 'Invalid message' })
+    })
+
+    it('rejects JSON without header and payload', () => {
+      assert.throws(() => util.decodeMessage('{"header":"abcd"}'), { message: 'Invalid message' })
+    })
+
+    it('rejects JSON with unknown type', () => {
+      assert.throws(() => util.decodeMessage('{"type":"foo","header":"","payload":""}'), { message: 'Invalid message' })
+    })
+  })
+
+  describe('#envelopeAd()', () => {
+    it('is empty for plain messages', () => {
+      assert.strictEqual(util.envelopeAd('message').byteLength, 0)
+    })
+
+    it('differs between other types', () => {
+      assert(!util.envelopeAd('stream').equals(util.envelopeAd('rpc')))
+    })
+
+    it('isn\'t empty for messages with IDs', () => {
+      assert(!util.envelopeAd('identified').equals(util.envelopeAd('message')))
+    })
+  })
+
+  describe('#toWireFormat()', () => {
+    it('converts message between formats', () => {
+      const msg = { header: Buffer.from('foo'), payload: Buffer.from('bar') }
+      const binary = util.encodeMessage(msg, 'binary')
+      const json = util.encodeMessage(msg, 'json')
+
+      assert.strictEqual(json, '{"header":"666f6f","payload":"626172"}')
+      assert.strictEqual(util.toWireFormat(binary, 'json'), json)
+      assert.deepStrictEqual(util.toWireFormat(json, 'binary'), binary)
+    })
+
+    it('keeps message type', () => {
+      const msg = { type: 'stream', header: Buffer.from('foo'), payload: Buffer.from('bar') }
+      const json = util.toWireFormat(util.encodeMessage(msg, 'binary'), 'json')
+
+      assert.strictEqual(json, '{"type":"stream","header":"666f6f","payload":"626172"}')
+      assert.deepStrictEqual(util.decodeMessage(json), msg)
+    })
+
+    it('returns message already in format', () => {
+      assert.strictEqual(util.toWireFormat('foo', 'json'), 'foo')
+    })
+  })
+
+  describe('#decodeFrame()', () => {
+    it('decodes binary frame', () => {
+      const sid = uuid.v4()
+      const envelope = Buffer.from('foo')
+
+      assert.deepStrictEqual(util.decodeFrame(util.encodeFrame(sid, envelope)), { sid, envelope })
+    })
+
+    it('rejects frame that\'s too short', () => {
+      assert.throws(() => util.decodeFrame(Buffer.from('foo')), { message: 'Invalid frame' })
+    })
+  })
+
+  describe('#decodeStreamFrame()', () => {
+    it('decodes stream frame', () => {
+      const id = uuid.v4()
+      const buf = util.encodeStreamFrame({ kind: 'data', id, seq: 3, body: 'foo' })
+
+      assert.deepStrictEqual(util.decodeStreamFrame(buf), { kind: 'data', id, seq: 3, body: Buffer.from('foo') })
+      assert.deepStrictEqual(util.decodeStreamFrame(util.encodeStreamFrame({ kind: 'cancel', id })), { kind: 'cancel', id, seq: 0, body: Buffer.alloc(0) })
+    })
+
+    it('rejects unknown kind', () => {
+      const buf = util.encodeStreamFrame({ kind: 'end', id: uuid.v4() })
+
+      buf[0] = 6
+
+      assert.throws(() => util.decodeStreamFrame(buf), { message: 'Invalid stream frame' })
+    })
+
+    it('rejects frame that\'s too short', () => {
+      assert.throws(() => util.decodeStreamFrame(Buffer.from('foo')), { message: 'Invalid stream frame' })
+    })
+
+    it('rejects invalid transfer ID', () => {
+      const buf = util.encodeStreamFrame({ kind: 'start', id: uuid.v4() })
+
+      buf.fill(0xff, 1, 17)
+
+      assert.throws(() => util.decodeStreamFrame(buf), { message: 'Invalid stream frame' })
+    })
+  })
+
+  describe('#decodeReceipt()', () => {
+    it('decodes receipt', () => {
+      const id = uuid.v4()
+
+      assert.deepStrictEqual(util.decodeReceipt(util.encodeReceipt({ kind: 'read', id })), { kind: 'read', id })
+    })
+
+    it('rejects receipt that isn\'t 17 bytes', () => {
+      assert.throws(() => util.decodeReceipt(Buffer.from('foo')), { message: 'Invalid receipt' })
+    })
+
+    it('rejects unknown kind', () => {
+      const buf = util.encodeReceipt({ kind: 'delivered', id: uuid.v4() })
+
+      buf[0] = 3
+
+      assert.throws(() => util.decodeReceipt(buf), { message: 'Invalid receipt' })
+    })
+
+    it('rejects invalid message ID', () => {
+      const buf = util.encodeReceipt({ kind: 'delivered', id: uuid.v4() })
+
+      buf.fill(0xff, 1)
+
+      assert.throws(() => util.decodeReceipt(buf), { message: 'Invalid receipt' })
+    })
+  })
+
+  describe('#decodeRpcFrame()', () => {
+    it('decodes RPC frame', () => {
+      const id = uuid.v4()
+      const buf = util.encodeRpcFrame({ kind: 'response', id, data: { error: 'whoops' } })
+
+      assert.deepStrictEqual(util.decodeRpcFrame(buf), { kind: 'response', id, data: { error: 'whoops' } })
+    })
+
+    it('rejects unknown kind', () => {
+      const buf = util.encodeRpcFrame({ kind: 'request', id: uuid.v4(), data: {} })
+
+      buf[0] = 3
+
+      assert.throws(() => util.decodeRpcFrame(buf), { message: 'Invalid RPC frame' })
+    })
+
+    it('rejects frame that\'s too short', () => {
+      assert.throws(() => util.decodeRpcFrame(Buffer.from('foo')), { message: 'Invalid RPC frame' })
+    })
+
+    it('rejects data that isn\'t JSON', () => {
+      const buf = util.encodeRpcFrame({ kind: 'request', id: uuid.v4(), data: {} })
+
+      assert.throws(() => util.decodeRpcFrame(buf.slice(0, -1)), { message: 'Invalid RPC frame' })
+    })
+
+    it('rejects data that isn\'t an object', () => {
+      const buf = util.encodeRpcFrame({ kind: 'request', id: uuid.v4(), data: [] })
+
+      assert.throws(() => util.decodeRpcFrame(buf), { message: 'Invalid RPC frame' })
+    })
+  })
+
+  describe('#decodeDuplexFrame()', () => {
+    it('decodes duplex frame', () => {
+      const buf = util.encodeDuplexFrame({ kind: 'data', seq: 2, body: 'foo' })
+
+      assert.deepStrictEqual(util.decodeDuplexFrame(buf), { kind: 'data', seq: 2, body: Buffer.from('foo') })
+      assert.deepStrictEqual(util.decodeDuplexFrame(util.encodeDuplexFrame({ kind: 'cancel' })), { kind: 'cancel', seq: 0, body: Buffer.alloc(0) })
+    })
+
+    it('rejects unknown kind', () => {
+      const buf = util.encodeDuplexFrame({ kind: 'end', seq: 1 })
+
+      buf[0] = 5
+
+      assert.throws(() => util.decodeDuplexFrame(buf), { message: 'Invalid duplex frame' })
+    })
+
+    it('rejects frame that\'s too short', () => {
+      assert.throws(() => util.decodeDuplexFrame(Buffer.from('foo')), { message: 'Invalid duplex frame' })
+    })
+  })
 })